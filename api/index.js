@@ -1,15 +1,44 @@
 const express = require("express");
 const cors = require("cors");
 const jwt =require("jsonwebtoken");
+const crypto = require("crypto");
 const { MongoClient, ObjectId, ServerApiVersion } = require("mongodb");
+const { validate, check } = require("../lib/validation");
+const { hashPassword, verifyPassword, randomToken, hashToken, createIdTokenVerifier } = require("../lib/auth");
+const { pendingMigrations } = require("../lib/migrations");
+const { ensureIndexesOnce, missingIndexes } = require("../lib/indexes");
+const { parseCsv } = require("../lib/csv");
+const { streamExport } = require("../lib/export");
+const { buildCalendar, parseCalendar } = require("../lib/ical");
+const { outboxItem, drainOutbox, requeueOutboxItem } = require("../lib/outbox");
+const { renderNotification, transportFromEnv } = require("../lib/notifications");
+const { newWebhookSecret, postWebhook } = require("../lib/webhooks");
+const { gatewayFromEnv } = require("../lib/payments");
+const { readBody, assertPublicUrl } = require("../lib/http");
+const { toDay, addDays, today, daysBetween, eachNight, parseStay, stayOf, overlapQuery } = require("../lib/stays");
+const { DEFAULT_WEEKEND_DAYS, roundMoney, parsePromoCodes, computeBookingPrice, computeRefund } = require("../lib/pricing");
+const { openNights, bucketOf, kpis, tallySoldNights, averageLeadTime } = require("../lib/analytics");
+const migrations = require("../migrations");
 require("dotenv").config();
 
 const app = express();
 
 // Middleware
 app.use(cors());
+// Payment webhooks are verified against the exact bytes the gateway sent
+app.use("/payments/webhook", express.raw({ type: "*/*", limit: "1mb" }));
+// Bulk imports may be larger than a normal request, as JSON or CSV text
+app.use("/admin/import", express.json({ limit: "5mb" }), express.text({ type: ["text/csv", "text/plain", "text/calendar"], limit: "5mb" }));
 app.use(express.json());
 
+// Every request gets an id (or keeps the caller's X-Request-Id) that shows
+// up in the audit log and the response headers
+app.use((req, res, next) => {
+  req.id = (req.get("x-request-id") || crypto.randomUUID()).slice(0, 100);
+  res.set("X-Request-Id", req.id);
+  next();
+});
+
 // MongoDB Connection
 const client = new MongoClient(process.env.MONGODB_URI, {
   serverApi: {
@@ -19,96 +48,1033 @@ const client = new MongoClient(process.env.MONGODB_URI, {
   },
 });
 
+let db;
 let roomsCollection;
 let bookingsCollection;
 let reviewsCollection;
 let usersCollection; // নতুন usersCollection যোগ করা হলো
+let roomNightsCollection;
+let reviewReportsCollection;
+let refreshTokensCollection;
+let revokedTokensCollection;
+let auditLogsCollection;
+let externalBlocksCollection;
+let notificationsCollection;
+let webhooksCollection;
+let webhookDeliveriesCollection;
+let idempotencyKeysCollection;
+let paymentEventsCollection;
+let holdsCollection;
+let waitlistCollection;
+let guardsCollection;
+
+// Every index the queries rely on. Created at startup (once the list has
+// been built, only the missing ones; see ensureIndexesOnce) and checked by
+// /ready.
+const REQUIRED_INDEXES = [
+  // একই রুমের একই রাত দুইবার বুক হওয়া আটকায়
+  { collection: "roomNights", key: { roomId: 1, night: 1 }, options: { unique: true } },
+  { collection: "roomNights", key: { refId: 1 } },
+  // হোল্ডের রাতগুলো মেয়াদ শেষে নিজে থেকেই মুছে যায় (বুকিং এর রাতে expiresAt নেই)
+  { collection: "roomNights", key: { expiresAt: 1 }, options: { expireAfterSeconds: 0 } },
+  { collection: "holds", key: { email: 1, status: 1, expiresAt: 1 } },
+  { collection: "holds", key: { status: 1, expiresAt: 1 } },
+  // ওয়েটলিস্ট: রুমের অপেক্ষমাণ গেস্টরা আগে আসলে আগে পাবে
+  { collection: "waitlist", key: { roomId: 1, status: 1, createdAt: 1 } },
+  { collection: "waitlist", key: { email: 1, status: 1 } },
+
+  { collection: "bookings", key: { roomId: 1, checkIn: 1 } },
+  { collection: "bookings", key: { roomId: 1, date: 1 } },
+  { collection: "bookings", key: { email: 1, createdAt: -1 } },
+  { collection: "bookings", key: { createdAt: -1 } },
+
+  { collection: "rooms", key: { rating: -1 } },
+
+  // একই ইমেইলে দুইজন ব্যবহারকারী তৈরি হওয়া আটকায় (/jwt রেস)
+  { collection: "users", key: { email: 1 }, options: { unique: true } },
+
+  // প্রতিটি বুকিং এর জন্য একটিই রিভিউ
+  { collection: "reviews", key: { bookingId: 1 }, options: { unique: true, partialFilterExpression: { bookingId: { $exists: true } } } },
+  { collection: "reviews", key: { roomId: 1, createdAt: -1 } },
+  { collection: "reviews", key: { userEmail: 1 } },
+  // একজন একটি রিভিউ একবারই রিপোর্ট করতে পারবে
+  { collection: "reviewReports", key: { reviewId: 1, reporterEmail: 1 }, options: { unique: true } },
+
+  // রিফ্রেশ টোকেন ও বাতিল করা টোকেন মেয়াদ শেষে নিজে থেকেই মুছে যায়
+  { collection: "refreshTokens", key: { tokenHash: 1 }, options: { unique: true } },
+  { collection: "refreshTokens", key: { family: 1 } },
+  { collection: "refreshTokens", key: { expiresAt: 1 }, options: { expireAfterSeconds: 0 } },
+  { collection: "revokedTokens", key: { jti: 1 }, options: { unique: true } },
+  { collection: "revokedTokens", key: { expiresAt: 1 }, options: { expireAfterSeconds: 0 } },
+
+  // অডিট লগ: টার্গেট, কে করেছে এবং রিকোয়েস্ট আইডি দিয়ে খোঁজা হয়
+  { collection: "auditLogs", key: { at: -1 } },
+  { collection: "auditLogs", key: { "target.type": 1, "target.id": 1, at: -1 } },
+  { collection: "auditLogs", key: { actor: 1, at: -1 } },
+  { collection: "auditLogs", key: { requestId: 1 } },
+
+  // অন্য চ্যানেল থেকে আসা ব্লক এবং ক্যালেন্ডার ফিডের গোপন টোকেন
+  { collection: "externalBlocks", key: { roomId: 1, source: 1, uid: 1 }, options: { unique: true } },
+  { collection: "rooms", key: { icalTokenHash: 1 }, options: { unique: true, partialFilterExpression: { icalTokenHash: { $exists: true } } } },
+  { collection: "users", key: { icalTokenHash: 1 }, options: { unique: true, partialFilterExpression: { icalTokenHash: { $exists: true } } } },
+
+  // নোটিফিকেশন আউটবক্স: ওয়ার্কার পাঠানোর সময় হওয়া আইটেম খোঁজে, রিমাইন্ডার একবারই যায়
+  { collection: "notifications", key: { status: 1, nextAttemptAt: 1 } },
+  { collection: "notifications", key: { bookingId: 1, createdAt: -1 } },
+  { collection: "notifications", key: { dedupeKey: 1 }, options: { unique: true, partialFilterExpression: { dedupeKey: { $exists: true } } } },
+
+  // ওয়েবহুক: কোন ইভেন্টে কারা সাবস্ক্রাইব করেছে, আর ডেলিভারি আউটবক্স
+  { collection: "webhooks", key: { active: 1, events: 1 } },
+  { collection: "webhookDeliveries", key: { status: 1, nextAttemptAt: 1 } },
+  { collection: "webhookDeliveries", key: { webhookId: 1, createdAt: -1 } },
+  { collection: "webhookDeliveries", key: { eventId: 1 } },
+
+  // পেমেন্ট: গেটওয়ের ইনটেন্ট থেকে বুকিং খোঁজা, মেয়াদ পেরোনো পেমেন্ট ধরা,
+  // একই ওয়েবহুক ইভেন্ট বা Idempotency-Key দুইবার প্রসেস না হওয়া
+  { collection: "bookings", key: { "payment.intentId": 1 }, options: { unique: true, partialFilterExpression: { "payment.intentId": { $exists: true } } } },
+  { collection: "bookings", key: { "payment.status": 1, "payment.expiresAt": 1 } },
+  { collection: "paymentEvents", key: { eventId: 1 }, options: { unique: true } },
+  { collection: "paymentEvents", key: { receivedAt: 1 }, options: { expireAfterSeconds: 30 * 24 * 60 * 60 } },
+  { collection: "idempotencyKeys", key: { owner: 1, scope: 1, key: 1 }, options: { unique: true } },
+  { collection: "idempotencyKeys", key: { expiresAt: 1 }, options: { expireAfterSeconds: 0 } },
+];
+
+// Collections are only handed out once the database has answered a ping.
+// Until then routes get 503 (see the guard below) instead of crashing on
+// an undefined collection.
+let dbReady = false;
+let connecting = null;
 
 async function run() {
   try {
-    const db = client.db("HotelDB");
+    await client.connect();
+    const database = client.db("HotelDB");
+    await database.command({ ping: 1 });
+
+    const failures = await ensureIndexesOnce(database, REQUIRED_INDEXES);
+    failures.forEach(({ spec, error }) => {
+      console.error(`❌ Index ${spec.collection} ${JSON.stringify(spec.key)} could not be created:`, error.message);
+    });
+
+    // roomId ফিল্ড ObjectId হিসেবে ধরে নেওয়া হয়েছে, মাইগ্রেশন বাকি থাকলে সতর্ক করা
+    const pending = await pendingMigrations(database, migrations);
+    if (pending.length > 0) {
+      console.warn(`⚠️ Pending migrations: ${pending.join(", ")} — run "npm run migrate" (/ready answers 503 until then)`);
+    }
+
+    db = database;
     roomsCollection = db.collection("rooms");
     bookingsCollection = db.collection("bookings");
     reviewsCollection = db.collection("reviews");
-    usersCollection = db.collection("users"); // ইনিশিয়ালাইজ করা হলো
+    usersCollection = db.collection("users"); // ইনিশিয়ালাইজ করা হলো
+    roomNightsCollection = db.collection("roomNights");
+    reviewReportsCollection = db.collection("reviewReports");
+    refreshTokensCollection = db.collection("refreshTokens");
+    revokedTokensCollection = db.collection("revokedTokens");
+    auditLogsCollection = db.collection("auditLogs");
+    externalBlocksCollection = db.collection("externalBlocks");
+    notificationsCollection = db.collection("notifications");
+    webhooksCollection = db.collection("webhooks");
+    webhookDeliveriesCollection = db.collection("webhookDeliveries");
+    idempotencyKeysCollection = db.collection("idempotencyKeys");
+    paymentEventsCollection = db.collection("paymentEvents");
+    holdsCollection = db.collection("holds");
+    waitlistCollection = db.collection("waitlist");
+    guardsCollection = db.collection("guards");
+    dbReady = true;
 
     console.log("✅ MongoDB Ready");
   } catch (err) {
     console.error("❌ MongoDB error:", err);
   }
 }
-run();
 
-// --- নতুন: verifyAdmin মিডলওয়্যার ---
-const verifyAdmin = async (req, res, next) => {
-  const email = req.decoded.email;
-  const query = { email: email };
-  const user = await usersCollection.findOne(query);
-  if (user?.role !== 'admin') {
-    return res.status(403).send({ message: 'Forbidden Access' });
+// Starts a connection attempt unless one is already running
+function connectDatabase() {
+  if (!connecting) {
+    connecting = run().finally(() => {
+      connecting = null;
+    });
   }
-  next();
+  return connecting;
+}
+connectDatabase();
+
+// Optional subsystems configured from the environment (email, payments). A
+// broken configuration disables the subsystem instead of crashing the
+// server at load; /ready lists what is wrong.
+const configProblems = [];
+
+function fromEnv(subsystem, build) {
+  try {
+    return build(process.env);
+  } catch (error) {
+    console.error(`❌ ${subsystem} disabled: ${error.message}`);
+    configProblems.push({ subsystem, message: error.message });
+    return null;
+  }
+}
+
+// -------------------- Health --------------------
+// Liveness: the process is up and answering
+app.get("/health", (req, res) => {
+  res.send({ status: "ok", uptime: Math.round(process.uptime()) });
+});
+
+// Readiness: the database answers, every required index exists and every
+// migration has run. A misconfigured optional subsystem (email, payments)
+// only makes the server "degraded": it keeps taking traffic and lists the
+// problem under configProblems.
+app.get("/ready", async (req, res) => {
+  if (!dbReady) {
+    connectDatabase();
+    return res.status(503).send({ status: "unavailable", database: "not connected" });
+  }
+  try {
+    await db.command({ ping: 1 });
+    const missing = await missingIndexes(db, REQUIRED_INDEXES);
+    const pending = await pendingMigrations(db, migrations);
+    const ready = missing.length === 0 && pending.length === 0;
+    res.status(ready ? 200 : 503).send({
+      status: !ready ? "unavailable" : configProblems.length > 0 ? "degraded" : "ready",
+      database: "connected",
+      missingIndexes: missing,
+      pendingMigrations: pending,
+      configProblems,
+    });
+  } catch (error) {
+    res.status(503).send({ status: "unavailable", database: error.message });
+  }
+});
+
+// Runs `fn(session)` in a transaction and returns its result. The driver
+// retries `fn` on transient errors (write conflicts included), so it must
+// pass `session` to every operation and have no other side effects.
+async function inTransaction(fn) {
+  return client.withSession(session => session.withTransaction(() => fn(session)));
+}
+
+// Until migration 001 has run, string and ObjectId roomIds live side by
+// side and the ledger's unique { roomId, night } index can't see a clash
+// between them, so nothing that claims nights may run. Rechecked at most
+// every 30 seconds so the server picks up a migration run without a restart.
+const ROOM_ID_MIGRATION = "001-room-id-object-ids";
+let roomIdsMigrated = false;
+let roomIdsCheckedAt = 0;
+
+async function roomIdMigrationDone() {
+  if (!roomIdsMigrated && Date.now() - roomIdsCheckedAt > 30 * 1000) {
+    roomIdsCheckedAt = Date.now();
+    roomIdsMigrated = !(await pendingMigrations(db, migrations)).includes(ROOM_ID_MIGRATION);
+  }
+  return roomIdsMigrated;
+}
+
+async function requireMigratedRoomIds(req, res, next) {
+  try {
+    if (await roomIdMigrationDone()) {
+      return next();
+    }
+    res.set("Retry-After", "60");
+    res.status(503).send({ message: "Bookings are paused until the database migration has run" });
+  } catch (error) {
+    res.status(500).send({ message: "Server error" });
+  }
+}
+
+// Everything below needs the database: answer 503 until it is connected,
+// retrying the connection in the background
+app.use((req, res, next) => {
+  if (dbReady || req.path === "/") {
+    return next();
+  }
+  connectDatabase();
+  res.set("Retry-After", "5");
+  res.status(503).send({ message: "Service unavailable, please try again shortly" });
+});
+
+// -------------------- Validation Schemas --------------------
+// Rules for every route's params, query and body (see lib/validation.js).
+// Unknown body fields are dropped, so only what is listed here reaches the database.
+const ROLES = ["guest", "front-desk", "housekeeping", "manager", "admin"];
+const BOOKING_STATUSES = ["pending", "confirmed", "checked-in", "checked-out", "cancelled", "no-show"];
+
+const idParams = { id: { type: "objectId", required: true } };
+const roomIdParams = { roomId: { type: "objectId", required: true } };
+const emailParams = { email: { type: "email", required: true } };
+
+const paginationQuery = {
+  page: { type: "integer", min: 1, clamp: true, default: 1 },
+  limit: { type: "integer", min: 1, max: 100, clamp: true, default: 10 },
+};
+
+const cancellationPolicyRule = {
+  type: "object",
+  fields: {
+    tiers: {
+      type: "array",
+      required: true,
+      min: 1,
+      max: 10,
+      items: {
+        type: "object",
+        fields: {
+          hoursBeforeCheckIn: { type: "number", required: true, min: 0 },
+          refundPercent: { type: "number", required: true, min: 0, max: 100 },
+        },
+      },
+    },
+  },
+};
+
+const leadTimeRule = (daysField) => ({
+  type: "object",
+  fields: {
+    [daysField]: { type: "integer", required: true, min: 0 },
+    // -100% or less would make the nightly rate free or negative
+    adjustmentPercent: { type: "number", required: true, max: 500, check: percent => (percent <= -100 ? "must be greater than -100" : null) },
+  },
+});
+
+const ratePlansFields = {
+  weekendRate: { type: "number", min: 0 },
+  weekendDays: { type: "array", max: 7, items: { type: "integer", min: 0, max: 6 } },
+  seasons: {
+    type: "array",
+    max: 50,
+    items: {
+      type: "object",
+      fields: {
+        name: { type: "string", max: 60 },
+        start: { type: "date", required: true },
+        end: { type: "date", required: true },
+        rate: { type: "number", required: true, min: 0 },
+        minStay: { type: "integer", min: 1 },
+      },
+      check: season => (season.end < season.start ? "end must not be before start" : null),
+    },
+  },
+  minStay: { type: "integer", min: 1 },
+  lastMinute: leadTimeRule("withinDays"),
+  earlyBird: leadTimeRule("daysBefore"),
+};
+
+const roomSchema = {
+  roomName: { type: "string", max: 120 },
+  name: { type: "string", max: 120 },
+  description: { type: "string", max: 5000 },
+  image: { type: "string", max: 2000 },
+  images: { type: "array", max: 20, items: { type: "string", max: 2000 } },
+  price: { type: "number", required: true, min: 0 },
+  capacity: { type: "integer", min: 1, max: 50 },
+  type: { type: "string", max: 60 },
+  amenities: { type: "array", max: 50, items: { type: "string", max: 60 } },
+  cancellationPolicy: cancellationPolicyRule,
+  ratePlans: { type: "object", fields: ratePlansFields },
+};
+
+const adminUsersQuery = {
+  ...paginationQuery,
+  deleted: { type: "boolean", default: false },
+};
+
+const roomsQuery = {
+  ...paginationQuery,
+  minPrice: { type: "number", min: 0 },
+  maxPrice: { type: "number", min: 0 },
+  date: { type: "date" },
+};
+
+const roomSearchQuery = {
+  ...paginationQuery,
+  checkIn: { type: "date", required: true },
+  checkOut: { type: "date", required: true },
+  guests: { type: "integer", min: 1, max: 50 },
+  amenities: { type: "array", max: 20, items: { type: "string", max: 60 } },
+  type: { type: "array", max: 20, items: { type: "string", max: 60 } },
+  minPrice: { type: "number", min: 0 },
+  maxPrice: { type: "number", min: 0 },
+  sort: { type: "string", enum: ["price", "rating", "popularity"] },
+  order: { type: "string", enum: ["asc", "desc"] },
+};
+
+const quoteQuery = {
+  checkIn: { type: "date", required: true },
+  checkOut: { type: "date", required: true },
+  promoCode: { type: "string", max: 40 },
+};
+
+// `date` is the old single-night payload; parseStay() still understands it
+const staySchema = {
+  checkIn: { type: "date" },
+  checkOut: { type: "date" },
+  date: { type: "string", max: 40 },
+};
+
+// What a client's booking page sends along to show the booking later
+// without looking the room up; stored with the booking as sent
+const bookingDisplayFields = {
+  roomName: { type: "string", max: 120 },
+  name: { type: "string", max: 120 },
+  image: { type: "string", max: 2000 },
+  roomImage: { type: "string", max: 2000 },
+  type: { type: "string", max: 60 },
+  guests: { type: "integer", min: 1, max: 50 },
+  guestName: { type: "string", max: 120 },
+  phone: { type: "string", max: 40 },
+  specialRequests: { type: "string", max: 1000 },
+};
+
+const bookingSchema = {
+  ...staySchema,
+  roomId: { type: "objectId", required: true },
+  // Turns this hold into the booking (a matching hold is used anyway)
+  holdId: { type: "objectId" },
+  promoCode: { type: "string", max: 40 },
+  ...bookingDisplayFields,
+  // Older clients still send these. They are ignored: a booking is always
+  // made under the signed-in address, at the price the server works out.
+  email: { type: "email" },
+  price: { type: "any" },
+};
+
+const holdSchema = {
+  ...staySchema,
+  roomId: { type: "objectId", required: true },
+};
+
+const waitlistSchema = {
+  ...staySchema,
+  roomId: { type: "objectId", required: true },
+};
+
+const bookingStatusSchema = {
+  status: { type: "string", required: true, enum: BOOKING_STATUSES },
+};
+
+// Which bookings and in what order; shared by the list and the export
+const bookingFilterQuery = {
+  roomId: { type: "objectId" },
+  email: { type: "string", max: 200 },
+  from: { type: "date" },
+  to: { type: "date" },
+  status: { type: "array", items: { type: "string", enum: BOOKING_STATUSES } },
+  sort: { type: "string", enum: ["createdAt", "checkIn", "checkOut", "total", "email"] },
+  order: { type: "string", enum: ["asc", "desc"] },
+};
+
+const adminBookingsQuery = {
+  ...paginationQuery,
+  ...bookingFilterQuery,
+};
+
+const EXPORT_FORMATS = ["csv", "ndjson"];
+
+const exportQuery = {
+  format: { type: "string", enum: EXPORT_FORMATS, default: "csv" },
+};
+
+// Exports every matching booking, so no page or limit
+const bookingsExportQuery = {
+  ...bookingFilterQuery,
+  ...exportQuery,
+};
+
+const roomImportQuery = {
+  dryRun: { type: "boolean", default: false },
+  key: { type: "string", enum: ["_id", "roomName", "name"], default: "roomName" },
+};
+
+const NOTIFICATION_STATUSES = ["pending", "sending", "sent", "failed"];
+
+const notificationsQuery = {
+  ...paginationQuery,
+  status: { type: "string", enum: NOTIFICATION_STATUSES },
+  type: { type: "string", max: 100 },
+  bookingId: { type: "objectId" },
+  to: { type: "email" },
+};
+
+const WEBHOOK_EVENTS = [
+  "booking.created",
+  "booking.rescheduled",
+  "booking.cancelled",
+  "booking.status.updated",
+  "room.created",
+  "room.updated",
+  "room.deleted",
+  "review.created",
+  "review.updated",
+  "review.deleted",
+];
+
+const webhookSchema = {
+  url: { type: "string", required: true, max: 2000, pattern: /^https?:\/\//i },
+  // "*" subscribes to every event, including ones added later
+  events: { type: "array", required: true, min: 1, max: WEBHOOK_EVENTS.length + 1, items: { type: "string", enum: [...WEBHOOK_EVENTS, "*"] } },
+  description: { type: "string", max: 200 },
+  active: { type: "boolean", default: true },
+};
+
+const webhookDeliveriesQuery = {
+  ...paginationQuery,
+  status: { type: "string", enum: NOTIFICATION_STATUSES },
+  event: { type: "string", max: 100 },
+};
+
+const icalSourcesSchema = {
+  sources: {
+    type: "array",
+    required: true,
+    max: 10,
+    items: {
+      type: "object",
+      fields: {
+        name: { type: "string", required: true, min: 1, max: 60 },
+        url: { type: "string", required: true, max: 2000, pattern: /^https?:\/\//i },
+      },
+    },
+  },
+};
+
+const icalImportQuery = {
+  source: { type: "string", required: true, min: 1, max: 60 },
+};
+
+const analyticsQuery = {
+  from: { type: "date", required: true },
+  to: { type: "date", required: true },
+  interval: { type: "string", enum: ["day", "week", "month"], default: "day" },
+  compare: { type: "boolean", default: false },
+};
+
+const dateRangeQuery = {
+  ...paginationQuery,
+  from: { type: "date", required: true },
+  to: { type: "date", required: true },
+};
+
+const reviewSchema = {
+  bookingId: { type: "objectId" },
+  roomId: { type: "objectId" },
+  rating: { type: "integer", required: true, min: 1, max: 5 },
+  comment: { type: "string", required: true, min: 1, max: 2000 },
+};
+
+const reviewUpdateSchema = {
+  rating: { type: "integer", min: 1, max: 5 },
+  comment: { type: "string", min: 1, max: 2000 },
+};
+
+// No defaults: without page or limit the public review lists keep their old
+// bare-array answer (see sendReviews)
+const reviewsQuery = {
+  page: { type: "integer", min: 1, clamp: true },
+  limit: { type: "integer", min: 1, max: 100, clamp: true },
+  sort: { type: "string", enum: ["newest", "highest", "lowest"] },
+};
+
+const adminReviewsQuery = {
+  ...paginationQuery,
+  hidden: { type: "boolean" },
+  flagged: { type: "boolean" },
+  roomId: { type: "objectId" },
+};
+
+const reviewReportsQuery = {
+  ...paginationQuery,
+  status: { type: "string", enum: ["open", "resolved", "dismissed"], default: "open" },
+};
+
+const profileSchema = {
+  email: { type: "email", required: true },
+  name: { type: "string", max: 100 },
+  photoURL: { type: "string", max: 2000 },
+};
+
+const AUDIT_TARGET_TYPES = ["user", "room", "booking", "review", "reviewReport", "notification", "webhook", "hold", "waitlist"];
+
+const auditLogsQuery = {
+  ...paginationQuery,
+  actor: { type: "email" },
+  action: { type: "string", max: 100 },
+  targetType: { type: "string", enum: AUDIT_TARGET_TYPES },
+  targetId: { type: "string", max: 100 },
+  requestId: { type: "string", max: 100 },
+  from: { type: "date" },
+  to: { type: "date" },
+};
+
+// Either a signed ID token from the identity provider or email + password
+const jwtSchema = {
+  idToken: { type: "string", max: 8000 },
+  email: { type: "email" },
+  password: { type: "string", max: 200 },
+};
+
+const registerSchema = {
+  email: { type: "email", required: true },
+  password: { type: "string", required: true, min: 8, max: 200 },
+  name: { type: "string", max: 100 },
+  photoURL: { type: "string", max: 2000 },
+};
+
+const refreshSchema = {
+  refreshToken: { type: "string", required: true, max: 200 },
+};
+
+const logoutSchema = {
+  refreshToken: { type: "string", max: 200 },
+};
+
+// -------------------- Roles & Permissions --------------------
+// Routes ask for a permission, never a role, so a role's reach can change
+// here without touching the routes. Accounts created before roles existed
+// carry role 'user', which is treated as 'guest'.
+const ROLE_PERMISSIONS = {
+  guest: [],
+  housekeeping: ["bookings:read"],
+  "front-desk": ["bookings:read", "bookings:manage", "users:read", "reviews:reply"],
+  manager: ["bookings:read", "bookings:manage", "users:read", "rooms:write", "reviews:reply", "reviews:moderate", "reports:read"],
+  admin: ["bookings:read", "bookings:manage", "users:read", "users:manage", "rooms:write", "reviews:reply", "reviews:moderate", "reports:read", "audit:read", "webhooks:manage"],
+};
+
+function roleOf(user) {
+  return ROLE_PERMISSIONS[user?.role] ? user.role : "guest";
+}
+
+function hasPermission(role, permission) {
+  return ROLE_PERMISSIONS[role].includes(permission);
+}
+
+// রোল টোকেন থেকে নয়, ডাটাবেস থেকে পড়া হয় — রোল বদলালে সাথে সাথে কার্যকর
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    const user = await usersCollection.findOne({ email: req.decoded.email, ...NOT_DELETED });
+    const role = roleOf(user);
+    if (!user || !hasPermission(role, permission)) {
+      return res.status(403).send({ message: 'Forbidden Access' });
+    }
+    req.role = role;
+    next();
+  };
+}
+
+// Changes a user's role on behalf of `actor`. Nobody can change their own
+// role, grant a role with permissions they don't hold themselves, or demote
+// the last admin. Returns { result, target } or { error, httpStatus }.
+async function changeUserRole(actor, targetId, role) {
+  const target = await usersCollection.findOne({ _id: new ObjectId(targetId), ...NOT_DELETED });
+  if (!target) {
+    return { error: "User not found", httpStatus: 404 };
+  }
+  if (target.email === actor.email) {
+    return { error: "You cannot change your own role", httpStatus: 403 };
+  }
+  const granting = ROLE_PERMISSIONS[role];
+  if (!granting.every(permission => hasPermission(actor.role, permission))) {
+    return { error: "You cannot grant a role with more access than your own", httpStatus: 403 };
+  }
+  if (roleOf(target) === "admin" && role !== "admin") {
+    const result = await updateUnlessLastAdmin(target._id, { $set: { role } });
+    if (!result) {
+      return { error: "The last admin cannot be demoted", httpStatus: 409 };
+    }
+    return { result, target };
+  }
+
+  const result = await usersCollection.updateOne({ _id: target._id }, { $set: { role } });
+  return { result, target };
+}
+
+// Applies `update` to an admin's user document unless no other admin would
+// be left; returns the update result, or null when refused. Counting and
+// updating in one transaction isn't enough on its own: two admins demoting
+// each other would each count two admins and change different documents.
+// Both transactions also bump the same guard document, so the second one
+// hits a write conflict and is retried after the first has committed.
+async function updateUnlessLastAdmin(userId, update) {
+  return inTransaction(async session => {
+    await guardsCollection.updateOne({ _id: "admins" }, { $inc: { version: 1 } }, { upsert: true, session });
+    const admins = await usersCollection.countDocuments({ role: "admin", ...NOT_DELETED }, { session });
+    if (admins <= 1) {
+      return null;
+    }
+    return usersCollection.updateOne({ _id: userId }, update, { session });
+  });
+}
+
+
+// -------------------- Audit Log --------------------
+// Every mutating route appends an entry: who did what to which document,
+// the fields that changed and the request id. Entries are never updated
+// or deleted.
+const AUDIT_IGNORED_FIELDS = ["_id", "passwordHash", "statusHistory", "icalTokenHash", "secret"];
+
+// A booking's payment.clientSecret lets whoever holds it pay the intent, so
+// it never leaves the booking: audit entries and webhooks get a copy without it,
+// and staff reads leave it out of the query
+const BOOKING_STAFF_PROJECTION = { 'payment.clientSecret': 0 };
+
+function withoutPaymentSecret(doc) {
+  if (!doc?.payment?.clientSecret) {
+    return doc;
+  }
+  const { clientSecret, ...payment } = doc.payment;
+  return { ...doc, payment };
+}
+
+// { field: { from, to } } for every top-level field that differs
+function auditDiff(before, after) {
+  before = withoutPaymentSecret(before);
+  after = withoutPaymentSecret(after);
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (AUDIT_IGNORED_FIELDS.includes(key)) {
+      continue;
+    }
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from, to };
+    }
+  }
+  return changes;
+}
+
+async function recordAudit(req, { action, target, before = null, after = null, actor = req.decoded?.email }) {
+  try {
+    await auditLogsCollection.insertOne({
+      at: new Date(),
+      requestId: req.id,
+      actor: actor || null,
+      actorRole: req.role || null,
+      action,
+      target: { type: target.type, id: String(target.id) },
+      changes: auditDiff(before, after),
+    });
+  } catch (err) {
+    // অডিট লিখতে না পারলে মূল কাজ আর ফেরানো যায় না, তাই শুধু লগ করা হয়
+    console.error("Failed to write audit log:", err);
+  }
+}
+
+// Stands in for the request in audit entries for changes no signed-in user
+// made (payment webhooks, sweepers): `actor` names the part of the system
+function systemRequest(actor, requestId = crypto.randomUUID()) {
+  return { id: requestId, decoded: { email: actor }, role: null };
+}
+
+// Audits an update that already happened, reading the document's new state
+async function recordChange(req, action, collection, type, before) {
+  const after = await collection.findOne({ _id: before._id });
+  await recordAudit(req, { action, target: { type, id: before._id }, before, after });
+}
+
+
+// -------------------- Auth Part --------------------
+// Access tokens are short-lived JWTs with a jti that logout can revoke.
+// Refresh tokens are opaque, stored hashed, single use and rotated on every
+// refresh; a token from the same family being used twice means it leaked,
+// so the whole family is thrown away.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// হ্যাশ না থাকা অ্যাকাউন্টের জন্যও একই সময় লাগুক, যাতে ইমেইল আছে কিনা বোঝা না যায়
+const DUMMY_PASSWORD_HASH = hashPassword(randomToken());
+
+// ID_TOKEN_PUBLIC_KEYS may be one PEM or a JSON map of kid → PEM
+function parsePublicKeys(raw) {
+  if (!raw) {
+    return null;
+  }
+  // .env files usually carry PEM line breaks as a literal \n
+  const unescape = pem => pem.replace(/\\n/g, "\n");
+  try {
+    const keys = JSON.parse(raw);
+    return Object.fromEntries(Object.entries(keys).map(([kid, pem]) => [kid, unescape(pem)]));
+  } catch {
+    return unescape(raw);
+  }
+}
+
+const idTokenPublicKeys = parsePublicKeys(process.env.ID_TOKEN_PUBLIC_KEYS);
+const verifyIdToken = (idTokenPublicKeys || process.env.ID_TOKEN_JWKS_URL)
+  ? createIdTokenVerifier({
+      publicKeys: idTokenPublicKeys,
+      jwksUrl: process.env.ID_TOKEN_JWKS_URL,
+      issuer: process.env.ID_TOKEN_ISSUER,
+      audience: process.env.ID_TOKEN_AUDIENCE,
+    })
+  : null;
+
+// পাসওয়ার্ড হ্যাশ কখনো রেসপন্সে যাবে না
+const USER_PUBLIC_PROJECTION = { passwordHash: 0, icalTokenHash: 0 };
+
+async function issueTokens(user, family = crypto.randomUUID()) {
+  const token = jwt.sign(
+    { email: user.email, role: roleOf(user) },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+  );
+
+  const refreshToken = randomToken();
+  await refreshTokensCollection.insertOne({
+    tokenHash: hashToken(refreshToken),
+    email: user.email,
+    family,
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+// Ends every session of an account: its refresh tokens are deleted and
+// access tokens issued before this second stop working (see verifyToken)
+async function revokeAllTokens(email) {
+  await refreshTokensCollection.deleteMany({ email });
+  await revokedTokensCollection.updateOne(
+    { jti: `account:${email}` },
+    { $set: { email, issuedBefore: Math.floor(Date.now() / 1000), expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000) } },
+    { upsert: true }
+  );
+}
+
+// /auth/register doesn't prove the address belongs to whoever registers it.
+// The first verified ID token for the address does, so the password (which
+// may be someone else's) is dropped and its sessions ended; from then on the
+// account is the ID token holder's.
+async function claimUnverifiedAccount(req, user) {
+  const claimed = await usersCollection.findOneAndUpdate(
+    { _id: user._id, emailVerified: { $ne: true } },
+    { $set: { emailVerified: true }, $unset: { passwordHash: "" } },
+    { returnDocument: "after" }
+  );
+  if (!claimed) {
+    // Another sign-in claimed it first
+    return usersCollection.findOne({ _id: user._id });
+  }
+  if (user.passwordHash) {
+    await revokeAllTokens(user.email);
+  }
+  await recordAudit(req, { action: "user.email.verify", target: { type: "user", id: user._id }, before: user, after: claimed, actor: user.email });
+  return claimed;
 }
 
+// Login: a verified ID token (creates the user on first sign-in) or a local password
+app.post("/jwt", validate({ body: jwtSchema }), async (req, res) => {
+  try {
+    const { idToken, email, password } = req.body;
+    let user;
+
+    if (idToken) {
+      if (!verifyIdToken) {
+        return res.status(501).send({ message: "ID token sign-in is not configured" });
+      }
+      let identity;
+      try {
+        identity = await verifyIdToken(idToken);
+      } catch (err) {
+        return res.status(401).send({ message: "Invalid ID token" });
+      }
+
+      user = await usersCollection.findOne({ email: identity.email });
+      // Before the claim below, which would otherwise verify a deleted account
+      if (user?.deletedAt) {
+        return res.status(403).send({ message: "This account has been deleted" });
+      }
+      if (user && !user.emailVerified) {
+        user = await claimUnverifiedAccount(req, user);
+      }
+      if (!user) {
+        // প্রথমবার সাইন ইন করলে 'guest' রোলে সেভ করুন
+        const newUser = {
+          email: identity.email,
+          name: identity.name || 'N/A',
+          photoURL: identity.picture || 'N/A',
+          role: 'guest',
+          emailVerified: true
+        };
+        try {
+          await usersCollection.insertOne(newUser);
+          user = newUser;
+          await recordAudit(req, { action: "user.create", target: { type: "user", id: user._id }, after: user, actor: user.email });
+        } catch (error) {
+          // একই সময়ে অন্য রিকোয়েস্ট ইউজার তৈরি করে ফেলেছে
+          if (error.code !== DUPLICATE_KEY_ERROR) {
+            throw error;
+          }
+          user = await usersCollection.findOne({ email: identity.email });
+        }
+      }
+    } else if (email && password) {
+      user = await usersCollection.findOne({ email: email.toLowerCase() });
+      const valid = await verifyPassword(password, user?.passwordHash || await DUMMY_PASSWORD_HASH);
+      if (!user?.passwordHash || !valid) {
+        return res.status(401).send({ message: "Invalid email or password" });
+      }
+    } else {
+      return res.status(401).send({ message: "An ID token or email and password is required" });
+    }
 
-// --- পরিবর্তিত JWT Token Endpoint ---
-app.post("/jwt", async (req, res) => {
-  const userInfo = req.body;
-  const email = userInfo.email;
+    if (user.deletedAt) {
+      return res.status(403).send({ message: "This account has been deleted" });
+    }
+    res.send(await issueTokens(user));
+  } catch (error) {
+    console.error("Error signing in:", error);
+    res.status(500).send({ message: "Failed to sign in" });
+  }
+});
 
-  // ব্যবহারকারী ডাটাবেসে আছে কিনা চেক করুন
-  const existingUser = await usersCollection.findOne({ email: email });
+// Create a local email + password account
+app.post("/auth/register", validate({ body: registerSchema }), async (req, res) => {
+  try {
+    const email = req.body.email.toLowerCase();
+    const existingUser = await usersCollection.findOne({ email });
+    if (existingUser) {
+      return res.status(409).send({ message: "An account with this email already exists" });
+    }
 
-  if (!existingUser) {
-    // যদি না থাকে, নতুন ব্যবহারকারী হিসেবে 'user' রোলে সেভ করুন
-    const newUser = {
-      email: email,
-      name: userInfo.name || 'N/A', // গুগল সাইন ইন থেকে নাম আসতে পারে
-      photoURL: userInfo.photoURL || 'N/A',
-      role: 'user' // ডিফল্ট রোল
+    const user = {
+      email,
+      name: req.body.name || 'N/A',
+      photoURL: req.body.photoURL || 'N/A',
+      role: 'guest',
+      // Until a verified ID token for this address signs in (see claimUnverifiedAccount)
+      emailVerified: false,
+      passwordHash: await hashPassword(req.body.password),
     };
-    await usersCollection.insertOne(newUser);
+    try {
+      await usersCollection.insertOne(user);
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        return res.status(409).send({ message: "An account with this email already exists" });
+      }
+      throw error;
+    }
+    await recordAudit(req, { action: "user.create", target: { type: "user", id: user._id }, after: user, actor: email });
+
+    res.status(201).send(await issueTokens(user));
+  } catch (error) {
+    console.error("Error registering user:", error);
+    res.status(500).send({ message: "Failed to register" });
+  }
+});
+
+// Swap a refresh token for a new access + refresh token pair
+app.post("/auth/refresh", validate({ body: refreshSchema }), async (req, res) => {
+  try {
+    const tokenHash = hashToken(req.body.refreshToken);
+    const stored = await refreshTokensCollection.findOneAndUpdate(
+      { tokenHash, usedAt: { $exists: false } },
+      { $set: { usedAt: new Date() } }
+    );
+
+    if (!stored) {
+      // আগে ব্যবহার করা টোকেন আবার এলে পুরো ফ্যামিলি বাতিল
+      const reused = await refreshTokensCollection.findOne({ tokenHash });
+      if (reused) {
+        await refreshTokensCollection.deleteMany({ family: reused.family });
+        const owner = await usersCollection.findOne({ email: reused.email });
+        if (owner) {
+          await recordAudit(req, { action: "auth.refresh-reuse", target: { type: "user", id: owner._id }, actor: reused.email });
+        }
+      }
+      return res.status(401).send({ message: "Invalid refresh token" });
+    }
+    if (stored.expiresAt <= new Date()) {
+      return res.status(401).send({ message: "Refresh token expired" });
+    }
+
+    const user = await usersCollection.findOne({ email: stored.email, ...NOT_DELETED });
+    if (!user) {
+      await refreshTokensCollection.deleteMany({ family: stored.family });
+      return res.status(401).send({ message: "Invalid refresh token" });
+    }
+
+    res.send(await issueTokens(user, stored.family));
+  } catch (error) {
+    console.error("Error refreshing token:", error);
+    res.status(500).send({ message: "Failed to refresh token" });
+  }
+});
+
+// Revoke the current access token and, if given, its refresh token family
+app.post("/auth/logout", verifyToken, validate({ body: logoutSchema }), async (req, res) => {
+  try {
+    await revokedTokensCollection.updateOne(
+      { jti: req.decoded.jti },
+      { $setOnInsert: { jti: req.decoded.jti, email: req.decoded.email, expiresAt: new Date(req.decoded.exp * 1000) } },
+      { upsert: true }
+    );
+
+    if (req.body.refreshToken) {
+      const stored = await refreshTokensCollection.findOne({ tokenHash: hashToken(req.body.refreshToken) });
+      if (stored && stored.email === req.decoded.email) {
+        await refreshTokensCollection.deleteMany({ family: stored.family });
+      }
+    }
+
+    const user = await usersCollection.findOne({ email: req.decoded.email });
+    if (user) {
+      await recordAudit(req, { action: "auth.logout", target: { type: "user", id: user._id } });
+    }
+    res.send({ message: "Logged out" });
+  } catch (error) {
+    console.error("Error logging out:", error);
+    res.status(500).send({ message: "Failed to log out" });
   }
-  
-  // ব্যবহারকারীর তথ্যসহ নতুন টোকেন তৈরি করুন
-  const userForToken = await usersCollection.findOne({ email: email });
-  const token = jwt.sign({ email: userForToken.email, role: userForToken.role }, process.env.JWT_SECRET, { expiresIn: "1d" });
-  
-  res.send({ token });
 });
 
 
-// JWT Middleware (Unchanged)
-function verifyToken(req, res, next) {
+// JWT Middleware: token must be valid, carry a jti and not be revoked
+async function verifyToken(req, res, next) {
   const authHeader = req.headers.authorization;
   if (!authHeader) {
     return res.status(401).send({ message: "Unauthorized" });
   }
 
   const token = authHeader.split(" ")[1];
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    if (err) {
-      return res.status(403).send({ message: "Forbidden" });
-    }
-    req.decoded = decoded;
-    next();
-  });
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(403).send({ message: "Forbidden" });
+  }
+
+  // jti ছাড়া পুরনো টোকেন আর গ্রহণযোগ্য নয়
+  if (!decoded.jti) {
+    return res.status(401).send({ message: "Unauthorized" });
+  }
+  // এই টোকেন, অথবা অ্যাকাউন্টের সব পুরনো টোকেন বাতিল করা হয়েছে কিনা
+  const revoked = await revokedTokensCollection.find({ jti: { $in: [decoded.jti, `account:${decoded.email}`] } }).toArray();
+  if (revoked.some(entry => entry.jti === decoded.jti || decoded.iat < entry.issuedBefore)) {
+    return res.status(401).send({ message: "Unauthorized" });
+  }
+  req.decoded = decoded;
+  next();
 }
 
 // -------------------- Users Part (নতুন) --------------------
 // Get user data by email
-app.get('/users/:email', verifyToken, async (req, res) => {
+app.get('/users/:email', verifyToken, validate({ params: emailParams }), async (req, res) => {
     const email = req.params.email;
     if (req.decoded.email !== email) {
         return res.status(403).send({ message: "Forbidden Access" });
     }
-    const result = await usersCollection.findOne({ email });
+    const result = await usersCollection.findOne({ email }, { projection: USER_PUBLIC_PROJECTION });
+    if (result) {
+        result.permissions = ROLE_PERMISSIONS[roleOf(result)];
+    }
     res.send(result);
 });
 
 // -------------------- User Stats Part (নতুন) --------------------
 // Get stats for a specific user (Protected by JWT)
-app.get('/user/stats/:email', verifyToken, async (req, res) => {
+app.get('/user/stats/:email', verifyToken, validate({ params: emailParams }), async (req, res) => {
     try {
         const userEmail = req.params.email;
 
@@ -127,23 +1093,11 @@ app.get('/user/stats/:email', verifyToken, async (req, res) => {
 
         // মোট খরচ গণনা
         const spendingResult = await bookingsCollection.aggregate([
-            { $match: query }, // নির্দিষ্ট ইউজারের বুকিং ফিল্টার করা
-            {
-                $lookup: {
-                    from: 'rooms',
-                    let: { booking_roomId_str: "$roomId" },
-                    pipeline: [
-                        { $addFields: { "string_id": { "$toString": "$_id" } } },
-                        { $match: { $expr: { "$eq": ["$string_id", "$$booking_roomId_str"] } } }
-                    ],
-                    as: 'roomDetails'
-                }
-            },
-            { $unwind: '$roomDetails' },
+            { $match: { ...query, $nor: [AWAITING_PAYMENT] } }, // নির্দিষ্ট ইউজারের বুকিং, পেমেন্টের অপেক্ষায় থাকাগুলো বাদে
             {
                 $group: {
                     _id: null,
-                    totalSpent: { $sum: '$roomDetails.price' }
+                    totalSpent: { $sum: BOOKING_REVENUE } // বুকিং এর সময়ের দাম, রিফান্ড বাদে
                 }
             }
         ]).toArray();
@@ -163,76 +1117,27 @@ app.get('/user/stats/:email', verifyToken, async (req, res) => {
 });
 
 // *** এই সেই API যা চার্টের জন্য দরকার ***
-// User Booking Summary API (ডিবাগিং ভার্সন)
-app.get('/user/booking-summary/:email', verifyToken, async (req, res) => {
+// User Booking Summary API
+app.get('/user/booking-summary/:email', verifyToken, validate({ params: emailParams }), async (req, res) => {
     try {
         const userEmail = req.params.email;
         if (req.decoded.email !== userEmail) {
             return res.status(403).send({ message: "Forbidden Access" });
         }
 
-        
-
-        // ধাপ ১: ব্যবহারকারীর বুকিংগুলো খুঁজে বের করা
-        const userBookings = await bookingsCollection.find({ email: userEmail }).toArray();
-        
-
-        if (userBookings.length === 0) {
-        
-            return res.send([]);
-        }
-
-        // ধাপ ২: সম্পূর্ণ অ্যাগ্রিগেশন চালানো
-        const summary = await bookingsCollection.aggregate([
-            { 
-                $match: { email: userEmail } 
-            },
-            {
-                $lookup: {
-                    from: 'rooms',
-                    let: { roomIdObj: { $toObjectId: '$roomId' } },
-                    pipeline: [
-                        { $match: { $expr: { $eq: ['$_id', '$$roomIdObj'] } } }
-                    ],
-                    as: 'roomDetails'
-                }
-            },
-            // এই ধাপের পর roomDetails অ্যারেতে কিছু থাকা উচিত
-            {
-                $addFields: {
-                    lookupSuccess: { $gt: [{ $size: "$roomDetails" }, 0] }
-                }
-            },
-            // লগ করার জন্য একটি আলাদা ধাপ
-            {
-                $project: {
-                    _id: 1,
-                    roomId: 1,
-                    email: 1,
-                    lookupSuccess: 1,
-                    roomDetails: 1 // আমরা দেখতে চাই এখানে কী আসছে
-                }
-            }
-        ]).toArray();
-        
-        
-
-
-        // ধাপ ৩: চূড়ান্ত ফলাফল তৈরি
+        // রুম অনুযায়ী মোট খরচ, বুকিং এর সময়ে সেভ করা দাম থেকে
         const finalResult = await bookingsCollection.aggregate([
-            { $match: { email: userEmail } },
-            { $lookup: { from: 'rooms', let: { roomIdObj: { $toObjectId: '$roomId' } }, pipeline: [ { $match: { $expr: { $eq: ['$_id', '$$roomIdObj'] } } } ], as: 'roomDetails' } },
+            { $match: { email: userEmail, $nor: [AWAITING_PAYMENT] } },
+            { $lookup: { from: 'rooms', localField: 'roomId', foreignField: '_id', as: 'roomDetails' } },
             { $unwind: '$roomDetails' },
-            { $group: { _id: '$roomDetails.name', value: { $sum: '$roomDetails.price' } } },
+            { $group: { _id: '$roomDetails.name', value: { $sum: BOOKING_REVENUE } } },
             { $project: { _id: 0, name: '$_id', value: 1 } }
         ]).toArray();
 
-        
-        
         res.send(finalResult);
 
     } catch (error) {
-        
+        console.error("Error fetching booking summary:", error);
         res.status(500).send({ message: 'Failed to fetch booking summary' });
     }
 });
@@ -240,7 +1145,7 @@ app.get('/user/booking-summary/:email', verifyToken, async (req, res) => {
 
 // -------------------- User Recent Activity Part (নতুন) --------------------
 // Get recent bookings for a specific user
-app.get('/user/recent-bookings/:email', verifyToken, async (req, res) => {
+app.get('/user/recent-bookings/:email', verifyToken, validate({ params: emailParams }), async (req, res) => {
     try {
         const userEmail = req.params.email;
         if (req.decoded.email !== userEmail) {
@@ -254,11 +1159,8 @@ app.get('/user/recent-bookings/:email', verifyToken, async (req, res) => {
             {
                 $lookup: {
                     from: 'rooms',
-                    let: { booking_roomId_str: "$roomId" },
-                    pipeline: [
-                        { $addFields: { "string_id": { "$toString": "$_id" } } },
-                        { $match: { $expr: { "$eq": ["$string_id", "$$booking_roomId_str"] } } }
-                    ],
+                    localField: 'roomId',
+                    foreignField: '_id',
                     as: 'roomDetails'
                 }
             },
@@ -266,6 +1168,8 @@ app.get('/user/recent-bookings/:email', verifyToken, async (req, res) => {
             {
                 $project: {
                     _id: 1,
+                    checkIn: 1,
+                    checkOut: 1,
                     date: 1,
                     roomId: '$roomDetails._id',
                     roomName: '$roomDetails.roomName',
@@ -284,7 +1188,7 @@ app.get('/user/recent-bookings/:email', verifyToken, async (req, res) => {
 
 // -------------------- User Profile Update Part (নতুন) --------------------
 // Update user profile info in MongoDB
-app.patch('/user/profile', verifyToken, async (req, res) => {
+app.patch('/user/profile', verifyToken, validate({ body: profileSchema }), async (req, res) => {
     try {
         const { email, name, photoURL } = req.body;
 
@@ -301,7 +1205,11 @@ app.patch('/user/profile', verifyToken, async (req, res) => {
             }
         };
 
+        const before = await usersCollection.findOne(filter);
         const result = await usersCollection.updateOne(filter, updatedDoc);
+        if (before) {
+            await recordChange(req, 'user.profile.update', usersCollection, 'user', before);
+        }
         res.send(result);
 
     } catch (error) {
@@ -311,49 +1219,35 @@ app.patch('/user/profile', verifyToken, async (req, res) => {
 });
 
 // Get all users (Admin Only)
-app.get('/users', verifyToken, verifyAdmin, async (req, res) => {
-    const result = await usersCollection.find().toArray();
+app.get('/users', verifyToken, requirePermission('users:read'), async (req, res) => {
+    const result = await usersCollection.find(NOT_DELETED, { projection: USER_PUBLIC_PROJECTION }).toArray();
     res.send(result);
 });
 
 // Make a user admin (Admin Only)
-app.patch('/users/admin/:id', verifyToken, verifyAdmin, async(req, res) => {
-    const id = req.params.id;
-    const filter = { _id: new ObjectId(id) };
-    const updatedDoc = {
-        $set: {
-            role: 'admin'
-        }
-    };
-    const result = await usersCollection.updateOne(filter, updatedDoc);
-    res.send(result);
+app.patch('/users/admin/:id', verifyToken, requirePermission('users:manage'), validate({ params: idParams }), async(req, res) => {
+    const outcome = await changeUserRole({ email: req.decoded.email, role: req.role }, req.params.id, 'admin');
+    if (outcome.error) {
+        return res.status(outcome.httpStatus).send({ message: outcome.error });
+    }
+    await recordChange(req, 'user.role.update', usersCollection, 'user', outcome.target);
+    res.send(outcome.result);
 });
 
 // -------------------- Admin Stats Part (পরিবর্তিত) --------------------
 // Get all stats (Admin Only)
-app.get('/admin/stats', verifyToken, verifyAdmin, async (req, res) => {
+app.get('/admin/stats', verifyToken, requirePermission('reports:read'), async (req, res) => {
     try {
-        const usersCount = await usersCollection.estimatedDocumentCount();
-        const roomsCount = await roomsCollection.estimatedDocumentCount();
+        const usersCount = await usersCollection.countDocuments(NOT_DELETED);
+        const roomsCount = await roomsCollection.countDocuments(NOT_DELETED);
         const bookingsCount = await bookingsCollection.estimatedDocumentCount();
 
         const revenueResult = await bookingsCollection.aggregate([
-            {
-                $lookup: {
-                    from: 'rooms',
-                    let: { booking_roomId_str: "$roomId" },
-                    pipeline: [
-                        { $addFields: { "string_id": { "$toString": "$_id" } } },
-                        { $match: { $expr: { "$eq": ["$string_id", "$$booking_roomId_str"] } } }
-                    ],
-                    as: 'roomDetails'
-                }
-            },
-            { $unwind: '$roomDetails' },
+            { $match: { $nor: [AWAITING_PAYMENT] } },
             {
                 $group: {
                     _id: null,
-                    totalRevenue: { $sum: '$roomDetails.price' }
+                    totalRevenue: { $sum: BOOKING_REVENUE }
                 }
             }
         ]).toArray();
@@ -376,6 +1270,8 @@ app.get('/admin/stats', verifyToken, verifyAdmin, async (req, res) => {
                 $project: { // প্রয়োজনীয় ফিল্ডগুলো নির্বাচন করুন
                     _id: 1,
                     email: 1,
+                    checkIn: 1,
+                    checkOut: 1,
                     date: 1,
                     userPhoto: '$userDetails.photoURL' // ব্যবহারকারীর ছবি যোগ করুন
                 }
@@ -399,14 +1295,16 @@ app.get('/admin/stats', verifyToken, verifyAdmin, async (req, res) => {
 // -------------------- Manage Users Part (Admin Only) --------------------
 
 // 1. সকল ব্যবহারকারীকে পেজিনেশনসহ পাওয়ার জন্য API
-app.get('/admin/users', verifyToken, verifyAdmin, async (req, res) => {
+// ?deleted=true দিলে শুধু মুছে ফেলা (রিস্টোর করা যায় এমন) ব্যবহারকারী
+app.get('/admin/users', verifyToken, requirePermission('users:read'), validate({ query: adminUsersQuery }), async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 10;
         const skip = (page - 1) * limit;
+        const query = req.query.deleted ? { deletedAt: { $ne: null } } : NOT_DELETED;
 
-        const users = await usersCollection.find().skip(skip).limit(limit).toArray();
-        const totalUsers = await usersCollection.countDocuments();
+        const users = await usersCollection.find(query, { projection: USER_PUBLIC_PROJECTION }).skip(skip).limit(limit).toArray();
+        const totalUsers = await usersCollection.countDocuments(query);
 
         res.send({
             users,
@@ -420,49 +1318,81 @@ app.get('/admin/users', verifyToken, verifyAdmin, async (req, res) => {
 });
 
 // 2. ব্যবহারকারীর রোল পরিবর্তন করার জন্য API
-app.patch('/admin/users/role/:id', verifyToken, verifyAdmin, async (req, res) => {
+app.patch('/admin/users/role/:id', verifyToken, requirePermission('users:manage'), validate({ params: idParams, body: { role: { type: "string", required: true, enum: ROLES } } }), async (req, res) => {
     try {
-        const id = req.params.id;
-        const { role } = req.body;
-        const filter = { _id: new ObjectId(id) };
-        const updatedDoc = {
-            $set: { role: role }
-        };
-        const result = await usersCollection.updateOne(filter, updatedDoc);
-        res.send(result);
+        const outcome = await changeUserRole({ email: req.decoded.email, role: req.role }, req.params.id, req.body.role);
+        if (outcome.error) {
+            return res.status(outcome.httpStatus).send({ message: outcome.error });
+        }
+        await recordChange(req, 'user.role.update', usersCollection, 'user', outcome.target);
+        res.send(outcome.result);
     } catch (error) {
         res.status(500).send({ message: 'Failed to update user role' });
     }
 });
 
 // 3. ব্যবহারকারী ডিলেট করার জন্য API
-app.delete('/admin/users/:id', verifyToken, verifyAdmin, async (req, res) => {
+// Soft delete: the account is kept for restore, but upcoming bookings are
+// cancelled, holds and waitlist entries ended, refresh and access tokens
+// revoked and reviews anonymized (see removeUser)
+app.delete('/admin/users/:id', verifyToken, requirePermission('users:manage'), validate({ params: idParams }), async (req, res) => {
     try {
         const id = req.params.id;
+        const userToDelete = await usersCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+        if (!userToDelete) {
+            return res.status(404).send({ message: "User not found" });
+        }
         // অ্যাডমিন নিজেকে ডিলেট করতে পারবে না
-        const userToDelete = await usersCollection.findOne({ _id: new ObjectId(id) });
         if (userToDelete.email === req.decoded.email) {
             return res.status(400).send({ message: "Admin cannot delete themselves." });
         }
-        
-        const result = await usersCollection.deleteOne({ _id: new ObjectId(id) });
-        res.send(result);
+        // অ্যাডমিন হলে আগে ডিলেটেড চিহ্নিত করা হয়, যাতে শেষ অ্যাডমিন চলে না যায়
+        if (roleOf(userToDelete) === 'admin' && !await updateUnlessLastAdmin(userToDelete._id, { $set: { deletedAt: new Date(), deletedBy: req.decoded.email } })) {
+            return res.status(409).send({ message: "The last admin cannot be deleted" });
+        }
+
+        const summary = await removeUser(userToDelete, req);
+        await recordChange(req, 'user.delete', usersCollection, 'user', userToDelete);
+        res.send({ message: "User deleted", ...summary });
     } catch (error) {
+        console.error("Error deleting user:", error);
         res.status(500).send({ message: 'Failed to delete user' });
     }
 });
 
+// 4. মুছে ফেলা ব্যবহারকারী ফিরিয়ে আনা (বাতিল হওয়া বুকিং বাতিলই থাকবে)
+app.post('/admin/users/:id/restore', verifyToken, requirePermission('users:manage'), validate({ params: idParams }), async (req, res) => {
+    try {
+        const user = await usersCollection.findOne({ _id: new ObjectId(req.params.id), deletedAt: { $ne: null } });
+        if (!user) {
+            return res.status(404).send({ message: "Deleted user not found" });
+        }
+        const summary = await restoreUser(user);
+        await recordChange(req, 'user.restore', usersCollection, 'user', user);
+        res.send({ message: "User restored", ...summary });
+    } catch (error) {
+        console.error("Error restoring user:", error);
+        res.status(500).send({ message: 'Failed to restore user' });
+    }
+});
+
 // -------------------- Rooms Part (Unchanged) --------------------
 // ... আপনার বাকি কোড এখানে অপরিবর্তিত থাকবে ...
+// চ্যানেলের ক্যালেন্ডার URL আর ফিডের টোকেন হ্যাশ গোপন, রুমের রেসপন্সে যাবে না
+const ROOM_PUBLIC_PROJECTION = { icalSources: 0, icalTokenHash: 0 };
+
 // Get all rooms (with price range filter)
 // GET all rooms (ফিল্টারিং এবং পেজিনেশনসহ সম্মিলিত ভার্সন)
-app.get('/rooms', async (req, res) => {
+app.get('/rooms', validate({ query: roomsQuery }), async (req, res) => {
     try {
         // দাম অনুযায়ী ফিল্টারিং এর জন্য
+        // ?date= দিলে সেই রাতের রেট প্ল্যান অনুযায়ী দাম (effectiveRate) দিয়ে ফিল্টার হবে
         const { minPrice, maxPrice } = req.query;
-        let query = {};
-        if (minPrice && maxPrice) {
-            query.price = {
+        const date = toDay(req.query.date);
+        const priceField = date ? 'effectiveRate' : 'price';
+        let query = { ...NOT_DELETED };
+        if (minPrice !== undefined && maxPrice !== undefined) {
+            query[priceField] = {
                 $gte: parseFloat(minPrice),
                 $lte: parseFloat(maxPrice)
             };
@@ -473,7 +1403,28 @@ app.get('/rooms', async (req, res) => {
         const limit = parseInt(req.query.limit) || 10; // ডিফল্ট ১০টি, অ্যাডমিন প্যানেলে ৫টি করে আসবে
         const skip = (page - 1) * limit;
 
-        const rooms = await roomsCollection.find(query).skip(skip).limit(limit).toArray();
+        if (date) {
+            const [result] = await roomsCollection.aggregate([
+                { $match: NOT_DELETED },
+                effectiveRateStage(date),
+                { $match: query },
+                { $project: ROOM_PUBLIC_PROJECTION },
+                {
+                    $facet: {
+                        rooms: [{ $skip: skip }, { $limit: limit }],
+                        total: [{ $count: 'count' }]
+                    }
+                }
+            ]).toArray();
+            const totalRooms = result.total[0]?.count || 0;
+            return res.send({
+                rooms: result.rooms,
+                totalRooms,
+                totalPages: Math.ceil(totalRooms / limit)
+            });
+        }
+
+        const rooms = await roomsCollection.find(query, { projection: ROOM_PUBLIC_PROJECTION }).skip(skip).limit(limit).toArray();
         const totalRooms = await roomsCollection.countDocuments(query);
         
         res.send({
@@ -490,8 +1441,8 @@ app.get('/rooms', async (req, res) => {
 // Get Top 6 Rooms by Rating
 app.get("/rooms/featured/top-rated", async (req, res) => {
   try {
-    const topRooms = await roomsCollection
-      .find()
+    const topRooms = await roomsCollection
+      .find(NOT_DELETED, { projection: ROOM_PUBLIC_PROJECTION })
       .sort({ rating: -1 })
       .limit(6)
       .toArray();
@@ -502,22 +1453,129 @@ app.get("/rooms/featured/top-rated", async (req, res) => {
 });
 
 
+// Search rooms free for a whole stay
+// ?checkIn=2025-07-10&checkOut=2025-07-14&guests=3&amenities=wifi,pool&type=suite
+//  &minPrice=&maxPrice=&sort=price|rating|popularity&order=asc|desc&page=&limit=
+// Prices are the stay's average nightly rate (averageRate), so a cheap first
+// night doesn't make an expensive stay look cheap.
+app.get('/rooms/search', validate({ query: roomSearchQuery }), async (req, res) => {
+    try {
+        const stay = parseStay(req.query);
+        if (stay.error) {
+            return res.status(400).send({ message: stay.error });
+        }
+        const { checkIn, checkOut } = stay;
+        const nights = eachNight(checkIn, checkOut).length;
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+
+        // যে রুমগুলোর কোনো রাত আগেই বুক হয়ে আছে সেগুলো বাদ
+        const query = { _id: { $nin: await unavailableRoomIds(checkIn, checkOut) }, ...NOT_DELETED };
+
+        const guests = parseInt(req.query.guests);
+        if (guests > 0) {
+            query.capacity = { $gte: guests };
+        }
+        if (req.query.amenities?.length) {
+            query.amenities = { $all: req.query.amenities };
+        }
+        if (req.query.type?.length) {
+            query.type = { $in: req.query.type };
+        }
+
+        const priceQuery = {};
+        if (req.query.minPrice !== undefined) {
+            priceQuery.$gte = req.query.minPrice;
+        }
+        if (req.query.maxPrice !== undefined) {
+            priceQuery.$lte = req.query.maxPrice;
+        }
+
+        const pipeline = [
+            { $match: query },
+            minStayStage(checkIn),
+            { $match: { minStay: { $lte: nights } } },
+            effectiveRateStage(checkIn),
+            averageRateStage(checkIn, checkOut),
+        ];
+        if (Object.keys(priceQuery).length > 0) {
+            pipeline.push({ $match: { averageRate: priceQuery } });
+        }
+
+        const order = req.query.order === 'asc' ? 1 : -1;
+        if (req.query.sort === 'popularity') {
+            pipeline.push(
+                {
+                    $lookup: {
+                        from: 'bookings',
+                        localField: '_id',
+                        foreignField: 'roomId',
+                        pipeline: [
+                            { $match: ACTIVE_BOOKING },
+                            { $count: 'count' }
+                        ],
+                        as: 'popularity'
+                    }
+                },
+                { $addFields: { bookingCount: { $ifNull: [{ $first: '$popularity.count' }, 0] } } },
+                { $project: { popularity: 0 } },
+                { $sort: { bookingCount: order, _id: 1 } }
+            );
+        } else if (req.query.sort === 'rating') {
+            pipeline.push({ $sort: { rating: order, _id: 1 } });
+        } else {
+            // দাম অনুযায়ী, ডিফল্ট সবচেয়ে কম দাম আগে
+            pipeline.push({ $sort: { averageRate: req.query.order === 'desc' ? -1 : 1, _id: 1 } });
+        }
+
+        pipeline.push({ $project: ROOM_PUBLIC_PROJECTION }, {
+            $facet: {
+                rooms: [{ $skip: skip }, { $limit: limit }],
+                total: [{ $count: 'count' }]
+            }
+        });
+
+        const [result] = await roomsCollection.aggregate(pipeline).toArray();
+        const totalRooms = result.total[0]?.count || 0;
+
+        // প্রতিটি রুমের পুরো থাকার মোট দাম
+        const rooms = result.rooms.map(room => ({
+            ...room,
+            stayTotal: priceStay(room, checkIn, checkOut).total
+        }));
+
+        res.send({
+            rooms,
+            totalRooms,
+            totalPages: Math.ceil(totalRooms / limit),
+            currentPage: page
+        });
+    } catch (error) {
+        console.error("Error searching rooms:", error);
+        res.status(500).send({ message: 'Failed to search rooms' });
+    }
+});
+
 // Get single room by ID
-app.get("/rooms/:id", async (req, res) => {
+app.get("/rooms/:id", validate({ params: idParams }), async (req, res) => {
   try {
     const id = req.params.id;
-    const result = await roomsCollection.findOne({ _id: new ObjectId(id) });
-    res.send(result);
+    const result = await roomsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED }, { projection: ROOM_PUBLIC_PROJECTION });
+    res.send(result);
   } catch (error) {
     res.status(500).send({ error: "Failed to fetch room" });
   }
 });
 
 // POST a new room (নতুন - Admin Only)
-app.post('/rooms', verifyToken, verifyAdmin, async (req, res) => {
+app.post('/rooms', verifyToken, requirePermission('rooms:write'), validate({ body: roomSchema }), async (req, res) => {
     try {
         const roomData = req.body;
         const result = await roomsCollection.insertOne(roomData);
+        await recordAudit(req, { action: 'room.create', target: { type: 'room', id: result.insertedId }, after: roomData });
+        await emitDocumentEvent('room.created', roomsCollection, result.insertedId);
         res.send(result);
     } catch (error) {
         res.status(500).send({ message: 'Failed to create room' });
@@ -525,15 +1583,27 @@ app.post('/rooms', verifyToken, verifyAdmin, async (req, res) => {
 });
 
 // PATCH/update a room (নতুন - Admin Only)
-app.patch('/rooms/:id', verifyToken, verifyAdmin, async (req, res) => {
+app.patch('/rooms/:id', verifyToken, requirePermission('rooms:write'), validate({ params: idParams, body: { schema: roomSchema, partial: true } }), async (req, res) => {
     try {
         const id = req.params.id;
+        // স্কিমাতে নেই এমন ফিল্ড আগেই বাদ পড়ে গেছে
         const updatedData = req.body;
-        const filter = { _id: new ObjectId(id) };
+        if (Object.keys(updatedData).length === 0) {
+            return res.status(400).send({ message: "Nothing to update" });
+        }
+        const filter = { _id: new ObjectId(id), ...NOT_DELETED };
         const updatedDoc = {
             $set: updatedData
         };
+        const before = await roomsCollection.findOne(filter);
         const result = await roomsCollection.updateOne(filter, updatedDoc);
+        if (result.matchedCount === 0) {
+            return res.status(404).send({ message: "Room not found" });
+        }
+        if (before) {
+            await recordChange(req, 'room.update', roomsCollection, 'room', before);
+            await emitDocumentEvent('room.updated', roomsCollection, before._id);
+        }
         res.send(result);
     } catch (error) {
         res.status(500).send({ message: 'Failed to update room' });
@@ -541,256 +1611,3543 @@ app.patch('/rooms/:id', verifyToken, verifyAdmin, async (req, res) => {
 });
 
 // DELETE a room (নতুন - Admin Only)
-app.delete('/rooms/:id', verifyToken, verifyAdmin, async (req, res) => {
+// Soft delete. Refused while the room still has upcoming or in-house
+// bookings, or a guest holds some of its nights while checking out — cancel
+// or move those first. Its waitlist is closed and the holds of open
+// waitlist offers are released.
+app.delete('/rooms/:id', verifyToken, requirePermission('rooms:write'), validate({ params: idParams }), async (req, res) => {
     try {
         const id = req.params.id;
-        const result = await roomsCollection.deleteOne({ _id: new ObjectId(id) });
-        res.send(result);
+        const before = await roomsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+        if (!before) {
+            return res.status(404).send({ message: "Room not found" });
+        }
+
+        const upcomingBookings = await bookingsCollection.countDocuments({ roomId: before._id, ...UNFINISHED_STAY() });
+        if (upcomingBookings > 0) {
+            return res.status(409).send({
+                message: "This room has upcoming bookings. Cancel or move them before deleting the room.",
+                upcomingBookings
+            });
+        }
+        const activeHolds = await holdsCollection.countDocuments({ roomId: before._id, waitlistId: { $exists: false }, ...ACTIVE_HOLD() });
+        if (activeHolds > 0) {
+            return res.status(409).send({
+                message: "Guests are checking out on this room. Try again once their holds have ended.",
+                activeHolds
+            });
+        }
+
+        const result = await roomsCollection.updateOne(
+            { _id: before._id },
+            { $set: { deletedAt: new Date(), deletedBy: req.decoded.email } }
+        );
+
+        // removeUser এর মতো: আগে এন্ট্রি বন্ধ, তারপর অফারের হোল্ড ছাড়া
+        const waitlist = await waitlistCollection.updateMany(
+            { roomId: before._id, status: { $in: OPEN_WAITLIST_STATUSES } },
+            { $set: { status: "removed", closedAt: new Date() } }
+        );
+        const offerHolds = await holdsCollection.find({ roomId: before._id, status: "active" }).toArray();
+        let releasedHolds = 0;
+        for (const hold of offerHolds) {
+            if (await releaseHold(hold, "released")) {
+                releasedHolds++;
+            }
+        }
+
+        await recordChange(req, 'room.delete', roomsCollection, 'room', before);
+        await emitDocumentEvent('room.deleted', roomsCollection, before._id);
+        res.send({ ...result, closedWaitlistEntries: waitlist.modifiedCount, releasedHolds });
     } catch (error) {
+        console.error("Error deleting room:", error);
         res.status(500).send({ message: 'Failed to delete room' });
     }
 });
 
+// Deleted rooms, so they can be found and restored (Admin Only)
+app.get('/admin/rooms/deleted', verifyToken, requirePermission('rooms:write'), validate({ query: paginationQuery }), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+        const query = { deletedAt: { $ne: null } };
 
-// -------------------- Bookings Part --------------------More actions
-
-// Book a room (with duplicate check)
-app.post("/bookings", verifyToken, async (req, res) => {
-  try {
-    // ১. আপনি আগের মতোই ফ্রন্টএন্ড থেকে আসা ডেটা 'booking' ভ্যারিয়েবলে রাখছেন
-    const booking = req.body;
-    const { roomId, email, date } = booking;
+        const rooms = await roomsCollection.find(query).sort({ deletedAt: -1 }).skip(skip).limit(limit).toArray();
+        const totalRooms = await roomsCollection.countDocuments(query);
+        res.send({
+            rooms,
+            totalRooms,
+            totalPages: Math.ceil(totalRooms / limit),
+            currentPage: page
+        });
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to fetch deleted rooms' });
+    }
+});
 
-    // ২. আপনার দুটি ভ্যালিডেশন বা নিরাপত্তা চেক আগের মতোই কাজ করবে
-    // কারণ এগুলো শুধু roomId, email, এবং date ব্যবহার করে, যা অপরিবর্তিত আছে।
-    const existingUserBooking = await bookingsCollection.findOne({ roomId, email, date });
-    if (existingUserBooking) {
-      return res.status(400).send({ message: "You already booked this room on this date" });
+// Restore a deleted room (Admin Only)
+app.post('/rooms/:id/restore', verifyToken, requirePermission('rooms:write'), validate({ params: idParams }), async (req, res) => {
+    try {
+        const before = await roomsCollection.findOne({ _id: new ObjectId(req.params.id), deletedAt: { $ne: null } });
+        if (!before) {
+            return res.status(404).send({ message: "Deleted room not found" });
+        }
+        const result = await roomsCollection.updateOne({ _id: before._id }, { $unset: { deletedAt: "", deletedBy: "" } });
+        await recordChange(req, 'room.restore', roomsCollection, 'room', before);
+        await emitDocumentEvent('room.updated', roomsCollection, before._id);
+        res.send(result);
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to restore room' });
     }
-    const existingRoomBooking = await bookingsCollection.findOne({ roomId, date });
-    if (existingRoomBooking) {
-      return res.status(409).send({ message: "Room already booked on this date" });
+});
+
+// Get a room's rate plans
+app.get('/rooms/:id/rate-plans', validate({ params: idParams }), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const room = await roomsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED }, { projection: { price: 1, ratePlans: 1 } });
+        if (!room) {
+            return res.status(404).send({ message: "Room not found" });
+        }
+        res.send({ price: room.price, ratePlans: room.ratePlans || {} });
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to fetch rate plans' });
     }
+});
 
-    // ৩. আমার দেওয়া নতুন অংশটি এখানে যোগ হবে
-    // এটি 'booking' এর সকল তথ্যের সাথে শুধু নতুন 'createdAt' ফিল্ডটি যোগ করে একটি নতুন অবজেক্ট তৈরি করবে
-    const bookingWithTimestamp = {
-        ...booking,
-        createdAt: new Date() 
-    };
+// Replace a room's rate plans (Admin Only)
+app.put('/rooms/:id/rate-plans', verifyToken, requirePermission('rooms:write'), validate({ params: idParams, body: ratePlansFields }), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const ratePlans = req.body;
+        const before = await roomsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+        if (!before) {
+            return res.status(404).send({ message: "Room not found" });
+        }
+        const result = await roomsCollection.updateOne({ _id: before._id }, { $set: { ratePlans } });
+        await recordChange(req, 'room.rate-plans.update', roomsCollection, 'room', before);
+        await emitDocumentEvent('room.updated', roomsCollection, before._id);
+        res.send(result);
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to update rate plans' });
+    }
+});
 
-    // ৪. সবশেষে, ডাটাবেসে নতুন তথ্যসহ অবজেক্টটি (bookingWithTimestamp) সেভ করা হচ্ছে
-    const result = await bookingsCollection.insertOne(bookingWithTimestamp);
-    res.send(result);
-    
-  } catch (error) {
-    res.status(500).send({ error: "Failed to book room" });
-  }
+// Remove all rate plans, back to the standard price (Admin Only)
+app.delete('/rooms/:id/rate-plans', verifyToken, requirePermission('rooms:write'), validate({ params: idParams }), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const before = await roomsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+        if (!before) {
+            return res.status(404).send({ message: "Room not found" });
+        }
+        const result = await roomsCollection.updateOne({ _id: before._id }, { $unset: { ratePlans: "" } });
+        if (result.modifiedCount > 0) {
+            await recordChange(req, 'room.rate-plans.delete', roomsCollection, 'room', before);
+            await emitDocumentEvent('room.updated', roomsCollection, before._id);
+        }
+        res.send(result);
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to remove rate plans' });
+    }
 });
 
-// Get bookings for a specific user by email 
-app.get("/bookings", verifyToken, async (req, res) => {
-  const email = req.query.email;
-  if (req.decoded.email !== email) {
-    return res.status(403).send({ message: "Forbidden Access" });
-  }
-  try {
-    const result = await bookingsCollection.find({ email }).toArray();
-    res.send(result);
-  } catch (error) {
-    res.status(500).send({ error: "Failed to fetch bookings" });
-  }
+// Quote a stay: nightly breakdown plus taxes, fees and discount
+// ?checkIn=2025-07-10&checkOut=2025-07-14&promoCode=SUMMER10
+app.get('/rooms/:id/quote', validate({ params: idParams, query: quoteQuery }), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const stay = parseStay(req.query);
+        if (stay.error) {
+            return res.status(400).send({ message: stay.error });
+        }
+        const room = await roomsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+        if (!room) {
+            return res.status(404).send({ message: "Room not found" });
+        }
+
+        const quote = priceStay(room, stay.checkIn, stay.checkOut, { promoCode: req.query.promoCode });
+        if (quote.error) {
+            return res.status(400).send({ message: quote.error });
+        }
+        res.send({ roomId: id, ...stay, ...quote });
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to quote stay' });
+    }
 });
 
-// Get a single booking by its ID
-app.get("/booking/:id", verifyToken, async (req, res) => {
-  try {
-    const { id } = req.params;
-    // Check if the ID is a valid MongoDB ObjectId
-    if (!ObjectId.isValid(id)) {
-      return res.status(400).send({ message: "Invalid booking ID format" });
-    }
 
-    const booking = await bookingsCollection.findOne({ _id: new ObjectId(id) });
+// -------------------- Booking Status --------------------
+// pending → confirmed → checked-in → checked-out, with cancelled and no-show
+// as the other ways out. Every change is appended to `statusHistory`.
+const BOOKING_TRANSITIONS = {
+  "pending": ["confirmed", "cancelled"],
+  "confirmed": ["checked-in", "cancelled", "no-show"],
+  "checked-in": ["checked-out"],
+  "checked-out": [],
+  "cancelled": [],
+  "no-show": [],
+};
+const RESCHEDULABLE_STATUSES = ["pending", "confirmed"];
 
-    if (!booking) {
-      return res.status(404).send({ message: "Booking not found" });
-    }
+// Cancelled bookings keep their document but no longer hold the room
+const ACTIVE_BOOKING = { status: { $ne: "cancelled" } };
 
-    // Authorization check: ensure the user requesting the booking is the one who made it
-    if (req.decoded.email !== booking.email) {
-      return res.status(403).send({ message: "Forbidden Access" });
-    }
+// Bookings made before statuses existed have none; treat them as confirmed
+function statusOf(booking) {
+  return booking.status || "confirmed";
+}
 
-    res.send(booking);
-  } catch (error) {
-    console.error("Error fetching single booking:", error);
-    res.status(500).send({ error: "Failed to fetch booking details" });
-  }
-});
+// Moves a booking to `nextStatus` if the transition is allowed and nobody
+// changed the booking in the meantime. Returns { error } otherwise.
+async function transitionBooking(booking, nextStatus, actorEmail, extraFields = {}) {
+  const currentStatus = statusOf(booking);
+  if (!BOOKING_TRANSITIONS[currentStatus]?.includes(nextStatus)) {
+    return { error: `Cannot change a ${currentStatus} booking to ${nextStatus}` };
+  }
 
-// Retrieve all booked dates for a specific room.
-app.get("/bookings/room/:roomId/dates", async (req, res) => {
-  try {
-    const { roomId } = req.params;
-    const bookings = await bookingsCollection
-      .find({ roomId }, { projection: { date: 1, _id: 0 } })
-      .toArray();
-    const dates = bookings.map(b => b.date);
-    res.send(dates);
-  } catch (error) {
-    res.status(500).send({ error: "Failed to fetch booked dates" });
-  }
-});
+  const result = await bookingsCollection.updateOne(
+    { _id: booking._id, status: booking.status ?? null },
+    {
+      $set: { status: nextStatus, ...extraFields },
+      $push: { statusHistory: { from: currentStatus, to: nextStatus, at: new Date(), by: actorEmail } }
+    }
+  );
+  if (result.modifiedCount === 0) {
+    return { error: "Booking was changed by another request, please retry" };
+  }
 
+  if (nextStatus === "cancelled") {
+    await releaseNights(booking._id);
+  }
+  return { status: nextStatus };
+}
 
-// Check if a user has already booked this room.
-app.get("/bookings/check", verifyToken, async (req, res) => {
-  const { roomId, email } = req.query;
 
-  if (req.decoded.email !== email) {
-    return res.status(403).send({ message: "Forbidden Access" });
-  }
+// -------------------- Cancellation Policy --------------------
+// A policy is a list of tiers: cancelling at least `hoursBeforeCheckIn` hours
+// before check-in refunds `refundPercent` of the booking total. Once check-in
+// time has passed nothing is refunded. Bookings keep a copy of the policy
+// they were made under.
+const CHECK_IN_HOUR = parseInt(process.env.CHECK_IN_HOUR) || 14; // UTC
+const DEFAULT_CANCELLATION_POLICY = {
+  tiers: [
+    { hoursBeforeCheckIn: 48, refundPercent: 100 },
+    { hoursBeforeCheckIn: 0, refundPercent: 50 },
+  ],
+};
 
-  try {
-    const existingBooking = await bookingsCollection.findOne({ roomId, email });
-    res.send({ hasBooked: !!existingBooking }); 
-  } catch (error) {
-    res.status(500).send({ error: "Failed to check booking status" });
-  }
-});
+// What the hotel keeps from a booking: its price, minus any refund once
+// cancelled. Cancellations without a recorded refund keep nothing. Bookings
+// from before price snapshots get one from migration 003.
+const BOOKING_REVENUE = {
+  $cond: [
+    { $eq: ["$status", "cancelled"] },
+    { $subtract: [{ $ifNull: ["$price.total", 0] }, { $ifNull: ["$refund.amount", "$price.total"] }] },
+    { $ifNull: ["$price.total", 0] },
+  ],
+};
 
+// Bookings that hold nights but haven't been paid for (yet); revenue reports
+// leave them out
+const AWAITING_PAYMENT = { status: 'pending', 'payment.status': 'requires_payment' };
 
-// Get bookings for a specific room on a specific date
-app.get("/bookings/room/:roomId/date/:date", async (req, res) => {
-  try {
-    const { roomId, date } = req.params;
-    const result = await bookingsCollection.find({ roomId, date }).toArray();
-    res.send(result);
-  } catch (error) {
-    res.status(500).send({ error: "Failed to fetch room bookings for date" });
-  }
-});
+// Cancels a booking and records the refund it is owed. Returns { error } if
+// the booking can't be cancelled from its current status. A booking whose
+// payment never went through is owed nothing; one paid through the gateway
+// is refunded there, never more than what is left of the payment.
+async function cancelBooking(booking, actorEmail) {
+  let policy = booking.cancellationPolicy;
+  if (!policy) {
+    const room = await roomsCollection.findOne({ _id: booking.roomId });
+    policy = room?.cancellationPolicy || DEFAULT_CANCELLATION_POLICY;
+  }
 
-// Get bookings for a specific user by email 
-app.get("/bookings/user/:email", verifyToken, async (req, res) => {
-  const { email } = req.params;
-  if (req.decoded.email !== email) {
-    return res.status(403).send({ message: "Forbidden Access" });
-  }
-  try {
-    const result = await bookingsCollection.find({ email }).toArray();
-    res.send(result);
-  } catch (error) {
-    res.status(500).send({ error: "Failed to fetch user bookings" });
-  }
-});
+  const now = new Date();
+  const unpaid = booking.payment && booking.payment.status !== "succeeded";
+  let refund = null;
+  if (!unpaid) {
+    refund = { ...computeRefund(booking, policy, { now, checkInHour: CHECK_IN_HOUR, currency: PRICING.currency }), issuedAt: now, issuedBy: actorEmail };
+    if (booking.payment) {
+      refund.amount = Math.min(refund.amount, refundableAmount(booking.payment));
+    }
+  }
+  const result = await transitionBooking(booking, "cancelled", actorEmail, { cancelledAt: now, ...(refund && { refund }) });
+  if (result.error) {
+    return result;
+  }
+  if (unpaid && booking.payment.status === "requires_payment") {
+    await cancelPaymentIntent(booking);
+  }
+  if (refund && refund.amount > 0 && booking.payment?.status === "succeeded") {
+    Object.assign(refund, await refundPayment(booking, refund.amount));
+  }
+  const stay = stayOf(booking);
+  if (stay) {
+    await offerFreedNights(booking.roomId, eachNight(stay.checkIn, stay.checkOut));
+  }
+  await notifyBooking("booking.cancellation", booking._id);
+  await emitDocumentEvent("booking.cancelled", bookingsCollection, booking._id);
+  return { ...result, refund };
+}
 
 
-// Cancel a booking
-app.delete("/bookings/:id", verifyToken, async (req, res) => {
-  const bookingId = req.params.id;
-  const userEmail = req.decoded.email; 
+// -------------------- Rate Plans --------------------
+// How a room's ratePlans price each night is described in lib/pricing.js
+// (ratePlansFields above validates them); here that pricing is mirrored in
+// aggregation stages for search.
 
-  try {
-    
-    const booking = await bookingsCollection.findOne({ _id: new ObjectId(bookingId) });
+// Aggregation expression for the season (if any) that `night` falls in
+function seasonExpr(night) {
+  return {
+    $first: {
+      $filter: {
+        input: { $ifNull: ["$ratePlans.seasons", []] },
+        as: "season",
+        cond: { $and: [{ $lte: ["$$season.start", night] }, { $gte: ["$$season.end", night] }] }
+      }
+    }
+  };
+}
 
-    if (!booking) {
-      return res.status(404).send({ message: "Booking not found" });
-    }
+// Aggregation stage adding `minStay`: the shortest stay checking in on `night`
+function minStayStage(night) {
+  return {
+    $addFields: {
+      minStay: {
+        $let: {
+          vars: { season: seasonExpr(night) },
+          in: { $ifNull: ["$$season.minStay", { $ifNull: ["$ratePlans.minStay", 1] }] }
+        }
+      }
+    }
+  };
+}
 
-    
-    if (booking.email !== userEmail) {
-      return res.status(403).send({ message: "Forbidden: You are not authorized to cancel this booking." });
-    }
+// Aggregation stage adding `effectiveRate`: what one night starting on `night`
+// costs if booked today. Mirrors nightlyRates() (lib/pricing.js) so /rooms can filter on it.
+function effectiveRateStage(night) {
+  return { $addFields: { effectiveRate: effectiveRateExpr(night, daysBetween(today(), night)) } };
+}
 
-    const result = await bookingsCollection.deleteOne({ _id: new ObjectId(bookingId) });
-    if (result.deletedCount === 1) {
-      res.send({ message: "Booking cancelled successfully" });
-    } else {
-      res.status(404).send({ message: "Booking not found" });
-    }
-  } catch (error) {
-    console.error("Error cancelling booking:", error);
-    res.status(500).send({ message: "Server error" });
-  }
-});
+// Aggregation stage adding `averageRate`: the average nightly rate of the
+// whole stay if booked today, which is what search filters and sorts on.
+// As in nightlyRates(), the lead time counts to check-in for every night, and
+// as in computeBookingPrice() the rates are summed and rounded before dividing.
+function averageRateStage(checkIn, checkOut) {
+  const leadDays = daysBetween(today(), checkIn);
+  const nights = eachNight(checkIn, checkOut);
+  return {
+    $addFields: {
+      averageRate: roundMoneyExpr({
+        $divide: [roundMoneyExpr({ $add: nights.map(night => effectiveRateExpr(night, leadDays)) }), nights.length]
+      })
+    }
+  };
+}
 
+// roundMoney() as an aggregation expression. $round rounds halves to even,
+// Math.round rounds them up, so that would be a cent off now and then.
+function roundMoneyExpr(amount) {
+  return { $divide: [{ $floor: { $add: [{ $multiply: [amount, 100] }, 0.5] } }, 100] };
+}
 
-// Update booking date
-app.patch("/bookings/:id", verifyToken, async (req, res) => {
-  const id = req.params.id;
-  const { date } = req.body;
-  try {
-    // Before updating, check if the room is already booked by anyone else on that new date
-    const existingBooking = await bookingsCollection.findOne({
-      roomId: req.body.roomId, 
-      date,
-      _id: { $ne: new ObjectId(id) }, 
-    });
-
-    if (existingBooking) {
-      return res.status(409).send({ message: "Room already booked on this date" });
-    }
+// Rate of the night starting on `night` for a stay booked `leadDays` ahead
+function effectiveRateExpr(night, leadDays) {
+  const weekday = new Date(`${night}T00:00:00Z`).getUTCDay();
 
-    const result = await bookingsCollection.updateOne(
-      { _id: new ObjectId(id) },
-      { $set: { date } }
-    );
-    res.send(result);
-  } catch (error) {
-    res.status(500).send({ error: "Failed to update booking date" });
-  }
-});
+  return {
+    $let: {
+      vars: {
+        plans: { $ifNull: ["$ratePlans", {}] },
+        // Number(room.price) || 0, as in nightlyRates(): older rooms may hold a string
+        standardRate: { $convert: { input: "$price", to: "double", onError: 0, onNull: 0 } }
+      },
+      in: {
+        $let: {
+          vars: {
+            season: seasonExpr(night),
+            isWeekend: { $in: [weekday, { $ifNull: ["$$plans.weekendDays", DEFAULT_WEEKEND_DAYS] }] },
+            percent: {
+              $cond: [
+                { $lte: [leadDays, { $ifNull: ["$$plans.lastMinute.withinDays", -Infinity] }] },
+                "$$plans.lastMinute.adjustmentPercent",
+                {
+                  $cond: [
+                    { $gte: [leadDays, { $ifNull: ["$$plans.earlyBird.daysBefore", Infinity] }] },
+                    "$$plans.earlyBird.adjustmentPercent",
+                    null
+                  ]
+                }
+              ]
+            }
+          },
+          in: {
+            $let: {
+              vars: {
+                baseRate: {
+                  $ifNull: [
+                    "$$season.rate",
+                    { $cond: ["$$isWeekend", { $ifNull: ["$$plans.weekendRate", "$$standardRate"] }, "$$standardRate"] }
+                  ]
+                }
+              },
+              // Only an adjusted rate is rounded
+              in: {
+                $cond: [
+                  { $eq: [{ $ifNull: ["$$percent", null] }, null] },
+                  "$$baseRate",
+                  roundMoneyExpr({ $multiply: ["$$baseRate", { $add: [1, { $divide: ["$$percent", 100] }] }] })
+                ]
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+}
 
 
+// -------------------- Pricing --------------------
+// Bookings store the price they were made at, so editing a room later never
+// changes what a guest paid or what past revenue reports show.
+const PRICING = {
+  currency: process.env.CURRENCY || "USD",
+  taxRate: parseFloat(process.env.TAX_RATE) || 0, // percent of the discounted subtotal
+  serviceFee: parseFloat(process.env.SERVICE_FEE) || 0, // flat fee per booking
+  promoCodes: parsePromoCodes(process.env.PROMO_CODES), // e.g. {"SUMMER10": 10}
+};
 
-// -------------------- Reviews Part --------------------
+// Price breakdown for a stay under the server's pricing settings
+function priceStay(room, checkIn, checkOut, options = {}) {
+  return computeBookingPrice(room, checkIn, checkOut, { ...options, pricing: PRICING });
+}
 
-// Submit a review
-app.post("/reviews", verifyToken, async (req, res) => {
-  const { roomId, username, userEmail, userPhoto, rating, comment } = req.body;
-  try {
-    const review = {
-      roomId,
-      username,         
-      userEmail,
-      userPhoto,
-      rating,
-      comment,
-      createdAt: new Date(),  
-    };
-    const result = await reviewsCollection.insertOne(review);
-    res.send(result);
-  } catch (error) {
-    res.status(500).send({ error: "Failed to submit review" });
-  }
-});
 
-// Get all reviews
-app.get("/reviews", async (req, res) => {
-  try {
-    const result = await reviewsCollection.find().toArray();
-    res.send(result);
-  } catch (error) {
-    res.status(500).send({ error: "Failed to fetch all reviews" });
-  }
-});
+// -------------------- Inventory Ledger --------------------
+// roomNights holds one document per room per night that is taken. The unique
+// { roomId, night } index makes claiming nights atomic: when two requests race
+// for the same night, exactly one insert succeeds and the other gets E11000.
+const DUPLICATE_KEY_ERROR = 11000;
 
-// Get reviews for a specific room
-app.get("/reviews/:roomId", async (req, res) => {
-  const { roomId } = req.params;
-  try {
-    const result = await reviewsCollection
-      .find({ roomId })
-      .sort({ createdAt: -1 })
-      .toArray();
-    res.send(result);
-  } catch (error) {
-    res.status(500).send({ error: "Failed to fetch reviews" });
-  }
-});
+// Holds put an expiresAt on their nights. The TTL index removes them about
+// a minute after that, so until then expired nights are ignored here.
+const LIVE_NIGHT = () => ({ expiresAt: { $not: { $lte: new Date() } } });
+
+async function purgeExpiredNights(roomId, nights) {
+  await roomNightsCollection.deleteMany({ roomId, night: { $in: nights }, expiresAt: { $lte: new Date() } });
+}
+
+// Claims all `nights` of a room for `refId`, or none of them. Returns false if
+// any night is already taken. `extra` is stored on each night (expiresAt).
+async function reserveNights(roomId, nights, kind, refId, extra = {}) {
+  if (nights.length === 0) {
+    return true;
+  }
+  await purgeExpiredNights(roomId, nights);
+  const createdAt = new Date();
+  const docs = nights.map(night => ({ roomId, night, kind, refId, createdAt, ...extra }));
+  try {
+    await roomNightsCollection.insertMany(docs, { ordered: true });
+    return true;
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY_ERROR) {
+      throw error;
+    }
+    // Roll back whatever part of this claim made it in before the conflict
+    await roomNightsCollection.deleteMany({ roomId, refId, night: { $in: nights } });
+    return false;
+  }
+}
+
+// Rooms with at least one night of [checkIn, checkOut) taken, either in the
+// ledger or by an active booking made before the ledger existed
+async function unavailableRoomIds(checkIn, checkOut) {
+  const ledgerIds = await roomNightsCollection.distinct("roomId", { night: { $gte: checkIn, $lt: checkOut }, ...LIVE_NIGHT() });
+  const bookingIds = await bookingsCollection.distinct("roomId", { ...ACTIVE_BOOKING, ...overlapQuery(checkIn, checkOut) });
+  const ids = new Set([...ledgerIds, ...bookingIds].map(String));
+  // Migration 001 leaves roomIds that aren't valid ids as they are
+  return [...ids].filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id));
+}
+
+// Claims whichever of `nights` are still free for `refId` and returns the
+// ones someone else already holds. Used for external blocks, which describe
+// something that already happened on another channel and can't be refused.
+async function claimFreeNights(roomId, nights, kind, refId) {
+  await purgeExpiredNights(roomId, nights);
+  const createdAt = new Date();
+  try {
+    await roomNightsCollection.insertMany(
+      nights.map(night => ({ roomId, night, kind, refId, createdAt })),
+      { ordered: false }
+    );
+  } catch (error) {
+    if (!(error.writeErrors ? [].concat(error.writeErrors) : [error]).every(writeError => writeError.code === DUPLICATE_KEY_ERROR)) {
+      throw error;
+    }
+  }
+  const held = await roomNightsCollection.distinct("night", { refId, night: { $in: nights } });
+  return nights.filter(night => !held.includes(night));
+}
+
+// Frees the nights held by `refId` (all of them when `nights` is omitted)
+async function releaseNights(refId, nights) {
+  const query = nights ? { refId, night: { $in: nights } } : { refId };
+  await roomNightsCollection.deleteMany(query);
+}
+
+
+// -------------------- Booking Changes --------------------
+
+// Moves a booking to a new stay in the same room, repricing it. Returns
+// { error, httpStatus } when the booking can't move or the nights are taken.
+async function rescheduleBooking(booking, { checkIn, checkOut }) {
+  if (!RESCHEDULABLE_STATUSES.includes(statusOf(booking))) {
+    return { error: `A ${statusOf(booking)} booking cannot be rescheduled`, httpStatus: 409 };
+  }
+
+  // Before updating, check if anyone else holds a night of the new stay
+  const existingBooking = await bookingsCollection.findOne({
+    roomId: booking.roomId,
+    _id: { $ne: booking._id },
+    ...ACTIVE_BOOKING,
+    ...overlapQuery(checkIn, checkOut),
+  });
+  if (existingBooking) {
+    return { error: "Room already booked for these dates", httpStatus: 409 };
+  }
+
+  // A new stay gets a new price; the booking's discount carries over
+  const room = await roomsCollection.findOne({ _id: booking.roomId, ...NOT_DELETED });
+  if (!room) {
+    return { error: "Room not found", httpStatus: 404 };
+  }
+  const bookingPrice = priceStay(room, checkIn, checkOut, { discount: booking.price?.discount });
+  if (bookingPrice.error) {
+    return { error: bookingPrice.error, httpStatus: 400 };
+  }
+  // The payment is for the old price and can't be changed, so a booking
+  // with one can only move to a stay that costs the same
+  if (booking.payment && bookingPrice.total !== booking.payment.amount) {
+    return {
+      error: `The new stay costs ${bookingPrice.total} ${bookingPrice.currency} instead of the ${booking.payment.amount} ${booking.payment.currency} charged; cancel and book again instead`,
+      httpStatus: 409
+    };
+  }
+
+  // Claim only the nights this booking doesn't hold yet, then drop the old ones
+  const newNights = eachNight(checkIn, checkOut);
+  const heldNights = await roomNightsCollection.distinct("night", { refId: booking._id });
+  const addedNights = newNights.filter(night => !heldNights.includes(night));
+  const droppedNights = heldNights.filter(night => !newNights.includes(night));
+
+  const reserved = await reserveNights(booking.roomId, addedNights, "booking", booking._id);
+  if (!reserved) {
+    return { error: "Room already booked for these dates", httpStatus: 409 };
+  }
+
+  // Only if nobody cancelled or moved the booking since it was read;
+  // otherwise the nights just claimed would belong to a stale booking
+  let result;
+  try {
+    result = await bookingsCollection.updateOne(
+      { _id: booking._id, status: booking.status ?? null, checkIn: booking.checkIn ?? null, checkOut: booking.checkOut ?? null },
+      { $set: { checkIn, checkOut, price: bookingPrice }, $unset: { date: "" } }
+    );
+  } catch (error) {
+    await releaseNights(booking._id, addedNights);
+    throw error;
+  }
+  if (result.matchedCount === 0) {
+    await releaseNights(booking._id, addedNights);
+    return { error: "Booking was changed by another request, please retry", httpStatus: 409 };
+  }
+  await releaseNights(booking._id, droppedNights);
+  // A legacy booking may hold no ledger nights, yet its old stay is still
+  // given up, so the waitlist hears about those nights too
+  const previous = stayOf(booking);
+  const previousNights = previous ? eachNight(previous.checkIn, previous.checkOut) : [];
+  const freedNights = [...new Set([...droppedNights, ...previousNights])].filter(night => !newNights.includes(night));
+  await offerFreedNights(booking.roomId, freedNights);
+
+  await notifyBooking("booking.change", booking._id, { previousCheckIn: previous?.checkIn, previousCheckOut: previous?.checkOut });
+  await emitDocumentEvent("booking.rescheduled", bookingsCollection, booking._id);
+  return { result };
+}
+
+
+// -------------------- Booking Holds --------------------
+// A hold keeps a room's nights for a guest for HOLD_MINUTES while they check
+// out. Its nights sit in the ledger as kind "hold" with an expiresAt, so they
+// block everyone else until they expire (and the TTL index removes them);
+// booking the same stay turns them into the booking's nights. expireHolds
+// marks hold documents that ran out.
+const HOLD_MINUTES = Number(process.env.HOLD_MINUTES) || 10;
+const MAX_ACTIVE_HOLDS = 3;
+
+const ACTIVE_HOLD = () => ({ status: "active", expiresAt: { $gt: new Date() } });
+
+// Returns the new hold, or null if a night is taken. `fields` are stored on
+// the hold (e.g. the waitlist offer it belongs to).
+async function createHold(roomId, email, { checkIn, checkOut }, { minutes = HOLD_MINUTES, ...fields } = {}) {
+  const createdAt = new Date();
+  const hold = {
+    _id: new ObjectId(),
+    roomId,
+    email,
+    checkIn,
+    checkOut,
+    nights: eachNight(checkIn, checkOut),
+    status: "active",
+    ...fields,
+    createdAt,
+    expiresAt: new Date(createdAt.getTime() + minutes * 60 * 1000),
+  };
+  const reserved = await reserveNights(roomId, hold.nights, "hold", hold._id, { expiresAt: hold.expiresAt });
+  if (!reserved) {
+    return null;
+  }
+  try {
+    await holdsCollection.insertOne(hold);
+  } catch (error) {
+    await releaseNights(hold._id);
+    throw error;
+  }
+  return hold;
+}
+
+// Ends an active hold (status "released" or "expired") and frees its nights,
+// which are offered down the room's waitlist. A waitlist offer that ends
+// this way also closes its entry.
+async function releaseHold(hold, status) {
+  const result = await holdsCollection.updateOne(
+    { _id: hold._id, status: "active" },
+    { $set: { status, endedAt: new Date() } }
+  );
+  await releaseNights(hold._id);
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+  if (hold.waitlistId) {
+    await passWaitlistOffer(hold, status === "expired" ? "lapsed" : "declined");
+  } else {
+    await offerFreedNights(hold.roomId, hold.nights);
+  }
+  return true;
+}
+
+// The guest's live hold on exactly this room and stay
+async function findUsableHold(email, roomId, { checkIn, checkOut }, holdId) {
+  return holdsCollection.findOne({
+    ...(holdId && { _id: new ObjectId(holdId) }),
+    email,
+    roomId,
+    checkIn,
+    checkOut,
+    ...ACTIVE_HOLD(),
+  });
+}
+
+// Moves a hold's nights to `bookingId`. Nights that expired in the meantime
+// are claimed again if still free; returns false when one was taken, with
+// the nights it did move given back to the hold.
+async function convertHold(hold, bookingId) {
+  await roomNightsCollection.updateMany(
+    { refId: hold._id, kind: "hold", ...LIVE_NIGHT() },
+    { $set: { kind: "booking", refId: bookingId }, $unset: { expiresAt: "" } }
+  );
+  await releaseNights(hold._id);
+
+  const converted = await roomNightsCollection.distinct("night", { refId: bookingId });
+  const missing = hold.nights.filter(night => !converted.includes(night));
+  if (await reserveNights(hold.roomId, missing, "booking", bookingId)) {
+    return true;
+  }
+  await returnNightsToHold(hold, bookingId);
+  return false;
+}
+
+// Undoes convertHold: the nights go back to the hold, with its expiry, so a
+// booking that falls through leaves the guest holding what they held before
+async function returnNightsToHold(hold, bookingId) {
+  await roomNightsCollection.updateMany(
+    { refId: bookingId, night: { $in: hold.nights } },
+    { $set: { kind: "hold", refId: hold._id, expiresAt: hold.expiresAt } }
+  );
+  await releaseNights(bookingId);
+}
+
+// Sweeper: marks holds past their expiresAt as expired
+async function expireHolds() {
+  const overdue = await holdsCollection.find({ status: "active", expiresAt: { $lte: new Date() } }).limit(500).toArray();
+  let expired = 0;
+  for (const hold of overdue) {
+    if (await releaseHold(hold, "expired")) {
+      expired++;
+    }
+  }
+  return { expired };
+}
+
+// A hold as the guest sees it
+function holdView(hold) {
+  const { _id, roomId, checkIn, checkOut, status, expiresAt, createdAt } = hold;
+  return { _id, roomId, checkIn, checkOut, status, expiresAt, createdAt };
+}
+
+
+// -------------------- Waitlist --------------------
+// Guests wait for a room and stay that is taken, first come first served.
+// Whenever nights are freed (a cancellation, a reschedule, a hold that ends
+// or an external block that goes away) the first waiting guest
+// whose whole stay is now free gets an offer: a hold of
+// WAITLIST_OFFER_MINUTES on their stay plus an email. Booking that stay
+// uses the hold; if the offer lapses or is declined the entry is closed and
+// the nights are offered to the next guest.
+const WAITLIST_OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES) || 120;
+const MAX_WAITLIST_ENTRIES = 10;
+const OPEN_WAITLIST_STATUSES = ["waiting", "offered"];
+
+// Offers freed `nights` of a room down the queue. Each guest's whole stay
+// must be free, so one freed stretch can serve several shorter stays.
+async function offerFreedNights(roomId, nights) {
+  try {
+    const future = nights.filter(night => night >= today()).sort();
+    if (future.length === 0 || !(await roomIdMigrationDone())) {
+      return 0;
+    }
+    const candidates = await waitlistCollection
+      .find({
+        roomId,
+        status: "waiting",
+        checkIn: { $gte: today(), $lte: future[future.length - 1] },
+        checkOut: { $gt: future[0] }
+      })
+      .sort({ createdAt: 1 })
+      .limit(50)
+      .toArray();
+
+    let offered = 0;
+    for (const entry of candidates) {
+      if (!entry.nights.some(night => future.includes(night))) {
+        continue;
+      }
+      if (await makeWaitlistOffer(entry)) {
+        offered++;
+      }
+    }
+    return offered;
+  } catch (err) {
+    // ক্যানসেল/রিশিডিউল হয়ে গেছে, অফার দিতে না পারলে শুধু লগ
+    console.error("Failed to make waitlist offers:", err);
+    return 0;
+  }
+}
+
+// Holds the entry's stay for its guest and tells them. False if a night is
+// still taken (by another booking, or an offer made to someone earlier).
+async function makeWaitlistOffer(entry) {
+  const room = await roomsCollection.findOne({ _id: entry.roomId, ...NOT_DELETED }, { projection: { roomName: 1, name: 1 } });
+  if (!room) {
+    return false;
+  }
+  const bookedByOldBooking = await bookingsCollection.findOne({ roomId: entry.roomId, ...ACTIVE_BOOKING, ...overlapQuery(entry.checkIn, entry.checkOut) });
+  if (bookedByOldBooking) {
+    return false;
+  }
+  const hold = await createHold(entry.roomId, entry.email, entry, { minutes: WAITLIST_OFFER_MINUTES, waitlistId: entry._id });
+  if (!hold) {
+    return false;
+  }
+  const offered = await waitlistCollection.updateOne(
+    { _id: entry._id, status: "waiting" },
+    { $set: { status: "offered", offer: { holdId: hold._id, offeredAt: hold.createdAt, expiresAt: hold.expiresAt } }, $inc: { offersMade: 1 } }
+  );
+  if (offered.modifiedCount === 0) {
+    // The guest left the waitlist meanwhile
+    await holdsCollection.updateOne({ _id: hold._id }, { $set: { status: "released", endedAt: new Date() } });
+    await releaseNights(hold._id);
+    return false;
+  }
+
+  const user = await usersCollection.findOne({ email: entry.email }, { projection: { name: 1 } });
+  await notifyGuest("waitlist.offer", entry.email, {
+    guestName: user?.name || entry.email,
+    roomName: room.roomName || room.name || "The room",
+    checkIn: entry.checkIn,
+    checkOut: entry.checkOut,
+    holdId: String(hold._id),
+    expiresAt: `${hold.expiresAt.toISOString().slice(0, 16).replace("T", " ")} UTC`,
+  }, { waitlistId: entry._id });
+  return true;
+}
+
+// An offer ended unclaimed: close the entry and try the next guest
+async function passWaitlistOffer(hold, outcome) {
+  await waitlistCollection.updateOne(
+    { _id: hold.waitlistId, status: "offered", "offer.holdId": hold._id },
+    { $set: { status: outcome, closedAt: new Date() } }
+  );
+  await offerFreedNights(hold.roomId, hold.nights);
+}
+
+// Sweeper: entries whose stay has started can no longer be offered
+async function closeStaleWaitlistEntries() {
+  const result = await waitlistCollection.updateMany(
+    { status: "waiting", checkIn: { $lt: today() } },
+    { $set: { status: "expired", closedAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+
+// -------------------- Account & Room Removal --------------------
+// Users and rooms are soft-deleted (deletedAt is set) so bookings, reviews
+// and $lookups that point at them keep working and they can be restored.
+const NOT_DELETED = { deletedAt: null };
+
+// Bookings the guest hasn't started yet
+const UPCOMING_STAY = () => ({
+  status: { $in: [null, "pending", "confirmed"] },
+  $or: [{ checkIn: { $gte: today() } }, { checkIn: { $exists: false }, date: { $gte: today() } }],
+});
+
+// Bookings that haven't started yet or are in progress
+const UNFINISHED_STAY = () => ({
+  status: { $in: [null, "pending", "confirmed", "checked-in"] },
+  $or: [{ checkOut: { $gt: today() } }, { checkOut: { $exists: false }, date: { $gte: today() } }],
+});
+
+// Review policy for removed users: reviews stay up because they describe
+// the room and feed its rating, but they are shown as ANONYMOUS_REVIEWER
+// without a photo. The address moves to anonymizedEmail, which public
+// listings never return, so restoreUser can hand the reviews back.
+const ANONYMOUS_REVIEWER = "Former guest";
+
+// `req` is the admin's request: each booking it cancels is audited under it
+async function removeUser(user, req) {
+  const actorEmail = req.decoded.email;
+  const upcoming = await bookingsCollection.find({ email: user.email, ...UPCOMING_STAY() }).toArray();
+  let cancelledBookings = 0;
+  for (const booking of upcoming) {
+    const result = await cancelBooking(booking, actorEmail);
+    if (!result.error) {
+      await recordChange(req, "booking.cancel", bookingsCollection, "booking", booking);
+      cancelledBookings++;
+    }
+  }
+
+  // Entries are closed before their offers' holds are released, so the
+  // freed nights go to the next guest rather than back to this one
+  const waitlist = await waitlistCollection.updateMany(
+    { email: user.email, status: { $in: OPEN_WAITLIST_STATUSES } },
+    { $set: { status: "removed", closedAt: new Date() } }
+  );
+  const holds = await holdsCollection.find({ email: user.email, status: "active" }).toArray();
+  let releasedHolds = 0;
+  for (const hold of holds) {
+    if (await releaseHold(hold, "released")) {
+      releasedHolds++;
+    }
+  }
+
+  const reviews = await reviewsCollection.updateMany(
+    { userEmail: user.email },
+    { $set: { username: ANONYMOUS_REVIEWER, anonymized: true }, $unset: { userPhoto: "" }, $rename: { userEmail: "anonymizedEmail" } }
+  );
+
+  await revokeAllTokens(user.email);
+  await usersCollection.updateOne(
+    { _id: user._id },
+    { $set: { deletedAt: new Date(), deletedBy: actorEmail } }
+  );
+
+  return {
+    cancelledBookings,
+    releasedHolds,
+    closedWaitlistEntries: waitlist.modifiedCount,
+    anonymizedReviews: reviews.modifiedCount,
+  };
+}
+
+async function restoreUser(user) {
+  const reviews = await reviewsCollection.updateMany(
+    { anonymizedEmail: user.email },
+    { $set: { username: user.name, userPhoto: user.photoURL }, $unset: { anonymized: "" }, $rename: { anonymizedEmail: "userEmail" } }
+  );
+  await usersCollection.updateOne({ _id: user._id }, { $unset: { deletedAt: "", deletedBy: "" } });
+  return { restoredReviews: reviews.modifiedCount };
+}
+
+
+// -------------------- Notifications --------------------
+// Booking events write a message to the notifications outbox (see
+// lib/outbox.js); the worker renders its template and sends it later, so a
+// slow or broken mail server never fails a booking request. The worker runs
+// from the cron endpoint below (and on a timer in local development).
+// Without a usable transport messages are still queued and wait, pending,
+// until one is configured.
+const notificationTransport = fromEnv("Email notifications", transportFromEnv);
+const HOTEL_NAME = process.env.HOTEL_NAME || "HotelDB";
+const REMINDER_DAYS_BEFORE = Number(process.env.REMINDER_DAYS_BEFORE) || 2;
+const NOTIFICATION_MAX_ATTEMPTS = 5;
+
+if (notificationTransport?.name === "capture") {
+  console.warn("⚠️ Emails are captured instead of sent (NOTIFICATIONS_TRANSPORT=capture, or no SMTP_URL in development)");
+}
+
+// What the templates need, copied when the message is queued so it
+// describes the booking as it was at that moment
+async function bookingNotificationData(booking) {
+  const stay = stayOf(booking) || {};
+  const room = await roomsCollection.findOne({ _id: booking.roomId }, { projection: { roomName: 1, name: 1 } });
+  const user = await usersCollection.findOne({ email: booking.email }, { projection: { name: 1 } });
+  return {
+    hotelName: HOTEL_NAME,
+    bookingId: String(booking._id),
+    guestName: user?.name || booking.email,
+    roomName: room?.roomName || room?.name || "your room",
+    checkIn: stay.checkIn,
+    checkOut: stay.checkOut,
+    nights: stay.checkIn ? daysBetween(stay.checkIn, stay.checkOut) : 0,
+    checkInTime: `${String(CHECK_IN_HOUR).padStart(2, "0")}:00 UTC`,
+    status: statusOf(booking),
+    total: booking.price?.total ?? null,
+    currency: booking.price?.currency || PRICING.currency,
+    refund: booking.refund ? { percent: booking.refund.percent, amount: booking.refund.amount, currency: booking.refund.currency } : null,
+  };
+}
+
+// Queues an email; a `dedupeKey` queues the same message only once
+async function notifyGuest(type, to, data, options = {}) {
+  try {
+    await notificationsCollection.insertOne(notificationItem(type, to, data, options));
+    return true;
+  } catch (err) {
+    if (err.code !== DUPLICATE_KEY_ERROR) {
+      console.error(`Failed to queue ${type} notification:`, err);
+    }
+    return false;
+  }
+}
+
+// The outbox document notifyGuest inserts, for callers that write it in the
+// same transaction as the change it announces
+function notificationItem(type, to, data, { dedupeKey, ...refs } = {}) {
+  return outboxItem({
+    type,
+    channel: "email",
+    to,
+    ...refs,
+    data: { hotelName: HOTEL_NAME, ...data },
+    ...(dedupeKey && { dedupeKey }),
+  });
+}
+
+async function notifyBooking(type, bookingId, extraData = {}, dedupeKey) {
+  try {
+    const booking = await bookingsCollection.findOne({ _id: bookingId });
+    if (!booking) {
+      return false;
+    }
+    const data = { ...(await bookingNotificationData(booking)), ...extraData };
+    return notifyGuest(type, booking.email, data, { bookingId, dedupeKey });
+  } catch (err) {
+    console.error(`Failed to queue ${type} notification:`, err);
+    return false;
+  }
+}
+
+// Queues a reminder for every active stay starting within
+// REMINDER_DAYS_BEFORE days. Rescheduled stays get a new reminder.
+async function queueReminders() {
+  const from = addDays(today(), 1);
+  const until = addDays(today(), REMINDER_DAYS_BEFORE);
+  const bookings = await bookingsCollection.find(
+    {
+      status: { $in: [null, "pending", "confirmed"] },
+      $or: [
+        { checkIn: { $gte: from, $lte: until } },
+        { checkIn: { $exists: false }, date: { $gte: from, $lte: `${until}\uffff` } }
+      ]
+    },
+    { projection: { _id: 1, checkIn: 1, checkOut: 1, date: 1 } }
+  ).toArray();
+
+  let queued = 0;
+  for (const booking of bookings) {
+    const { checkIn } = stayOf(booking) || {};
+    if (checkIn && await notifyBooking("booking.reminder", booking._id, { daysUntil: daysBetween(today(), checkIn) }, `booking.reminder:${booking._id}:${checkIn}`)) {
+      queued++;
+    }
+  }
+  return queued;
+}
+
+async function deliverNotification(notification) {
+  const message = renderNotification(notification.type, notification.data);
+  const { messageId } = await notificationTransport.send({ to: notification.to, ...message });
+  return { transport: notificationTransport.name, messageId };
+}
+
+// One worker pass: queue due reminders, then send what is due
+async function processNotifications() {
+  const reminders = await queueReminders();
+  if (!notificationTransport) {
+    return { reminders, sent: 0, retrying: 0, failed: 0, disabled: "No email transport is configured, messages stay pending" };
+  }
+  const delivery = await drainOutbox(notificationsCollection, deliverNotification, { maxAttempts: NOTIFICATION_MAX_ATTEMPTS });
+  return { reminders, ...delivery };
+}
+
+
+// -------------------- Webhooks --------------------
+// Admins register endpoints for the events in WEBHOOK_EVENTS. Emitting an
+// event writes one delivery per subscribed endpoint to the webhookDeliveries
+// outbox; the worker signs and POSTs them (lib/webhooks.js) and retries
+// failures with backoff. The body is stored as sent, so a redelivery is
+// byte-for-byte the same event.
+const WEBHOOK_MAX_ATTEMPTS = 8;
+// Never sent to endpoints: secrets and calendar feed credentials (and a
+// booking's payment.clientSecret, see withoutPaymentSecret)
+const WEBHOOK_HIDDEN_FIELDS = ["passwordHash", "icalTokenHash", "icalSources"];
+const WEBHOOK_PUBLIC_PROJECTION = { secret: 0 };
+
+function webhookData(doc) {
+  const data = { ...withoutPaymentSecret(doc) };
+  WEBHOOK_HIDDEN_FIELDS.forEach(field => delete data[field]);
+  return data;
+}
+
+// One outbox item per active endpoint subscribed to `type` (or only for
+// `webhookId`), all carrying the same event
+async function webhookDeliveries(type, data, { webhookId } = {}) {
+  const query = webhookId ? { _id: webhookId } : { active: true, events: { $in: [type, "*"] } };
+  const webhooks = await webhooksCollection.find(query, { projection: { _id: 1, url: 1 } }).toArray();
+  if (webhooks.length === 0) {
+    return [];
+  }
+  const event = { id: `evt_${crypto.randomUUID()}`, type, createdAt: new Date().toISOString(), data: webhookData(data) };
+  const body = JSON.stringify(event);
+  return webhooks.map(webhook => outboxItem({
+    webhookId: webhook._id,
+    url: webhook.url,
+    event: type,
+    eventId: event.id,
+    body,
+  }));
+}
+
+// Queues `type` for every active endpoint subscribed to it (or only for
+// `webhookId`)
+async function emitEvent(type, data, options = {}) {
+  try {
+    const deliveries = await webhookDeliveries(type, data, options);
+    if (deliveries.length > 0) {
+      await webhookDeliveriesCollection.insertMany(deliveries);
+    }
+    return deliveries.length;
+  } catch (err) {
+    console.error(`Failed to queue ${type} webhook:`, err);
+    return 0;
+  }
+}
+
+// Emits `type` with the document's current state
+async function emitDocumentEvent(type, collection, _id) {
+  try {
+    const doc = await collection.findOne({ _id });
+    if (doc) {
+      await emitEvent(type, doc);
+    }
+  } catch (err) {
+    console.error(`Failed to queue ${type} webhook:`, err);
+  }
+}
+
+// The endpoint is read at delivery time, so a changed URL or rotated secret
+// applies to deliveries still in the queue
+async function deliverWebhook(delivery) {
+  const webhook = await webhooksCollection.findOne({ _id: delivery.webhookId });
+  if (!webhook || (!webhook.active && delivery.event !== 'ping')) {
+    const error = new Error("Webhook was removed or disabled");
+    error.permanent = true;
+    throw error;
+  }
+  return postWebhook({
+    url: webhook.url,
+    secret: webhook.secret,
+    body: delivery.body,
+    headers: { "X-Webhook-Event": delivery.event, "X-Webhook-Delivery": String(delivery._id) },
+  });
+}
+
+async function processWebhooks() {
+  return drainOutbox(webhookDeliveriesCollection, deliverWebhook, { maxAttempts: WEBHOOK_MAX_ATTEMPTS });
+}
+
+
+// -------------------- Payments --------------------
+// With a gateway configured (lib/payments.js) a new booking is "pending"
+// with payment.status "requires_payment" and an intent the client pays.
+// The gateway's webhook then confirms the booking, or cancels it and frees
+// its nights when the payment fails. Unpaid bookings are cancelled once
+// payment.expiresAt passes. A gateway that can't be set up leaves payments
+// off, as with PAYMENT_GATEWAY=none.
+const paymentGateway = fromEnv("Payments", gatewayFromEnv);
+const PAYMENT_TIMEOUT_MINUTES = Number(process.env.PAYMENT_TIMEOUT_MINUTES) || 30;
+const PAYMENTS_ACTOR = "system:payments";
+
+if (paymentGateway?.name === "fake") {
+  console.warn("⚠️ Payments go through the fake gateway, for development only");
+}
+
+// Starts payment for a booking that is about to be created → the booking's
+// `payment` field, or null when payments are off or nothing is owed
+async function startPayment(bookingId, price) {
+  if (!paymentGateway || !(price.total > 0)) {
+    return null;
+  }
+  const intent = await paymentGateway.createIntent({
+    amount: price.total,
+    currency: price.currency,
+    reference: String(bookingId),
+    idempotencyKey: `booking:${bookingId}`,
+  });
+  return {
+    gateway: paymentGateway.name,
+    intentId: intent.id,
+    clientSecret: intent.clientSecret,
+    status: "requires_payment",
+    amount: price.total,
+    currency: price.currency,
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + PAYMENT_TIMEOUT_MINUTES * 60 * 1000),
+  };
+}
+
+async function cancelPaymentIntent(booking) {
+  try {
+    await paymentGateway?.cancelIntent(booking.payment.intentId);
+  } catch (err) {
+    console.error(`Failed to cancel payment ${booking.payment.intentId}:`, err);
+  }
+}
+
+// What is left of a payment to give back
+function refundableAmount(payment) {
+  return roundMoney(Math.max(0, payment.amount - (payment.refunded || 0)));
+}
+
+// Refunds `amount` of a paid booking through the gateway. A failed refund
+// is recorded on the booking (refund.status "failed") for staff to follow up.
+async function refundPayment(booking, amount) {
+  const payment = booking.payment;
+  let outcome;
+  try {
+    const gatewayRefund = await paymentGateway.refund({
+      intentId: payment.intentId,
+      amount,
+      currency: payment.currency,
+      idempotencyKey: `refund:${booking._id}`,
+    });
+    outcome = { status: gatewayRefund.status, gatewayRefundId: gatewayRefund.id };
+  } catch (err) {
+    console.error(`Failed to refund booking ${booking._id}:`, err);
+    outcome = { status: "failed", error: err.message };
+  }
+
+  const refunded = roundMoney((payment.refunded || 0) + (outcome.status === "failed" ? 0 : amount));
+  const paymentStatus = outcome.status === "failed" ? "succeeded" : refunded >= payment.amount ? "refunded" : "partially_refunded";
+  await bookingsCollection.updateOne(
+    { _id: booking._id },
+    { $set: { "refund.status": outcome.status, "refund.gatewayRefundId": outcome.gatewayRefundId ?? null, "refund.error": outcome.error ?? null, "payment.status": paymentStatus, "payment.refunded": refunded } }
+  );
+  return outcome;
+}
+
+// Applies a gateway event to its booking. Events for unknown intents or
+// payments that already settled are ignored. Every change is audited under
+// `auditReq` (see systemRequest).
+async function applyPaymentEvent(event, auditReq) {
+  const booking = await bookingsCollection.findOne({ "payment.intentId": event.intentId });
+  if (!booking) {
+    return { ignored: "unknown payment" };
+  }
+
+  if (event.type === "payment.succeeded") {
+    const paid = await bookingsCollection.findOneAndUpdate(
+      { _id: booking._id, "payment.status": { $in: ["requires_payment", "failed", "expired"] } },
+      { $set: { "payment.status": "succeeded", "payment.paidAt": new Date() } },
+      { returnDocument: "after" }
+    );
+    if (!paid) {
+      return { ignored: "payment already settled" };
+    }
+    if (statusOf(paid) === "cancelled") {
+      return refundLatePayment(paid, auditReq, booking);
+    }
+    // Staff may have confirmed it already (e.g. paid at the desk)
+    if (statusOf(paid) !== "pending") {
+      await recordChange(auditReq, "booking.payment.update", bookingsCollection, "booking", booking);
+      return { bookingId: paid._id, status: statusOf(paid) };
+    }
+    const result = await transitionBooking(paid, "confirmed", PAYMENTS_ACTOR);
+    if (result.error) {
+      // A cancel may have slipped in after the payment was recorded; it saw
+      // the booking as unpaid, so nothing was refunded yet
+      const current = await bookingsCollection.findOne({ _id: paid._id });
+      if (statusOf(current) === "cancelled") {
+        return refundLatePayment(current, auditReq, booking);
+      }
+      await recordChange(auditReq, "booking.payment.update", bookingsCollection, "booking", booking);
+      return { bookingId: paid._id, status: statusOf(current) };
+    }
+    await recordChange(auditReq, "booking.status.update", bookingsCollection, "booking", booking);
+    await notifyBooking("booking.confirmation", paid._id, {}, `booking.confirmation:${paid._id}`);
+    await emitDocumentEvent("booking.status.updated", bookingsCollection, paid._id);
+    return { bookingId: paid._id, status: result.status };
+  }
+
+  if (event.type === "payment.failed") {
+    return failPayment(booking, "failed", auditReq);
+  }
+  return { ignored: `unhandled event ${event.type}` };
+}
+
+// Paid after the booking was given up (expired or cancelled): the room may
+// be gone, so the money goes back in full. Only once: a cancellation that
+// already recorded a refund keeps it. `before` is the booking as it was
+// before the payment came in, for the audit entry.
+async function refundLatePayment(booking, auditReq, before) {
+  const amount = refundableAmount(booking.payment);
+  const claimed = await bookingsCollection.findOneAndUpdate(
+    { _id: booking._id, refund: null },
+    { $set: { refund: { percent: 100, amount, currency: booking.payment.currency, issuedAt: new Date(), issuedBy: PAYMENTS_ACTOR } } },
+    { returnDocument: "after" }
+  );
+  if (!claimed) {
+    await recordChange(auditReq, "booking.payment.update", bookingsCollection, "booking", before);
+    return { bookingId: booking._id, status: "cancelled" };
+  }
+  await refundPayment(claimed, amount);
+  await recordChange(auditReq, "booking.refund", bookingsCollection, "booking", before);
+  return { bookingId: booking._id, refunded: true };
+}
+
+// Gives up on an unpaid booking: records why and cancels it
+async function failPayment(booking, paymentStatus, auditReq) {
+  const updated = await bookingsCollection.findOneAndUpdate(
+    { _id: booking._id, "payment.status": "requires_payment" },
+    { $set: { "payment.status": paymentStatus } },
+    { returnDocument: "after" }
+  );
+  if (!updated) {
+    return { ignored: "payment already settled" };
+  }
+  const result = statusOf(updated) === "pending" ? await cancelBooking(updated, PAYMENTS_ACTOR) : {};
+  if (paymentStatus === "expired") {
+    await cancelPaymentIntent(updated);
+  }
+  await recordChange(auditReq, result.status === "cancelled" ? "booking.cancel" : "booking.payment.update", bookingsCollection, "booking", booking);
+  return { bookingId: updated._id, status: result.status || statusOf(updated) };
+}
+
+// Sweeper: cancels bookings whose payment window ran out
+async function expireUnpaidBookings() {
+  const overdue = await bookingsCollection
+    .find({ status: "pending", "payment.status": "requires_payment", "payment.expiresAt": { $lte: new Date() } })
+    .limit(100)
+    .toArray();
+  const auditReq = systemRequest(PAYMENTS_ACTOR);
+  let expired = 0;
+  for (const booking of overdue) {
+    if (!(await failPayment(booking, "expired", auditReq)).ignored) {
+      expired++;
+    }
+  }
+  return { expired };
+}
+
+// What the guest's client needs to pay, without internal fields
+function paymentView(payment) {
+  if (!payment) {
+    return null;
+  }
+  const { intentId, clientSecret, status, amount, currency, expiresAt, paidAt, refunded } = payment;
+  return { intentId, clientSecret, status, amount, currency, expiresAt, paidAt, refunded };
+}
+
+
+// -------------------- Idempotency Keys --------------------
+// A client may send "Idempotency-Key: <unique string>" with a request it
+// might retry. The first request with a key runs; retries with the same key
+// and body get the stored response (marked Idempotent-Replayed) instead of
+// running again, for 24 hours. 5xx answers aren't stored so they can be
+// retried for real. A request still processing after
+// IDEMPOTENCY_STALE_MINUTES is taken to have died with its process, and a
+// retry takes its key over.
+const IDEMPOTENCY_KEY_HOURS = 24;
+const IDEMPOTENCY_STALE_MINUTES = 5;
+
+function idempotent(scope) {
+  return async (req, res, next) => {
+    const key = req.get('idempotency-key');
+    if (!key) {
+      return next();
+    }
+    if (key.length > 255) {
+      return res.status(400).send({ message: "Idempotency-Key must be at most 255 characters" });
+    }
+
+    const owner = req.decoded.email;
+    const requestHash = crypto.createHash('sha256').update(JSON.stringify(req.body ?? null)).digest('hex');
+    const now = new Date();
+    try {
+      await idempotencyKeysCollection.insertOne({
+        owner, scope, key, requestHash, state: 'processing', createdAt: now, startedAt: now,
+        expiresAt: new Date(now.getTime() + IDEMPOTENCY_KEY_HOURS * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR) {
+        return res.status(500).send({ message: "Server error" });
+      }
+      const existing = await idempotencyKeysCollection.findOne({ owner, scope, key });
+      if (!existing) {
+        return res.status(409).send({ message: "A request with this Idempotency-Key is still in progress" });
+      }
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).send({ message: "This Idempotency-Key was already used for a different request" });
+      }
+      if (existing.state === 'done') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response.status).send(existing.response.body);
+      }
+      // Keys stored before startedAt was recorded go by createdAt
+      const staleBefore = new Date(now.getTime() - IDEMPOTENCY_STALE_MINUTES * 60 * 1000);
+      const takenOver = await idempotencyKeysCollection.findOneAndUpdate(
+        {
+          _id: existing._id, state: 'processing',
+          $or: [{ startedAt: { $lte: staleBefore } }, { startedAt: { $exists: false }, createdAt: { $lte: staleBefore } }]
+        },
+        { $set: { startedAt: now } }
+      );
+      if (!takenOver) {
+        return res.status(409).send({ message: "A request with this Idempotency-Key is still in progress" });
+      }
+    }
+
+    // Express 5 sends objects through res.json, which calls res.send again
+    // with the serialized text; only the first call is the real response
+    const send = res.send.bind(res);
+    let captured = false;
+    res.send = body => {
+      if (!captured) {
+        captured = true;
+        const filter = { owner, scope, key };
+        const stored = res.statusCode >= 500
+          ? idempotencyKeysCollection.deleteOne(filter)
+          : idempotencyKeysCollection.updateOne(filter, { $set: { state: 'done', response: { status: res.statusCode, body } } });
+        stored.catch(err => console.error("Failed to store idempotent response:", err));
+      }
+      return send(body);
+    };
+    next();
+  };
+}
+
+
+// -------------------- Bookings Part --------------------
+
+// Book a room for a stay (with overlap check)
+app.post("/bookings", verifyToken, requireMigratedRoomIds, idempotent("bookings.create"), validate({ body: { schema: bookingSchema, unknown: "reject" } }), async (req, res) => {
+  try {
+    // দাম সবসময় সার্ভারে হিসাব হবে, ক্লায়েন্টের পাঠানো দাম নেওয়া হবে না
+    const { promoCode, holdId } = req.body;
+    const display = Object.fromEntries(
+      Object.keys(bookingDisplayFields).filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+    const email = req.decoded.email;
+
+    const stay = parseStay(req.body);
+    if (stay.error) {
+      return res.status(400).send({ message: stay.error });
+    }
+    const { checkIn, checkOut } = stay;
+
+    const room = await roomsCollection.findOne({ _id: new ObjectId(req.body.roomId), ...NOT_DELETED });
+    if (!room) {
+      return res.status(404).send({ message: "Room not found" });
+    }
+    const roomId = room._id;
+    const bookingPrice = priceStay(room, checkIn, checkOut, { promoCode });
+    if (bookingPrice.error) {
+      return res.status(400).send({ message: bookingPrice.error });
+    }
+
+    // Any booking sharing a night with the requested stay is a conflict
+    const existingUserBooking = await bookingsCollection.findOne({ roomId, email, ...ACTIVE_BOOKING, ...overlapQuery(checkIn, checkOut) });
+    if (existingUserBooking) {
+      return res.status(400).send({ message: "You already booked this room for these dates" });
+    }
+    const existingRoomBooking = await bookingsCollection.findOne({ roomId, ...ACTIVE_BOOKING, ...overlapQuery(checkIn, checkOut) });
+    if (existingRoomBooking) {
+      return res.status(409).send({ message: "Room already booked for these dates" });
+    }
+
+    // A hold the guest placed on this stay becomes the booking
+    const hold = await findUsableHold(email, roomId, stay, holdId);
+    if (holdId && !hold) {
+      return res.status(409).send({ message: "This hold has expired or is for a different room or stay" });
+    }
+
+    // The checks above are only a fast path; claiming the nights is what
+    // actually decides a race between two simultaneous requests.
+    const bookingId = new ObjectId();
+    const reserved = hold
+      ? await convertHold(hold, bookingId)
+      : await reserveNights(roomId, eachNight(checkIn, checkOut), "booking", bookingId);
+    if (!reserved) {
+      return res.status(409).send({ message: "Room already booked for these dates" });
+    }
+
+    let payment = null;
+    try {
+      payment = await startPayment(bookingId, bookingPrice);
+    } catch (error) {
+      console.error("Error starting payment:", error);
+      await (hold ? returnNightsToHold(hold, bookingId) : releaseNights(bookingId));
+      return res.status(502).send({ message: "Payment could not be started, please try again" });
+    }
+
+    // Only a failure before the booking is committed may give its nights
+    // back; once it exists they belong to it
+    const createdAt = new Date();
+    let newBooking;
+    let result;
+    try {
+      newBooking = {
+        _id: bookingId,
+        ...display,
+        roomId,
+        email,
+        checkIn,
+        checkOut,
+        price: bookingPrice,
+        cancellationPolicy: room.cancellationPolicy || DEFAULT_CANCELLATION_POLICY,
+        status: "pending",
+        statusHistory: [{ from: null, to: "pending", at: createdAt, by: req.decoded.email }],
+        ...(payment && { payment }),
+        createdAt
+      };
+      // The booking, the messages announcing it and the end of the hold it
+      // came from are written together: either the guest gets their email
+      // and subscribers their event, or there is no booking to tell anyone about
+      const notification = notificationItem(
+        "booking.received",
+        email,
+        { ...(await bookingNotificationData(newBooking)), paymentDue: Boolean(payment) },
+        { bookingId }
+      );
+      const deliveries = await webhookDeliveries("booking.created", newBooking);
+      result = await inTransaction(async session => {
+        const inserted = await bookingsCollection.insertOne(newBooking, { session });
+        await notificationsCollection.insertOne(notification, { session });
+        if (deliveries.length > 0) {
+          await webhookDeliveriesCollection.insertMany(deliveries, { session });
+        }
+        if (hold) {
+          // The sweeper or the guest may have ended the hold (or its offer)
+          // since it was read
+          const converted = await holdsCollection.updateOne(
+            { _id: hold._id, status: "active" },
+            { $set: { status: "converted", bookingId, endedAt: createdAt } },
+            { session }
+          );
+          const booked = hold.waitlistId && await waitlistCollection.updateOne(
+            { _id: hold.waitlistId, status: "offered", "offer.holdId": hold._id },
+            { $set: { status: "booked", bookingId, closedAt: createdAt } },
+            { session }
+          );
+          if (converted.matchedCount === 0 || booked?.matchedCount === 0) {
+            const error = new Error("Hold ended before the booking was made");
+            error.holdEnded = true;
+            throw error;
+          }
+        }
+        return inserted;
+      });
+    } catch (error) {
+      // An ended hold has nothing to go back to, so its nights are free again
+      const holdEnded = error.holdEnded === true;
+      await (hold && !holdEnded ? returnNightsToHold(hold, bookingId) : releaseNights(bookingId));
+      if (holdEnded) {
+        await offerFreedNights(roomId, hold.nights);
+      }
+      if (payment) {
+        await cancelPaymentIntent({ payment });
+      }
+      if (holdEnded) {
+        return res.status(409).send({ message: "This hold has ended, please place a new one" });
+      }
+      throw error;
+    }
+
+    await recordAudit(req, { action: "booking.create", target: { type: "booking", id: bookingId }, after: newBooking });
+    res.send({ ...result, payment: paymentView(payment) });
+  } catch (error) {
+    console.error("Error booking room:", error);
+    res.status(500).send({ error: "Failed to book room" });
+  }
+});
+
+// Hold a room's nights for a few minutes while the guest checks out
+app.post("/bookings/holds", verifyToken, requireMigratedRoomIds, validate({ body: holdSchema }), async (req, res) => {
+  try {
+    const email = req.decoded.email;
+    const stay = parseStay(req.body);
+    if (stay.error) {
+      return res.status(400).send({ message: stay.error });
+    }
+    const room = await roomsCollection.findOne({ _id: new ObjectId(req.body.roomId), ...NOT_DELETED });
+    if (!room) {
+      return res.status(404).send({ message: "Room not found" });
+    }
+    const quote = priceStay(room, stay.checkIn, stay.checkOut);
+    if (quote.error) {
+      return res.status(400).send({ message: quote.error });
+    }
+
+    const activeHolds = await holdsCollection.countDocuments({ email, ...ACTIVE_HOLD() });
+    if (activeHolds >= MAX_ACTIVE_HOLDS) {
+      return res.status(409).send({ message: `You can hold at most ${MAX_ACTIVE_HOLDS} stays at a time` });
+    }
+    // Bookings made before the ledger existed only show up here
+    const existingBooking = await bookingsCollection.findOne({ roomId: room._id, ...ACTIVE_BOOKING, ...overlapQuery(stay.checkIn, stay.checkOut) });
+    if (existingBooking) {
+      return res.status(409).send({ message: "Room already booked for these dates" });
+    }
+
+    const hold = await createHold(room._id, email, stay);
+    if (!hold) {
+      return res.status(409).send({ message: "Room already booked for these dates" });
+    }
+    await recordAudit(req, { action: "hold.create", target: { type: "hold", id: hold._id }, after: hold });
+    res.status(201).send({ ...holdView(hold), price: quote });
+  } catch (error) {
+    console.error("Error creating hold:", error);
+    res.status(500).send({ message: "Failed to hold room" });
+  }
+});
+
+// Your holds that haven't expired or been booked yet
+app.get("/bookings/holds", verifyToken, async (req, res) => {
+  try {
+    const holds = await holdsCollection.find({ email: req.decoded.email, ...ACTIVE_HOLD() }).sort({ expiresAt: 1 }).toArray();
+    res.send(holds.map(holdView));
+  } catch (error) {
+    res.status(500).send({ message: "Failed to fetch holds" });
+  }
+});
+
+// Give a hold up before it expires
+app.delete("/bookings/holds/:id", verifyToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const hold = await holdsCollection.findOne({ _id: new ObjectId(req.params.id) });
+    if (!hold) {
+      return res.status(404).send({ message: "Hold not found" });
+    }
+    if (hold.email !== req.decoded.email) {
+      return res.status(403).send({ message: "Forbidden Access" });
+    }
+    if (!(await releaseHold(hold, "released"))) {
+      return res.status(409).send({ message: `This hold is already ${hold.status}` });
+    }
+    await recordChange(req, "hold.release", holdsCollection, "hold", hold);
+    res.send({ message: "Hold released" });
+  } catch (error) {
+    res.status(500).send({ message: "Failed to release hold" });
+  }
+});
+
+// Get bookings for a specific user by email 
+app.get("/bookings", verifyToken, validate({ query: { email: { type: "email", required: true } } }), async (req, res) => {
+  const email = req.query.email;
+  if (req.decoded.email !== email) {
+    return res.status(403).send({ message: "Forbidden Access" });
+  }
+  try {
+    const result = await bookingsCollection.find({ email }).toArray();
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: "Failed to fetch bookings" });
+  }
+});
+
+// Get a single booking by its ID
+app.get("/booking/:id", verifyToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await bookingsCollection.findOne({ _id: new ObjectId(id) });
+
+    if (!booking) {
+      return res.status(404).send({ message: "Booking not found" });
+    }
+
+    // Authorization check: ensure the user requesting the booking is the one who made it
+    if (req.decoded.email !== booking.email) {
+      return res.status(403).send({ message: "Forbidden Access" });
+    }
+
+    res.send(booking);
+  } catch (error) {
+    console.error("Error fetching single booking:", error);
+    res.status(500).send({ error: "Failed to fetch booking details" });
+  }
+});
+
+// Retrieve all booked nights for a specific room.
+app.get("/bookings/room/:roomId/dates", validate({ params: roomIdParams }), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const bookings = await bookingsCollection
+      .find({ roomId: new ObjectId(roomId), ...ACTIVE_BOOKING }, { projection: { date: 1, checkIn: 1, checkOut: 1, _id: 0 } })
+      .toArray();
+
+    const nights = new Set();
+    bookings.forEach(b => {
+      const stay = stayOf(b);
+      if (stay) {
+        eachNight(stay.checkIn, stay.checkOut).forEach(night => nights.add(night));
+      }
+    });
+    // অন্য চ্যানেলে বুক হওয়া (ব্লক করা) এবং অন্য গেস্টের হোল্ডে থাকা রাতগুলোও
+    const blocked = await roomNightsCollection.distinct("night", { roomId: new ObjectId(roomId), kind: { $in: ["block", "hold"] }, ...LIVE_NIGHT() });
+    blocked.forEach(night => nights.add(night));
+    res.send([...nights].sort());
+  } catch (error) {
+    res.status(500).send({ error: "Failed to fetch booked dates" });
+  }
+});
+
+
+// Check if a user has already booked this room.
+app.get("/bookings/check", verifyToken, validate({ query: { roomId: { type: "objectId", required: true }, email: { type: "email", required: true } } }), async (req, res) => {
+  const { roomId, email } = req.query;
+
+  if (req.decoded.email !== email) {
+    return res.status(403).send({ message: "Forbidden Access" });
+  }
+
+  try {
+    const existingBooking = await bookingsCollection.findOne({ roomId: new ObjectId(roomId), email, ...ACTIVE_BOOKING });
+    res.send({ hasBooked: !!existingBooking }); 
+  } catch (error) {
+    res.status(500).send({ error: "Failed to check booking status" });
+  }
+});
+
+
+// Stays booked for a specific room over the night of a specific date; only the
+// dates and status, as the route is public
+app.get("/bookings/room/:roomId/date/:date", validate({ params: { ...roomIdParams, date: { type: "date", required: true } } }), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const night = toDay(req.params.date);
+    if (!night) {
+      return res.status(400).send({ message: "Invalid date format" });
+    }
+    const result = await bookingsCollection
+      .find(
+        { roomId: new ObjectId(roomId), ...ACTIVE_BOOKING, ...overlapQuery(night, addDays(night, 1)) },
+        { projection: { _id: 0, checkIn: 1, checkOut: 1, status: 1 } }
+      )
+      .toArray();
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: "Failed to fetch room bookings for date" });
+  }
+});
+
+// Get bookings for a specific user by email 
+app.get("/bookings/user/:email", verifyToken, validate({ params: emailParams }), async (req, res) => {
+  const { email } = req.params;
+  if (req.decoded.email !== email) {
+    return res.status(403).send({ message: "Forbidden Access" });
+  }
+  try {
+    const result = await bookingsCollection.find({ email }).toArray();
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: "Failed to fetch user bookings" });
+  }
+});
+
+
+// Cancel a booking (the document stays, its status becomes cancelled)
+app.delete("/bookings/:id", verifyToken, validate({ params: idParams }), async (req, res) => {
+  const bookingId = req.params.id;
+  const userEmail = req.decoded.email; 
+
+  try {
+    const booking = await bookingsCollection.findOne({ _id: new ObjectId(bookingId) });
+
+    if (!booking) {
+      return res.status(404).send({ message: "Booking not found" });
+    }
+
+    if (booking.email !== userEmail) {
+      return res.status(403).send({ message: "Forbidden: You are not authorized to cancel this booking." });
+    }
+
+    const result = await cancelBooking(booking, userEmail);
+    if (result.error) {
+      return res.status(409).send({ message: result.error });
+    }
+    await recordChange(req, "booking.cancel", bookingsCollection, "booking", booking);
+    res.send({ message: "Booking cancelled successfully", refund: result.refund });
+  } catch (error) {
+    console.error("Error cancelling booking:", error);
+    res.status(500).send({ message: "Server error" });
+  }
+});
+
+
+// Reschedule a whole stay
+app.patch("/bookings/:id", verifyToken, requireMigratedRoomIds, validate({ params: idParams, body: staySchema }), async (req, res) => {
+  const id = req.params.id;
+  try {
+    const booking = await bookingsCollection.findOne({ _id: new ObjectId(id) });
+    if (!booking) {
+      return res.status(404).send({ message: "Booking not found" });
+    }
+    if (booking.email !== req.decoded.email) {
+      return res.status(403).send({ message: "Forbidden Access" });
+    }
+
+    const stay = parseStay(req.body);
+    if (stay.error) {
+      return res.status(400).send({ message: stay.error });
+    }
+
+    const { result, error, httpStatus } = await rescheduleBooking(booking, stay);
+    if (error) {
+      return res.status(httpStatus).send({ message: error });
+    }
+    await recordChange(req, "booking.reschedule", bookingsCollection, "booking", booking);
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: "Failed to update booking dates" });
+  }
+});
+
+
+
+// -------------------- Waitlist Part --------------------
+
+// Join the waitlist for a room and stay that is booked
+app.post("/waitlist", verifyToken, validate({ body: waitlistSchema }), async (req, res) => {
+  try {
+    const email = req.decoded.email;
+    const stay = parseStay(req.body);
+    if (stay.error) {
+      return res.status(400).send({ message: stay.error });
+    }
+    if (stay.checkIn < today()) {
+      return res.status(400).send({ message: "checkIn must not be in the past" });
+    }
+    const room = await roomsCollection.findOne({ _id: new ObjectId(req.body.roomId), ...NOT_DELETED });
+    if (!room) {
+      return res.status(404).send({ message: "Room not found" });
+    }
+
+    const open = await waitlistCollection.find({ email, status: { $in: OPEN_WAITLIST_STATUSES } }).toArray();
+    if (open.some(entry => String(entry.roomId) === String(room._id) && entry.checkIn === stay.checkIn && entry.checkOut === stay.checkOut)) {
+      return res.status(409).send({ message: "You are already on the waitlist for this stay" });
+    }
+    if (open.length >= MAX_WAITLIST_ENTRIES) {
+      return res.status(409).send({ message: `You can be on at most ${MAX_WAITLIST_ENTRIES} waitlists at a time` });
+    }
+    const unavailable = await unavailableRoomIds(stay.checkIn, stay.checkOut);
+    if (!unavailable.some(id => id.equals(room._id))) {
+      return res.status(409).send({ message: "Room is available for these dates, book it instead" });
+    }
+
+    const entry = {
+      roomId: room._id,
+      email,
+      checkIn: stay.checkIn,
+      checkOut: stay.checkOut,
+      nights: eachNight(stay.checkIn, stay.checkOut),
+      status: "waiting",
+      offersMade: 0,
+      createdAt: new Date()
+    };
+    const result = await waitlistCollection.insertOne(entry);
+    const position = await waitlistCollection.countDocuments({ roomId: room._id, status: "waiting", createdAt: { $lte: entry.createdAt } });
+    await recordAudit(req, { action: "waitlist.join", target: { type: "waitlist", id: result.insertedId }, after: entry });
+    res.status(201).send({ ...entry, _id: result.insertedId, position });
+  } catch (error) {
+    console.error("Error joining waitlist:", error);
+    res.status(500).send({ message: "Failed to join waitlist" });
+  }
+});
+
+// Your open waitlist entries, with any offer waiting to be booked
+app.get("/waitlist", verifyToken, async (req, res) => {
+  try {
+    const entries = await waitlistCollection.aggregate([
+      { $match: { email: req.decoded.email, status: { $in: OPEN_WAITLIST_STATUSES } } },
+      { $sort: { checkIn: 1 } },
+      { $lookup: { from: "rooms", localField: "roomId", foreignField: "_id", as: "room" } },
+      { $unwind: { path: "$room", preserveNullAndEmptyArrays: true } },
+      { $project: { roomId: 1, checkIn: 1, checkOut: 1, status: 1, offer: 1, createdAt: 1, roomName: { $ifNull: ["$room.roomName", "$room.name"] } } }
+    ]).toArray();
+    res.send(entries);
+  } catch (error) {
+    res.status(500).send({ message: "Failed to fetch waitlist" });
+  }
+});
+
+// Leave a waitlist; an offer you hold goes to the next guest
+app.delete("/waitlist/:id", verifyToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const entry = await waitlistCollection.findOne({ _id: new ObjectId(req.params.id) });
+    if (!entry) {
+      return res.status(404).send({ message: "Waitlist entry not found" });
+    }
+    if (entry.email !== req.decoded.email) {
+      return res.status(403).send({ message: "Forbidden Access" });
+    }
+    const result = await waitlistCollection.updateOne(
+      { _id: entry._id, status: { $in: OPEN_WAITLIST_STATUSES } },
+      { $set: { status: "left", closedAt: new Date() } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(409).send({ message: `This waitlist entry is already ${entry.status}` });
+    }
+    if (entry.status === "offered") {
+      const hold = await holdsCollection.findOne({ _id: entry.offer.holdId });
+      if (hold) {
+        await releaseHold(hold, "released");
+      }
+    }
+    await recordChange(req, "waitlist.leave", waitlistCollection, "waitlist", entry);
+    res.send({ message: "You left the waitlist" });
+  } catch (error) {
+    res.status(500).send({ message: "Failed to leave waitlist" });
+  }
+});
+
+// Who is waiting for a room, in order (Admin Only)
+app.get("/admin/rooms/:id/waitlist", verifyToken, requirePermission('bookings:read'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const entries = await waitlistCollection
+      .find({ roomId: new ObjectId(req.params.id), status: { $in: OPEN_WAITLIST_STATUSES } })
+      .sort({ createdAt: 1 })
+      .toArray();
+    res.send(entries);
+  } catch (error) {
+    res.status(500).send({ message: "Failed to fetch waitlist" });
+  }
+});
+
+
+// -------------------- Manage Bookings Part (Admin Only) --------------------
+
+const ADMIN_BOOKING_SORT_FIELDS = {
+    createdAt: 'createdAt',
+    checkIn: 'checkIn',
+    checkOut: 'checkOut',
+    total: 'price.total',
+    email: 'email'
+};
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Filter shared by the bookings list and the bookings export
+function adminBookingsFilter({ roomId, email, from, to, status }) {
+    const query = {};
+    if (roomId) {
+        query.roomId = new ObjectId(roomId);
+    }
+    if (email) {
+        // ইমেইলের অংশ দিয়েও খোঁজা যাবে
+        query.email = { $regex: escapeRegex(email), $options: 'i' };
+    }
+    if (status?.length) {
+        query.status = { $in: status };
+    }
+    if (from || to) {
+        // Stays overlapping [from, to]; either end may be left open
+        const start = toDay(from) || '0000-01-01';
+        const end = toDay(to) ? addDays(toDay(to), 1) : '9999-12-31';
+        Object.assign(query, overlapQuery(start, end));
+    }
+    return query;
+}
+
+function adminBookingsSort({ sort, order }) {
+    const sortField = ADMIN_BOOKING_SORT_FIELDS[sort] || 'createdAt';
+    const sortOrder = order === 'asc' ? 1 : -1;
+    return { [sortField]: sortOrder, _id: sortOrder };
+}
+
+// 1. সকল বুকিং পেজিনেশন, ফিল্টার এবং সর্টিং সহ
+// ?roomId=&email=&from=&to=&status=pending,confirmed&sort=checkIn&order=asc
+app.get('/admin/bookings', verifyToken, requirePermission('bookings:read'), validate({ query: adminBookingsQuery }), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+        const query = adminBookingsFilter(req.query);
+        const bookings = await bookingsCollection
+            .find(query, { projection: BOOKING_STAFF_PROJECTION })
+            .sort(adminBookingsSort(req.query))
+            .skip(skip)
+            .limit(limit)
+            .toArray();
+        const totalBookings = await bookingsCollection.countDocuments(query);
+
+        res.send({
+            bookings,
+            totalBookings,
+            totalPages: Math.ceil(totalBookings / limit),
+            currentPage: page
+        });
+    } catch (error) {
+        console.error("Error fetching bookings:", error);
+        res.status(500).send({ message: 'Failed to fetch bookings' });
+    }
+});
+
+// 2. যেকোনো একটি বুকিং দেখা
+app.get('/admin/bookings/:id', verifyToken, requirePermission('bookings:read'), validate({ params: idParams }), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const booking = await bookingsCollection.findOne({ _id: new ObjectId(id) }, { projection: BOOKING_STAFF_PROJECTION });
+        if (!booking) {
+            return res.status(404).send({ message: "Booking not found" });
+        }
+        res.send(booking);
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to fetch booking' });
+    }
+});
+
+// 3. গেস্টের হয়ে বুকিং রিশিডিউল করা (গেস্টের মতোই কনফ্লিক্ট চেক হবে)
+app.patch('/admin/bookings/:id', verifyToken, requirePermission('bookings:manage'), requireMigratedRoomIds, validate({ params: idParams, body: staySchema }), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const booking = await bookingsCollection.findOne({ _id: new ObjectId(id) });
+        if (!booking) {
+            return res.status(404).send({ message: "Booking not found" });
+        }
+
+        const stay = parseStay(req.body);
+        if (stay.error) {
+            return res.status(400).send({ message: stay.error });
+        }
+
+        const { result, error, httpStatus } = await rescheduleBooking(booking, stay);
+        if (error) {
+            return res.status(httpStatus).send({ message: error });
+        }
+        await recordChange(req, 'booking.reschedule', bookingsCollection, 'booking', booking);
+        res.send(result);
+    } catch (error) {
+        console.error("Error rescheduling booking:", error);
+        res.status(500).send({ message: 'Failed to reschedule booking' });
+    }
+});
+
+// 4. গেস্টের হয়ে বুকিং ক্যানসেল করা
+app.delete('/admin/bookings/:id', verifyToken, requirePermission('bookings:manage'), validate({ params: idParams }), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const booking = await bookingsCollection.findOne({ _id: new ObjectId(id) });
+        if (!booking) {
+            return res.status(404).send({ message: "Booking not found" });
+        }
+
+        const result = await cancelBooking(booking, req.decoded.email);
+        if (result.error) {
+            return res.status(409).send({ message: result.error });
+        }
+        await recordChange(req, 'booking.cancel', bookingsCollection, 'booking', booking);
+        res.send({ message: "Booking cancelled successfully", refund: result.refund });
+    } catch (error) {
+        console.error("Error cancelling booking:", error);
+        res.status(500).send({ message: 'Failed to cancel booking' });
+    }
+});
+
+// Confirm, check in, check out, cancel or mark a booking as no-show
+app.patch('/admin/bookings/:id/status', verifyToken, requirePermission('bookings:manage'), validate({ params: idParams, body: bookingStatusSchema }), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const { status } = req.body;
+
+        const booking = await bookingsCollection.findOne({ _id: new ObjectId(id) });
+        if (!booking) {
+            return res.status(404).send({ message: "Booking not found" });
+        }
+
+        const result = status === "cancelled"
+            ? await cancelBooking(booking, req.decoded.email)
+            : await transitionBooking(booking, status, req.decoded.email);
+        if (result.error) {
+            return res.status(409).send({ message: result.error });
+        }
+        await recordChange(req, status === 'cancelled' ? 'booking.cancel' : 'booking.status.update', bookingsCollection, 'booking', booking);
+        if (status === 'confirmed') {
+            await notifyBooking('booking.confirmation', booking._id, {}, `booking.confirmation:${booking._id}`);
+        }
+        if (status !== 'cancelled') {
+            await emitDocumentEvent('booking.status.updated', bookingsCollection, booking._id);
+        }
+        res.send(result);
+    } catch (error) {
+        console.error("Error updating booking status:", error);
+        res.status(500).send({ message: 'Failed to update booking status' });
+    }
+});
+
+// Refunds issued between two dates (inclusive), newest first
+app.get('/admin/refunds', verifyToken, requirePermission('reports:read'), validate({ query: dateRangeQuery }), async (req, res) => {
+    try {
+        const from = toDay(req.query.from);
+        const to = toDay(req.query.to);
+        if (!from || !to || to < from) {
+            return res.status(400).send({ message: "from and to must be valid dates (YYYY-MM-DD)" });
+        }
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+
+        const query = {
+            'refund.amount': { $gt: 0 },
+            'refund.issuedAt': {
+                $gte: new Date(`${from}T00:00:00Z`),
+                $lt: new Date(`${addDays(to, 1)}T00:00:00Z`)
+            }
+        };
+
+        const refunds = await bookingsCollection
+            .find(query, { projection: { email: 1, roomId: 1, checkIn: 1, checkOut: 1, date: 1, price: 1, refund: 1 } })
+            .sort({ 'refund.issuedAt': -1 })
+            .skip(skip)
+            .limit(limit)
+            .toArray();
+
+        const totals = await bookingsCollection.aggregate([
+            { $match: query },
+            { $group: { _id: null, count: { $sum: 1 }, totalRefunded: { $sum: '$refund.amount' } } }
+        ]).toArray();
+        const { count = 0, totalRefunded = 0 } = totals[0] || {};
+
+        res.send({
+            refunds,
+            totalRefunds: count,
+            totalRefunded,
+            totalPages: Math.ceil(count / limit),
+            currentPage: page
+        });
+    } catch (error) {
+        console.error("Error fetching refunds:", error);
+        res.status(500).send({ message: 'Failed to fetch refunds' });
+    }
+});
+
+
+
+// -------------------- Analytics Part (Admin Only) --------------------
+// KPIs for the nights from `from` to `to` (inclusive):
+//   occupancyRate  sold room-nights / available room-nights (%)
+//   adr            room revenue / sold room-nights
+//   revpar         room revenue / available room-nights
+// Room revenue is each night's rate from the price snapshot, net of any
+// discount, without taxes and fees. Snapshots without nightly rates (those
+// migration 003 backfilled) spread their subtotal evenly over the stay.
+// Cancelled bookings and bookings still waiting for their payment sell no
+// nights. cancellationRate and avgLeadTimeDays describe bookings *made* in
+// the period. A room is available from the day it was created until the
+// day it was deleted.
+const MAX_ANALYTICS_DAYS = 731;
+
+// A price snapshot's nights as [{ night, rate }]: the stored nightly rates,
+// or for older snapshots the subtotal (or total) split evenly over the stay
+const NIGHTLY_RATES = {
+    $ifNull: ['$price.nightly', {
+        $let: {
+            vars: {
+                start: { $dateFromString: { dateString: { $ifNull: ['$checkIn', '$date'] }, onError: null, onNull: null } },
+                end: { $dateFromString: { dateString: '$checkOut', onError: null, onNull: null } }
+            },
+            in: {
+                $let: {
+                    vars: {
+                        count: {
+                            $cond: [
+                                { $eq: ['$$start', null] },
+                                0,
+                                { $cond: [{ $eq: ['$$end', null] }, 1, { $max: [{ $dateDiff: { startDate: '$$start', endDate: '$$end', unit: 'day' } }, 0] }] }
+                            ]
+                        }
+                    },
+                    in: {
+                        $map: {
+                            input: { $range: [0, '$$count'] },
+                            as: 'i',
+                            in: {
+                                night: { $dateToString: { format: '%Y-%m-%d', date: { $dateAdd: { startDate: '$$start', unit: 'day', amount: '$$i' } } } },
+                                rate: { $divide: [{ $ifNull: ['$price.subtotal', { $ifNull: ['$price.total', 0] }] }, '$$count'] }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }]
+};
+
+function bucketExpr(date, interval) {
+    return {
+        $dateToString: {
+            format: '%Y-%m-%d',
+            date: { $dateTrunc: { date, unit: interval, startOfWeek: 'monday' } }
+        }
+    };
+}
+
+async function computeAnalytics(from, to, interval) {
+    const nights = eachNight(from, addDays(to, 1));
+    const periodStart = new Date(`${from}T00:00:00Z`);
+    const periodEnd = new Date(`${addDays(to, 1)}T00:00:00Z`);
+
+    const rooms = (await roomsCollection
+        .find({ $or: [NOT_DELETED, { deletedAt: { $gte: periodStart } }] }, { projection: { roomName: 1, name: 1, type: 1, createdAt: 1, deletedAt: 1 } })
+        .toArray())
+        .map(room => ({ ...room, nights: openNights(room, nights) }))
+        .filter(room => room.nights.length > 0);
+
+    // One document per room and sold night: { roomId, night, soldNights, roomRevenue }
+    const sold = await bookingsCollection.aggregate([
+        { $match: { ...ACTIVE_BOOKING, ...overlapQuery(from, addDays(to, 1)), $nor: [AWAITING_PAYMENT] } },
+        {
+            $project: {
+                roomId: 1,
+                netFactor: {
+                    $cond: [
+                        { $gt: ['$price.subtotal', 0] },
+                        { $divide: [{ $subtract: ['$price.subtotal', { $ifNull: ['$price.discount.amount', 0] }] }, '$price.subtotal'] },
+                        1
+                    ]
+                },
+                nightly: NIGHTLY_RATES
+            }
+        },
+        { $unwind: '$nightly' },
+        { $match: { 'nightly.night': { $gte: from, $lte: to } } },
+        {
+            $group: {
+                _id: { roomId: '$roomId', night: '$nightly.night' },
+                soldNights: { $sum: 1 },
+                roomRevenue: { $sum: { $multiply: ['$nightly.rate', '$netFactor'] } }
+            }
+        },
+        { $project: { _id: 0, roomId: '$_id.roomId', night: '$_id.night', soldNights: 1, roomRevenue: 1 } }
+    ]).toArray();
+    const soldTotals = tallySoldNights(sold, rooms, interval);
+
+    // Bookings made during the period
+    const made = await bookingsCollection.aggregate([
+        { $match: { createdAt: { $gte: periodStart, $lt: periodEnd } } },
+        {
+            $set: {
+                leadTimeDays: {
+                    $dateDiff: {
+                        startDate: { $dateTrunc: { date: '$createdAt', unit: 'day' } },
+                        endDate: { $dateFromString: { dateString: { $ifNull: ['$checkIn', '$date'] }, onError: null, onNull: null } },
+                        unit: 'day'
+                    }
+                }
+            }
+        },
+        {
+            $group: {
+                _id: bucketExpr('$createdAt', interval),
+                bookings: { $sum: 1 },
+                cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+                avgLeadTimeDays: { $avg: '$leadTimeDays' },
+                leadTimeBookings: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$leadTimeDays', null] }, null] }, 0, 1] } }
+            }
+        }
+    ]).toArray();
+
+    // Available room-nights per bucket
+    const nightsPerBucket = {};
+    nights.forEach(night => {
+        nightsPerBucket[bucketOf(night, interval)] = 0;
+    });
+    rooms.forEach(room => room.nights.forEach(night => {
+        nightsPerBucket[bucketOf(night, interval)]++;
+    }));
+
+    const madeByBucket = Object.fromEntries(made.map(row => [row._id, row]));
+    const series = Object.keys(nightsPerBucket).sort().map(bucket => ({
+        bucket,
+        ...kpis({
+            ...soldTotals.byBucket[bucket],
+            ...madeByBucket[bucket],
+            availableNights: nightsPerBucket[bucket]
+        })
+    }));
+
+    const byRoom = rooms.map(room => {
+        const row = soldTotals.byRoom[String(room._id)] || {};
+        return {
+            roomId: room._id,
+            name: room.roomName || room.name,
+            type: room.type || null,
+            ...kpis({ soldNights: row.soldNights, roomRevenue: row.roomRevenue, availableNights: room.nights.length })
+        };
+    });
+
+    const types = {};
+    byRoom.forEach(room => {
+        const key = room.type || 'unspecified';
+        types[key] = types[key] || { soldNights: 0, roomRevenue: 0, availableNights: 0, rooms: 0 };
+        types[key].soldNights += room.soldNights;
+        types[key].roomRevenue += room.roomRevenue;
+        types[key].availableNights += room.availableNights;
+        types[key].rooms += 1;
+    });
+    const byType = Object.entries(types).map(([type, row]) => ({ type, rooms: row.rooms, ...kpis(row) }));
+
+    const summary = kpis({
+        soldNights: Object.values(soldTotals.byRoom).reduce((sum, row) => sum + row.soldNights, 0),
+        roomRevenue: Object.values(soldTotals.byRoom).reduce((sum, row) => sum + row.roomRevenue, 0),
+        availableNights: rooms.reduce((sum, room) => sum + room.nights.length, 0),
+        bookings: made.reduce((sum, row) => sum + row.bookings, 0),
+        cancelled: made.reduce((sum, row) => sum + row.cancelled, 0),
+        avgLeadTimeDays: averageLeadTime(made)
+    });
+
+    return { summary, series, byRoom, byType };
+}
+
+// % change of every numeric KPI against the previous period
+function kpiChange(current, previous) {
+    const change = {};
+    Object.keys(current).forEach(key => {
+        if (typeof current[key] === 'number' && typeof previous[key] === 'number') {
+            change[key] = previous[key] !== 0 ? Math.round((current[key] - previous[key]) / previous[key] * 1000) / 10 : null;
+        }
+    });
+    return change;
+}
+
+// ?from=2025-07-01&to=2025-07-31&interval=day|week|month&compare=true
+app.get('/admin/analytics', verifyToken, requirePermission('reports:read'), validate({ query: analyticsQuery }), async (req, res) => {
+    try {
+        const { from, to, interval, compare } = req.query;
+        if (to < from) {
+            return res.status(400).send({ message: "to must not be before from" });
+        }
+        const days = daysBetween(from, to) + 1;
+        if (days > MAX_ANALYTICS_DAYS) {
+            return res.status(400).send({ message: `The range can cover at most ${MAX_ANALYTICS_DAYS} days` });
+        }
+
+        const result = { from, to, interval, ...(await computeAnalytics(from, to, interval)) };
+
+        // আগের একই দৈর্ঘ্যের সময়ের সাথে তুলনা
+        if (compare) {
+            const previousFrom = addDays(from, -days);
+            const previousTo = addDays(from, -1);
+            const previous = await computeAnalytics(previousFrom, previousTo, interval);
+            result.previous = { from: previousFrom, to: previousTo, summary: previous.summary };
+            result.change = kpiChange(result.summary, previous.summary);
+        }
+
+        res.send(result);
+    } catch (error) {
+        console.error("Error computing analytics:", error);
+        res.status(500).send({ message: 'Failed to compute analytics' });
+    }
+});
+
+
+// -------------------- Export & Import Part (Admin Only) --------------------
+// Exports stream straight from a cursor (see lib/export.js).
+// ?format=csv|ndjson; the bookings export takes the /admin/bookings filters.
+const BOOKING_EXPORT_COLUMNS = [
+    { header: 'id', path: '_id' },
+    { header: 'roomId', path: 'roomId' },
+    { header: 'email', path: 'email' },
+    { header: 'checkIn', value: booking => stayOf(booking)?.checkIn },
+    { header: 'checkOut', value: booking => stayOf(booking)?.checkOut },
+    { header: 'status', value: booking => statusOf(booking) },
+    { header: 'currency', path: 'price.currency' },
+    { header: 'nights', path: 'price.nights' },
+    { header: 'subtotal', path: 'price.subtotal' },
+    { header: 'discount', path: 'price.discount.amount' },
+    { header: 'taxes', path: 'price.taxes' },
+    { header: 'fees', path: 'price.fees' },
+    { header: 'total', path: 'price.total' },
+    { header: 'refund', path: 'refund.amount' },
+    { header: 'createdAt', path: 'createdAt' },
+    { header: 'cancelledAt', path: 'cancelledAt' }
+];
+
+const USER_EXPORT_COLUMNS = [
+    { header: 'id', path: '_id' },
+    { header: 'email', path: 'email' },
+    { header: 'name', path: 'name' },
+    { header: 'role', value: user => roleOf(user) },
+    { header: 'deletedAt', path: 'deletedAt' }
+];
+
+const ROOM_EXPORT_COLUMNS = [
+    { header: 'id', path: '_id' },
+    { header: 'roomName', path: 'roomName' },
+    { header: 'name', path: 'name' },
+    { header: 'type', path: 'type' },
+    { header: 'price', path: 'price' },
+    { header: 'capacity', path: 'capacity' },
+    { header: 'amenities', value: room => (room.amenities || []).join(',') },
+    { header: 'rating', path: 'rating' },
+    { header: 'reviewCount', path: 'reviewCount' },
+    { header: 'image', path: 'image' },
+    { header: 'description', path: 'description' },
+    { header: 'deletedAt', path: 'deletedAt' }
+];
+
+function exportFilename(name) {
+    return `${name}-${today()}`;
+}
+
+// হেডার পাঠানোর পরের ভুল streamExport নিজেই সামলায়
+function exportFailed(res, error, message) {
+    console.error(`${message}:`, error);
+    if (!res.headersSent) {
+        res.status(500).send({ message });
+    }
+}
+
+app.get('/admin/export/bookings', verifyToken, requirePermission('reports:read'), validate({ query: bookingsExportQuery }), async (req, res) => {
+    try {
+        const cursor = bookingsCollection.find(adminBookingsFilter(req.query), { projection: BOOKING_STAFF_PROJECTION }).sort(adminBookingsSort(req.query));
+        await streamExport(res, cursor, { format: req.query.format, filename: exportFilename('bookings'), columns: BOOKING_EXPORT_COLUMNS });
+    } catch (error) {
+        exportFailed(res, error, 'Failed to export bookings');
+    }
+});
+
+app.get('/admin/export/users', verifyToken, requirePermission('users:read'), validate({ query: exportQuery }), async (req, res) => {
+    try {
+        const cursor = usersCollection.find({}, { projection: USER_PUBLIC_PROJECTION }).sort({ _id: 1 });
+        await streamExport(res, cursor, { format: req.query.format, filename: exportFilename('users'), columns: USER_EXPORT_COLUMNS });
+    } catch (error) {
+        exportFailed(res, error, 'Failed to export users');
+    }
+});
+
+app.get('/admin/export/rooms', verifyToken, requirePermission('reports:read'), validate({ query: exportQuery }), async (req, res) => {
+    try {
+        const cursor = roomsCollection.find({}, { projection: ROOM_PUBLIC_PROJECTION }).sort({ _id: 1 });
+        await streamExport(res, cursor, { format: req.query.format, filename: exportFilename('rooms'), columns: ROOM_EXPORT_COLUMNS });
+    } catch (error) {
+        exportFailed(res, error, 'Failed to export rooms');
+    }
+});
+
+// Bulk room import. Send a JSON array (or { rooms: [...] }) or CSV text with
+// a header row using the room field names; CSV amenities are comma separated.
+// Each row is validated against the room schema and matched to an existing
+// room by `key` (?key=roomName|name|_id): a match is updated with the fields
+// given, anything else is created. ?dryRun=true reports what would happen
+// without writing. Invalid rows are reported and skipped.
+const MAX_IMPORT_ROWS = 1000;
+
+function importRows(req) {
+    if (typeof req.body === 'string') {
+        return { rows: parseCsv(req.body), csv: true };
+    }
+    const rows = Array.isArray(req.body) ? req.body : req.body?.rooms;
+    if (!Array.isArray(rows)) {
+        throw new Error("Send a JSON array of rooms, { rooms: [...] } or CSV text");
+    }
+    return { rows, csv: false };
+}
+
+app.post('/admin/import/rooms', verifyToken, requirePermission('rooms:write'), validate({ query: roomImportQuery }), async (req, res) => {
+    try {
+        const { dryRun, key } = req.query;
+
+        let parsed;
+        try {
+            parsed = importRows(req);
+        } catch (error) {
+            return res.status(400).send({ message: error.message });
+        }
+        const { rows, csv } = parsed;
+        if (rows.length === 0) {
+            return res.status(400).send({ message: "No rows to import" });
+        }
+        if (rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).send({ message: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` });
+        }
+
+        const keyOf = row => {
+            const value = row && typeof row === 'object' ? row[key] : undefined;
+            return typeof value === 'string' ? value.trim() : value;
+        };
+        const keyValue = value => (key === '_id' ? new ObjectId(value) : value);
+
+        // Existing rooms for every key in the file, in one query
+        const keys = rows.map(keyOf).filter(value => value && (key !== '_id' || ObjectId.isValid(value)));
+        const existingRooms = await roomsCollection
+            .find({ [key]: { $in: [...new Set(keys)].map(keyValue) }, ...NOT_DELETED })
+            .toArray();
+        const existingByKey = new Map(existingRooms.map(room => [String(room[key]), room]));
+
+        const seen = new Set();
+        const results = [];
+        const writes = [];
+        rows.forEach((row, index) => {
+            const rowNumber = index + 1;
+            const rowKey = keyOf(row);
+            if (!rowKey) {
+                return results.push({ row: rowNumber, action: 'error', errors: [{ field: key, message: "is required to match rooms" }] });
+            }
+            if (key === '_id' && !ObjectId.isValid(rowKey)) {
+                return results.push({ row: rowNumber, key: rowKey, action: 'error', errors: [{ field: key, message: "must be a valid id" }] });
+            }
+            if (seen.has(String(rowKey))) {
+                return results.push({ row: rowNumber, key: rowKey, action: 'error', errors: [{ field: key, message: "appears more than once in this import" }] });
+            }
+            seen.add(String(rowKey));
+
+            const existing = existingByKey.get(String(rowKey));
+            const { value, errors } = check(roomSchema, row, { coerce: csv, partial: Boolean(existing) });
+            if (errors.length > 0) {
+                return results.push({ row: rowNumber, key: rowKey, action: 'error', errors });
+            }
+
+            if (existing) {
+                const result = { row: rowNumber, key: rowKey, action: 'update', id: existing._id };
+                results.push(result);
+                writes.push({ result, before: existing, fields: value });
+            } else {
+                const room = key === '_id' ? { _id: new ObjectId(rowKey), ...value } : { ...value, [key]: rowKey };
+                if (!room._id) {
+                    room._id = new ObjectId();
+                }
+                const result = { row: rowNumber, key: rowKey, action: 'create', id: room._id };
+                results.push(result);
+                writes.push({ result, room });
+            }
+        });
+
+        if (!dryRun && writes.length > 0) {
+            try {
+                await roomsCollection.bulkWrite(writes.map(write => (write.room
+                    ? { insertOne: { document: write.room } }
+                    : { updateOne: { filter: { _id: write.before._id }, update: { $set: write.fields } } }
+                )), { ordered: false });
+            } catch (error) {
+                if (!error.writeErrors) {
+                    throw error;
+                }
+                // বাকি সারিগুলো লেখা হয়ে গেছে; ব্যর্থগুলো রিপোর্টে দেখানো হবে
+                [].concat(error.writeErrors).forEach(writeError => {
+                    const { result } = writes[writeError.index];
+                    result.action = 'error';
+                    result.errors = [{ field: key, message: writeError.errmsg }];
+                });
+            }
+
+            for (const write of writes) {
+                if (write.result.action === 'error') {
+                    continue;
+                }
+                if (write.room) {
+                    await recordAudit(req, { action: 'room.import.create', target: { type: 'room', id: write.room._id }, after: write.room });
+                    await emitDocumentEvent('room.created', roomsCollection, write.room._id);
+                } else {
+                    await recordAudit(req, { action: 'room.import.update', target: { type: 'room', id: write.before._id }, before: write.before, after: { ...write.before, ...write.fields } });
+                    await emitDocumentEvent('room.updated', roomsCollection, write.before._id);
+                }
+            }
+        }
+
+        const count = action => results.filter(result => result.action === action).length;
+        res.send({
+            dryRun,
+            key,
+            created: count('create'),
+            updated: count('update'),
+            failed: count('error'),
+            results
+        });
+    } catch (error) {
+        console.error("Error importing rooms:", error);
+        res.status(500).send({ message: 'Failed to import rooms' });
+    }
+});
+
+
+// -------------------- Calendar (iCal) Part --------------------
+// Rooms and guests get secret feed URLs (/ical/rooms/<token>.ics and
+// /ical/guests/<token>.ics); only a hash of the token is stored, so asking
+// for a new one is also how a leaked URL is revoked.
+// Blocks imported from other channels live in externalBlocks and hold their
+// nights in the ledger (kind "block"), so search and booking see them.
+const ICAL_FEED_HISTORY_DAYS = 30;
+const ICAL_MAX_BYTES = 2 * 1024 * 1024;
+const ICAL_FETCH_TIMEOUT_MS = 10000;
+
+function feedUrl(req, kind, token) {
+    const base = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+    return `${base}/ical/${kind}/${token}.ics`;
+}
+
+function sendCalendar(res, calendar) {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.send(calendar);
+}
+
+// Stays ending within the last ICAL_FEED_HISTORY_DAYS or later
+function recentStays() {
+    const since = addDays(today(), -ICAL_FEED_HISTORY_DAYS);
+    return {
+        ...ACTIVE_BOOKING,
+        $or: [{ checkOut: { $gte: since } }, { checkIn: { $exists: false }, date: { $gte: since } }]
+    };
+}
+
+async function fetchCalendar(url) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(ICAL_FETCH_TIMEOUT_MS) });
+    if (!response.ok) {
+        throw new Error(`Calendar request failed with ${response.status}`);
+    }
+    // Refuse a declared size over the limit up front, and read no further
+    // than the limit when the server doesn't say (or says wrong)
+    if (Number(response.headers.get("content-length")) > ICAL_MAX_BYTES) {
+        await response.body?.cancel().catch(() => {});
+        throw new Error("Calendar is too large");
+    }
+    const { body, truncated } = await readBody(response, ICAL_MAX_BYTES);
+    if (truncated) {
+        throw new Error("Calendar is too large");
+    }
+    return body.toString("utf8");
+}
+
+// Makes the room's blocks from `source` match `events`: new events become
+// blocks, moved ones are re-claimed, and future blocks missing from the feed
+// are released. Nights another booking already holds are reported as
+// conflicts on the block (an overbooking to sort out by hand).
+async function importExternalBlocks(room, source, { events, rejected }) {
+    const now = today();
+    const current = events.filter(event => event.end > now && daysBetween(event.start, event.end) <= 366);
+    const existing = await externalBlocksCollection.find({ roomId: room._id, source }).toArray();
+    const existingByUid = new Map(existing.map(blockDoc => [blockDoc.uid, blockDoc]));
+    const summary = { created: 0, updated: 0, unchanged: 0, removed: 0, rejected, conflicts: [] };
+
+    for (const event of current) {
+        let blockDoc = existingByUid.get(event.uid);
+        existingByUid.delete(event.uid);
+        if (blockDoc && blockDoc.start === event.start && blockDoc.end === event.end) {
+            summary.unchanged++;
+            if (blockDoc.conflicts?.length) {
+                summary.conflicts.push({ uid: event.uid, nights: blockDoc.conflicts });
+            }
+            continue;
+        }
+
+        let movedFrom = [];
+        if (blockDoc) {
+            await releaseNights(blockDoc._id);
+            movedFrom = eachNight(blockDoc.start, blockDoc.end);
+            summary.updated++;
+        } else {
+            blockDoc = { _id: new ObjectId(), roomId: room._id, source, uid: event.uid };
+            summary.created++;
+        }
+        const nights = eachNight(event.start, event.end);
+        const conflicts = await claimFreeNights(room._id, nights, 'block', blockDoc._id);
+        await externalBlocksCollection.updateOne(
+            { _id: blockDoc._id },
+            {
+                $set: { roomId: room._id, source, uid: event.uid, start: event.start, end: event.end, summary: event.summary, conflicts, importedAt: new Date() }
+            },
+            { upsert: true }
+        );
+        if (conflicts.length > 0) {
+            summary.conflicts.push({ uid: event.uid, nights: conflicts });
+        }
+        await offerFreedNights(room._id, movedFrom.filter(night => !nights.includes(night)));
+    }
+
+    // ফিড থেকে সরে যাওয়া ভবিষ্যতের ব্লক মানে অন্য চ্যানেলে বুকিং বাতিল
+    for (const blockDoc of existingByUid.values()) {
+        if (blockDoc.end > now) {
+            await releaseNights(blockDoc._id);
+            await externalBlocksCollection.deleteOne({ _id: blockDoc._id });
+            await offerFreedNights(room._id, eachNight(blockDoc.start, blockDoc.end));
+            summary.removed++;
+        }
+    }
+    return summary;
+}
+
+// Pulls every configured source of every room. Returns one entry per source.
+async function syncAllCalendars() {
+    const rooms = await roomsCollection.find({ 'icalSources.0': { $exists: true }, ...NOT_DELETED }).toArray();
+    const results = [];
+    for (const room of rooms) {
+        for (const source of room.icalSources) {
+            try {
+                const calendar = parseCalendar(await fetchCalendar(source.url));
+                results.push({ roomId: room._id, source: source.name, ...(await importExternalBlocks(room, source.name, calendar)) });
+            } catch (error) {
+                results.push({ roomId: room._id, source: source.name, error: error.message });
+            }
+        }
+    }
+    return results;
+}
+
+// Booked and blocked nights of one room, without guest details
+app.get('/ical/rooms/:token.ics', async (req, res) => {
+    try {
+        const room = await roomsCollection.findOne({ icalTokenHash: hashToken(req.params.token), ...NOT_DELETED });
+        if (!room) {
+            return res.status(404).send({ message: "Calendar not found" });
+        }
+        const bookings = await bookingsCollection
+            .find({ roomId: room._id, ...recentStays() }, { projection: { checkIn: 1, checkOut: 1, date: 1 } })
+            .toArray();
+        const blocks = await externalBlocksCollection
+            .find({ roomId: room._id, end: { $gte: addDays(today(), -ICAL_FEED_HISTORY_DAYS) } })
+            .toArray();
+
+        const events = [
+            ...bookings.map(booking => ({ uid: `booking-${booking._id}@hotel`, ...stayOf(booking), summary: 'Booked' })),
+            ...blocks.map(blockDoc => ({ uid: `block-${blockDoc._id}@hotel`, start: blockDoc.start, end: blockDoc.end, summary: `Blocked (${blockDoc.source})` }))
+        ].filter(event => event.start && event.end);
+
+        sendCalendar(res, buildCalendar({ name: room.roomName || room.name || 'Room', events }));
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to build calendar' });
+    }
+});
+
+// A guest's own stays
+app.get('/ical/guests/:token.ics', async (req, res) => {
+    try {
+        const user = await usersCollection.findOne({ icalTokenHash: hashToken(req.params.token), ...NOT_DELETED });
+        if (!user) {
+            return res.status(404).send({ message: "Calendar not found" });
+        }
+        const bookings = await bookingsCollection.aggregate([
+            { $match: { email: user.email, ...recentStays() } },
+            { $lookup: { from: 'rooms', localField: 'roomId', foreignField: '_id', as: 'room' } },
+            { $unwind: { path: '$room', preserveNullAndEmptyArrays: true } }
+        ]).toArray();
+
+        const events = bookings.map(booking => ({
+            uid: `stay-${booking._id}@hotel`,
+            ...stayOf(booking),
+            summary: `Stay: ${booking.room?.roomName || booking.room?.name || 'Room'}`,
+            description: `Booking ${booking._id} (${statusOf(booking)}). Check-in from ${String(CHECK_IN_HOUR).padStart(2, '0')}:00 UTC.`
+        })).filter(event => event.start && event.end);
+
+        sendCalendar(res, buildCalendar({ name: 'My stays', events }));
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to build calendar' });
+    }
+});
+
+// New secret feed URL for a room; the previous one stops working (Admin Only)
+app.post('/rooms/:id/ical/token', verifyToken, requirePermission('rooms:write'), validate({ params: idParams }), async (req, res) => {
+    try {
+        const token = randomToken();
+        const room = await roomsCollection.findOne({ _id: new ObjectId(req.params.id), ...NOT_DELETED });
+        if (!room) {
+            return res.status(404).send({ message: "Room not found" });
+        }
+        await roomsCollection.updateOne({ _id: room._id }, { $set: { icalTokenHash: hashToken(token) } });
+        await recordAudit(req, { action: 'room.ical.token', target: { type: 'room', id: room._id } });
+        res.send({ url: feedUrl(req, 'rooms', token) });
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to create calendar link' });
+    }
+});
+
+// New secret feed URL for the signed-in guest's stays
+app.post('/user/ical/token', verifyToken, async (req, res) => {
+    try {
+        const token = randomToken();
+        const user = await usersCollection.findOneAndUpdate(
+            { email: req.decoded.email, ...NOT_DELETED },
+            { $set: { icalTokenHash: hashToken(token) } },
+            { projection: { _id: 1 } }
+        );
+        if (!user) {
+            return res.status(404).send({ message: "User not found" });
+        }
+        await recordAudit(req, { action: 'user.ical.token', target: { type: 'user', id: user._id } });
+        res.send({ url: feedUrl(req, 'guests', token) });
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to create calendar link' });
+    }
+});
+
+// Calendar URLs on other channels to pull blocks from (Admin Only)
+app.put('/rooms/:id/ical/sources', verifyToken, requirePermission('rooms:write'), validate({ params: idParams, body: icalSourcesSchema }), async (req, res) => {
+    try {
+        const before = await roomsCollection.findOne({ _id: new ObjectId(req.params.id), ...NOT_DELETED });
+        if (!before) {
+            return res.status(404).send({ message: "Room not found" });
+        }
+        const names = req.body.sources.map(source => source.name);
+        if (new Set(names).size !== names.length) {
+            return res.status(400).send({ message: "Source names must be unique" });
+        }
+        const result = await roomsCollection.updateOne({ _id: before._id }, { $set: { icalSources: req.body.sources } });
+        await recordChange(req, 'room.ical.sources.update', roomsCollection, 'room', before);
+        res.send(result);
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to update calendar sources' });
+    }
+});
+
+// Import blocks for one source: send the .ics as text/calendar, or an empty
+// body to fetch the source's configured URL (Admin Only)
+// ?source=booking.com
+app.post('/admin/import/rooms/:id/ical', verifyToken, requirePermission('rooms:write'), requireMigratedRoomIds, validate({ params: idParams, query: icalImportQuery }), async (req, res) => {
+    try {
+        const { source } = req.query;
+        const room = await roomsCollection.findOne({ _id: new ObjectId(req.params.id), ...NOT_DELETED });
+        if (!room) {
+            return res.status(404).send({ message: "Room not found" });
+        }
+
+        let text = typeof req.body === 'string' && req.body.trim() ? req.body : null;
+        if (!text) {
+            const configured = (room.icalSources || []).find(item => item.name === source);
+            if (!configured) {
+                return res.status(400).send({ message: `Send the calendar as text/calendar or configure a URL for "${source}" first` });
+            }
+            try {
+                text = await fetchCalendar(configured.url);
+            } catch (error) {
+                return res.status(502).send({ message: `Could not fetch the calendar: ${error.message}` });
+            }
+        }
+        if (!/BEGIN:VCALENDAR/i.test(text)) {
+            return res.status(400).send({ message: "Not an iCalendar file" });
+        }
+
+        const summary = await importExternalBlocks(room, source, parseCalendar(text));
+        await recordAudit(req, { action: 'room.ical.import', target: { type: 'room', id: room._id }, after: { source, created: summary.created, updated: summary.updated, removed: summary.removed, rejected: summary.rejected } });
+        res.send({ source, ...summary });
+    } catch (error) {
+        console.error("Error importing calendar:", error);
+        res.status(500).send({ message: 'Failed to import calendar' });
+    }
+});
+
+// Pull every configured calendar source now (Admin Only)
+app.post('/admin/ical/sync', verifyToken, requirePermission('rooms:write'), requireMigratedRoomIds, async (req, res) => {
+    try {
+        const results = await syncAllCalendars();
+        for (const { roomId, ...result } of results) {
+            await recordAudit(req, { action: 'room.ical.import', target: { type: 'room', id: roomId }, after: result });
+        }
+        res.send({ results });
+    } catch (error) {
+        console.error("Error syncing calendars:", error);
+        res.status(500).send({ message: 'Failed to sync calendars' });
+    }
+});
+
+
+// -------------------- Notifications Part --------------------
+// Scheduled jobs (see "crons" in vercel.json). Vercel calls them with
+// "Authorization: Bearer <CRON_SECRET>"; without CRON_SECRET they are off.
+function verifyCron(req, res, next) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+        return res.status(501).send({ message: "Scheduled jobs are not configured" });
+    }
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const given = Buffer.from(req.get('authorization') || '');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return res.status(401).send({ message: "Unauthorized" });
+    }
+    next();
+}
+
+app.get('/cron/notifications', verifyCron, async (req, res) => {
+    try {
+        res.send(await processNotifications());
+    } catch (error) {
+        console.error("Error processing notifications:", error);
+        res.status(500).send({ message: 'Failed to process notifications' });
+    }
+});
+
+app.get('/cron/webhooks', verifyCron, async (req, res) => {
+    try {
+        res.send(await processWebhooks());
+    } catch (error) {
+        console.error("Error delivering webhooks:", error);
+        res.status(500).send({ message: 'Failed to deliver webhooks' });
+    }
+});
+
+app.get('/cron/holds', verifyCron, async (req, res) => {
+    try {
+        const holds = await expireHolds();
+        res.send({ ...holds, staleWaitlistEntries: await closeStaleWaitlistEntries() });
+    } catch (error) {
+        console.error("Error expiring holds:", error);
+        res.status(500).send({ message: 'Failed to expire holds' });
+    }
+});
+
+app.get('/cron/ical-sync', verifyCron, requireMigratedRoomIds, async (req, res) => {
+    try {
+        res.send({ results: await syncAllCalendars() });
+    } catch (error) {
+        console.error("Error syncing calendars:", error);
+        res.status(500).send({ message: 'Failed to sync calendars' });
+    }
+});
+
+// Queued and sent messages with their delivery status (Admin Only)
+app.get('/admin/notifications', verifyToken, requirePermission('bookings:read'), validate({ query: notificationsQuery }), async (req, res) => {
+    try {
+        const { page, limit, status, type, bookingId, to } = req.query;
+        const skip = (page - 1) * limit;
+
+        const query = {};
+        if (status) query.status = status;
+        if (type) query.type = type;
+        if (bookingId) query.bookingId = new ObjectId(bookingId);
+        if (to) query.to = to;
+
+        const notifications = await notificationsCollection.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray();
+        const totalNotifications = await notificationsCollection.countDocuments(query);
+        res.send({
+            notifications,
+            totalNotifications,
+            totalPages: Math.ceil(totalNotifications / limit),
+            currentPage: page
+        });
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to fetch notifications' });
+    }
+});
+
+// Send a failed (or already sent) message again (Admin Only)
+app.post('/admin/notifications/:id/retry', verifyToken, requirePermission('bookings:manage'), validate({ params: idParams }), async (req, res) => {
+    try {
+        const result = await requeueOutboxItem(notificationsCollection, new ObjectId(req.params.id));
+        if (result.matchedCount === 0) {
+            return res.status(409).send({ message: "Only failed or sent notifications can be retried" });
+        }
+        await recordAudit(req, { action: 'notification.retry', target: { type: 'notification', id: req.params.id } });
+        res.send(result);
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to retry notification' });
+    }
+});
+
+// Run the worker now instead of waiting for the cron (Admin Only)
+app.post('/admin/notifications/process', verifyToken, requirePermission('bookings:manage'), async (req, res) => {
+    try {
+        const summary = await processNotifications();
+        await recordAudit(req, { action: 'notification.process', target: { type: 'notification', id: 'outbox' }, after: summary });
+        res.send(summary);
+    } catch (error) {
+        console.error("Error processing notifications:", error);
+        res.status(500).send({ message: 'Failed to process notifications' });
+    }
+});
+
+
+// -------------------- Webhooks Part (Admin Only) --------------------
+// The signing secret is only shown when an endpoint is created or its
+// secret is rotated.
+async function findWebhook(req, res) {
+    const webhook = await webhooksCollection.findOne({ _id: new ObjectId(req.params.id) });
+    if (!webhook) {
+        res.status(404).send({ message: "Webhook not found" });
+        return null;
+    }
+    return webhook;
+}
+
+app.get('/admin/webhooks', verifyToken, requirePermission('webhooks:manage'), async (req, res) => {
+    try {
+        const webhooks = await webhooksCollection.find({}, { projection: WEBHOOK_PUBLIC_PROJECTION }).sort({ createdAt: -1 }).toArray();
+        res.send({ webhooks, events: WEBHOOK_EVENTS });
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to fetch webhooks' });
+    }
+});
+
+// Endpoints must be reachable from the internet: a URL pointing into our own
+// network would let whoever registers it probe internal services
+async function checkWebhookUrl(url, res) {
+    try {
+        await assertPublicUrl(url);
+        return true;
+    } catch (error) {
+        res.status(400).send({ message: `Webhook URL is not allowed: ${error.message}` });
+        return false;
+    }
+}
+
+app.post('/admin/webhooks', verifyToken, requirePermission('webhooks:manage'), validate({ body: webhookSchema }), async (req, res) => {
+    try {
+        if (!await checkWebhookUrl(req.body.url, res)) {
+            return;
+        }
+        const webhook = {
+            ...req.body,
+            events: [...new Set(req.body.events)],
+            secret: newWebhookSecret(),
+            createdAt: new Date(),
+            createdBy: req.decoded.email
+        };
+        const result = await webhooksCollection.insertOne(webhook);
+        await recordAudit(req, { action: 'webhook.create', target: { type: 'webhook', id: result.insertedId }, after: webhook });
+        res.status(201).send(webhook);
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to create webhook' });
+    }
+});
+
+app.patch('/admin/webhooks/:id', verifyToken, requirePermission('webhooks:manage'), validate({ params: idParams, body: { schema: webhookSchema, partial: true } }), async (req, res) => {
+    try {
+        const before = await findWebhook(req, res);
+        if (!before) {
+            return;
+        }
+        const fields = { ...req.body };
+        if (fields.url && !await checkWebhookUrl(fields.url, res)) {
+            return;
+        }
+        if (fields.events) {
+            fields.events = [...new Set(fields.events)];
+        }
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).send({ message: "Nothing to update" });
+        }
+        const result = await webhooksCollection.updateOne({ _id: before._id }, { $set: { ...fields, updatedAt: new Date() } });
+        await recordChange(req, 'webhook.update', webhooksCollection, 'webhook', before);
+        res.send(result);
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to update webhook' });
+    }
+});
+
+// Removes the endpoint; its queued deliveries fail instead of being sent
+app.delete('/admin/webhooks/:id', verifyToken, requirePermission('webhooks:manage'), validate({ params: idParams }), async (req, res) => {
+    try {
+        const before = await findWebhook(req, res);
+        if (!before) {
+            return;
+        }
+        const result = await webhooksCollection.deleteOne({ _id: before._id });
+        await recordAudit(req, { action: 'webhook.delete', target: { type: 'webhook', id: before._id }, before });
+        res.send(result);
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to delete webhook' });
+    }
+});
+
+app.post('/admin/webhooks/:id/rotate-secret', verifyToken, requirePermission('webhooks:manage'), validate({ params: idParams }), async (req, res) => {
+    try {
+        const webhook = await findWebhook(req, res);
+        if (!webhook) {
+            return;
+        }
+        const secret = newWebhookSecret();
+        await webhooksCollection.updateOne({ _id: webhook._id }, { $set: { secret, updatedAt: new Date() } });
+        await recordAudit(req, { action: 'webhook.secret.rotate', target: { type: 'webhook', id: webhook._id } });
+        res.send({ secret });
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to rotate webhook secret' });
+    }
+});
+
+// Queue a "ping" event for this endpoint only, to check it is reachable
+app.post('/admin/webhooks/:id/test', verifyToken, requirePermission('webhooks:manage'), validate({ params: idParams }), async (req, res) => {
+    try {
+        const webhook = await findWebhook(req, res);
+        if (!webhook) {
+            return;
+        }
+        await emitEvent('ping', { webhookId: String(webhook._id) }, { webhookId: webhook._id });
+        await recordAudit(req, { action: 'webhook.test', target: { type: 'webhook', id: webhook._id } });
+        res.status(202).send({ message: "Ping queued" });
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to queue ping' });
+    }
+});
+
+// Delivery log of one endpoint, newest first
+app.get('/admin/webhooks/:id/deliveries', verifyToken, requirePermission('webhooks:manage'), validate({ params: idParams, query: webhookDeliveriesQuery }), async (req, res) => {
+    try {
+        const { page, limit, status, event } = req.query;
+        const skip = (page - 1) * limit;
+
+        const query = { webhookId: new ObjectId(req.params.id) };
+        if (status) query.status = status;
+        if (event) query.event = event;
+
+        const deliveries = await webhookDeliveriesCollection.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray();
+        const totalDeliveries = await webhookDeliveriesCollection.countDocuments(query);
+        res.send({
+            deliveries,
+            totalDeliveries,
+            totalPages: Math.ceil(totalDeliveries / limit),
+            currentPage: page
+        });
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to fetch webhook deliveries' });
+    }
+});
+
+// Send a delivery again, whether it failed or already went through
+app.post('/admin/webhooks/deliveries/:id/redeliver', verifyToken, requirePermission('webhooks:manage'), validate({ params: idParams }), async (req, res) => {
+    try {
+        const result = await requeueOutboxItem(webhookDeliveriesCollection, new ObjectId(req.params.id));
+        if (result.matchedCount === 0) {
+            return res.status(409).send({ message: "Only failed or delivered webhooks can be redelivered" });
+        }
+        await recordAudit(req, { action: 'webhook.redeliver', target: { type: 'webhook', id: req.params.id } });
+        res.status(202).send({ message: "Delivery queued" });
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to redeliver webhook' });
+    }
+});
+
+
+// -------------------- Payments Part --------------------
+// Called by the payment gateway. Each event is applied once: its id is
+// recorded first, so the gateway's own retries are answered without
+// touching the booking again.
+app.post('/payments/webhook', async (req, res) => {
+    if (!paymentGateway) {
+        return res.status(404).send({ message: "Payments are not enabled" });
+    }
+    let event;
+    try {
+        event = paymentGateway.parseWebhook(req.body, req.headers);
+    } catch (error) {
+        return res.status(400).send({ message: error.message });
+    }
+    if (!event.id) {
+        return res.status(400).send({ message: "Event has no id" });
+    }
+
+    try {
+        await paymentEventsCollection.insertOne({ eventId: event.id, type: event.type, intentId: event.intentId, state: 'processing', receivedAt: new Date() });
+    } catch (error) {
+        if (error.code === DUPLICATE_KEY_ERROR) {
+            return res.send({ received: true, duplicate: true });
+        }
+        return res.status(500).send({ message: "Server error" });
+    }
+
+    try {
+        const outcome = await applyPaymentEvent(event, systemRequest(PAYMENTS_ACTOR, req.id));
+        await paymentEventsCollection.updateOne({ eventId: event.id }, { $set: { state: 'done', outcome } });
+        res.send({ received: true, ...outcome });
+    } catch (error) {
+        // Let the gateway retry the event
+        console.error("Error applying payment event:", error);
+        await paymentEventsCollection.deleteOne({ eventId: event.id }).catch(() => {});
+        res.status(500).send({ message: "Failed to process payment event" });
+    }
+});
+
+// Payment status of your own booking (and what the client needs to pay it)
+app.get('/bookings/:id/payment', verifyToken, validate({ params: idParams }), async (req, res) => {
+    try {
+        const booking = await bookingsCollection.findOne({ _id: new ObjectId(req.params.id) }, { projection: { email: 1, status: 1, payment: 1, refund: 1 } });
+        if (!booking) {
+            return res.status(404).send({ message: "Booking not found" });
+        }
+        if (booking.email !== req.decoded.email) {
+            return res.status(403).send({ message: "Forbidden Access" });
+        }
+        res.send({ status: statusOf(booking), payment: paymentView(booking.payment), refund: booking.refund || null });
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to fetch payment' });
+    }
+});
+
+app.get('/cron/payments', verifyCron, async (req, res) => {
+    try {
+        res.send(await expireUnpaidBookings());
+    } catch (error) {
+        console.error("Error expiring payments:", error);
+        res.status(500).send({ message: 'Failed to expire payments' });
+    }
+});
+
+
+// -------------------- Reviews Part --------------------
+
+// Authors may edit or delete their review for this long after posting it
+const REVIEW_EDIT_WINDOW_HOURS = parseInt(process.env.REVIEW_EDIT_WINDOW_HOURS) || 72;
+
+// Reviews hidden by a moderator are left out of public lists and ratings
+const VISIBLE_REVIEW = { hidden: { $ne: true } };
+
+// Reviewer and staff emails, moderator notes and report counts stay with staff
+const PUBLIC_REVIEW_PROJECTION = { userEmail: 0, anonymizedEmail: 0, moderation: 0, flagged: 0, reportCount: 0, "reply.by": 0 };
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+};
+
+function canStillEdit(review) {
+  return Date.now() - new Date(review.createdAt).getTime() <= REVIEW_EDIT_WINDOW_HOURS * 60 * 60 * 1000;
+}
+
+// Loads a review by id, sending 404 itself when there is none
+async function findReview(req, res) {
+  const review = await reviewsCollection.findOne({ _id: new ObjectId(req.params.id) });
+  if (!review) {
+    res.status(404).send({ message: "Review not found" });
+  }
+  return review;
+}
+
+// Only guests who finished a stay can review it. Bookings from before
+// statuses existed count once their check-out day has passed.
+function isCompletedStay(booking) {
+  if (booking.status) {
+    return booking.status === "checked-out";
+  }
+  const stay = stayOf(booking);
+  return Boolean(stay) && stay.checkOut <= today();
+}
+
+// Recomputes a room's average rating and review count from its visible reviews
+async function refreshRoomRating(roomId) {
+  if (!ObjectId.isValid(roomId)) {
+    return;
+  }
+  const [stats] = await reviewsCollection.aggregate([
+    { $match: { roomId: new ObjectId(roomId), ...VISIBLE_REVIEW } },
+    { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } }
+  ]).toArray();
+
+  await roomsCollection.updateOne(
+    { _id: new ObjectId(roomId) },
+    { $set: { rating: stats ? Math.round(stats.average * 10) / 10 : 0, reviewCount: stats ? stats.count : 0 } }
+  );
+}
+
+// Submit a review for a completed stay. Send `bookingId`, or just `roomId` to
+// review the latest completed stay in that room that has no review yet.
+app.post("/reviews", verifyToken, validate({ body: reviewSchema }), async (req, res) => {
+  const { bookingId, roomId, rating, comment } = req.body;
+  const userEmail = req.decoded.email;
+  try {
+    if (!bookingId && !roomId) {
+      return res.status(400).send({ message: "bookingId or roomId is required" });
+    }
+
+    let booking;
+    if (bookingId) {
+      booking = await bookingsCollection.findOne({ _id: new ObjectId(bookingId), email: userEmail });
+    } else {
+      const reviewedBookingIds = await reviewsCollection.distinct("bookingId", { userEmail, roomId: new ObjectId(roomId) });
+      const bookings = await bookingsCollection
+        .find({ roomId: new ObjectId(roomId), email: userEmail, _id: { $nin: reviewedBookingIds } })
+        .sort({ checkOut: -1, date: -1 })
+        .toArray();
+      booking = bookings.find(isCompletedStay);
+    }
+
+    if (!booking || !isCompletedStay(booking)) {
+      return res.status(403).send({ message: "You can only review a room after completing a stay" });
+    }
+
+    // নাম আর ছবি টোকেনের ইউজারের প্রোফাইল থেকে, বডি থেকে নয়
+    const user = await usersCollection.findOne({ email: userEmail });
+    const review = {
+      roomId: booking.roomId,
+      bookingId: booking._id,
+      username: user?.name,
+      userEmail,
+      userPhoto: user?.photoURL,
+      rating,
+      comment,
+      createdAt: new Date(),
+    };
+    const result = await reviewsCollection.insertOne(review);
+    await refreshRoomRating(booking.roomId);
+    await recordAudit(req, { action: "review.create", target: { type: "review", id: result.insertedId }, after: review });
+    await emitDocumentEvent("review.created", reviewsCollection, result.insertedId);
+    res.send(result);
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return res.status(409).send({ message: "You have already reviewed this stay" });
+    }
+    res.status(500).send({ error: "Failed to submit review" });
+  }
+});
+
+// Edit your own review (within the edit window)
+app.patch("/reviews/:id", verifyToken, validate({ params: idParams, body: reviewUpdateSchema }), async (req, res) => {
+  try {
+    const review = await findReview(req, res);
+    if (!review) {
+      return;
+    }
+    if (review.userEmail !== req.decoded.email) {
+      return res.status(403).send({ message: "Forbidden Access" });
+    }
+    if (!canStillEdit(review)) {
+      return res.status(403).send({ message: `Reviews can only be edited within ${REVIEW_EDIT_WINDOW_HOURS} hours of posting` });
+    }
+
+    const { rating = review.rating, comment = review.comment } = req.body;
+    const result = await reviewsCollection.updateOne(
+      { _id: review._id },
+      { $set: { rating, comment, editedAt: new Date() } }
+    );
+    await refreshRoomRating(review.roomId);
+    await recordChange(req, "review.update", reviewsCollection, "review", review);
+    await emitDocumentEvent("review.updated", reviewsCollection, review._id);
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: "Failed to update review" });
+  }
+});
+
+// Delete your own review (within the edit window)
+app.delete("/reviews/:id", verifyToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const review = await findReview(req, res);
+    if (!review) {
+      return;
+    }
+    if (review.userEmail !== req.decoded.email) {
+      return res.status(403).send({ message: "Forbidden Access" });
+    }
+    if (!canStillEdit(review)) {
+      return res.status(403).send({ message: `Reviews can only be deleted within ${REVIEW_EDIT_WINDOW_HOURS} hours of posting` });
+    }
+
+    const result = await reviewsCollection.deleteOne({ _id: review._id });
+    await reviewReportsCollection.deleteMany({ reviewId: review._id });
+    await refreshRoomRating(review.roomId);
+    await recordAudit(req, { action: "review.delete", target: { type: "review", id: review._id }, before: review });
+    await emitEvent("review.deleted", review);
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: "Failed to delete review" });
+  }
+});
+
+// Report an abusive review to the moderation queue
+app.post("/reviews/:id/report", verifyToken, validate({ params: idParams, body: { reason: { type: "string", required: true, min: 1, max: 500 } } }), async (req, res) => {
+  try {
+    const review = await findReview(req, res);
+    if (!review) {
+      return;
+    }
+    const result = await reviewReportsCollection.insertOne({
+      reviewId: review._id,
+      reporterEmail: req.decoded.email,
+      reason: req.body.reason,
+      status: "open",
+      createdAt: new Date(),
+    });
+    await reviewsCollection.updateOne({ _id: review._id }, { $inc: { reportCount: 1 } });
+    await recordChange(req, "review.report", reviewsCollection, "review", review);
+    res.send(result);
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return res.status(409).send({ message: "You have already reported this review" });
+    }
+    res.status(500).send({ error: "Failed to report review" });
+  }
+});
+
+// Post or replace the hotel's public reply to a review (Staff Only)
+app.put("/reviews/:id/reply", verifyToken, requirePermission('reviews:reply'), validate({ params: idParams, body: { text: { type: "string", required: true, min: 1, max: 2000 } } }), async (req, res) => {
+  try {
+    const review = await findReview(req, res);
+    if (!review) {
+      return;
+    }
+    const result = await reviewsCollection.updateOne(
+      { _id: review._id },
+      { $set: { reply: { text: req.body.text, by: req.decoded.email, at: new Date() } } }
+    );
+    await recordChange(req, "review.reply.update", reviewsCollection, "review", review);
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: "Failed to save reply" });
+  }
+});
+
+// Remove the hotel's reply (Staff Only)
+app.delete("/reviews/:id/reply", verifyToken, requirePermission('reviews:reply'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const review = await findReview(req, res);
+    if (!review) {
+      return;
+    }
+    const result = await reviewsCollection.updateOne({ _id: review._id }, { $unset: { reply: "" } });
+    if (result.modifiedCount > 0) {
+      await recordChange(req, "review.reply.delete", reviewsCollection, "review", review);
+    }
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: "Failed to remove reply" });
+  }
+});
+
+// Sends the reviews matching `query`. Clients written before pagination
+// send neither ?page nor ?limit and get every review as a bare array; with
+// either one they get a page as { reviews, totalReviews, totalPages, currentPage }.
+async function sendReviews(req, res, query) {
+  const sort = REVIEW_SORTS[req.query.sort] || REVIEW_SORTS.newest;
+  const cursor = reviewsCollection.find(query, { projection: PUBLIC_REVIEW_PROJECTION }).sort(sort);
+  if (req.query.page === undefined && req.query.limit === undefined) {
+    return res.send(await cursor.toArray());
+  }
+
+  const page = req.query.page || 1;
+  const limit = req.query.limit || 10;
+  const reviews = await cursor.skip((page - 1) * limit).limit(limit).toArray();
+  const totalReviews = await reviewsCollection.countDocuments(query);
+  res.send({
+    reviews,
+    totalReviews,
+    totalPages: Math.ceil(totalReviews / limit),
+    currentPage: page
+  });
+}
+
+// Get all visible reviews
+// ?page=&limit=&sort=newest|highest|lowest
+app.get("/reviews", validate({ query: reviewsQuery }), async (req, res) => {
+  try {
+    await sendReviews(req, res, VISIBLE_REVIEW);
+  } catch (error) {
+    res.status(500).send({ error: "Failed to fetch all reviews" });
+  }
+});
+
+// Get visible reviews for a specific room
+app.get("/reviews/:roomId", validate({ params: roomIdParams, query: reviewsQuery }), async (req, res) => {
+  const { roomId } = req.params;
+  try {
+    await sendReviews(req, res, { roomId: new ObjectId(roomId), ...VISIBLE_REVIEW });
+  } catch (error) {
+    res.status(500).send({ error: "Failed to fetch reviews" });
+  }
+});
+
+
+// -------------------- Review Moderation Part (Admin Only) --------------------
+
+// 1. সকল রিভিউ, লুকানো এবং ফ্ল্যাগ করা সহ
+// ?hidden=true&flagged=true&roomId=&page=&limit=
+app.get('/admin/reviews', verifyToken, requirePermission('reviews:moderate'), validate({ query: adminReviewsQuery }), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+
+        const query = {};
+        if (req.query.hidden !== undefined) {
+            query.hidden = req.query.hidden ? true : { $ne: true };
+        }
+        if (req.query.flagged !== undefined) {
+            query.flagged = req.query.flagged ? true : { $ne: true };
+        }
+        if (req.query.roomId) {
+            query.roomId = new ObjectId(req.query.roomId);
+        }
+
+        const reviews = await reviewsCollection.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray();
+        const totalReviews = await reviewsCollection.countDocuments(query);
+        res.send({
+            reviews,
+            totalReviews,
+            totalPages: Math.ceil(totalReviews / limit),
+            currentPage: page
+        });
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to fetch reviews' });
+    }
+});
+
+// 2. রিভিউ লুকানো/দেখানো বা ফ্ল্যাগ করা
+app.patch('/admin/reviews/:id/moderation', verifyToken, requirePermission('reviews:moderate'), validate({ params: idParams, body: { hidden: { type: "boolean" }, flagged: { type: "boolean" }, note: { type: "string", max: 500 } } }), async (req, res) => {
+    try {
+        const review = await findReview(req, res);
+        if (!review) {
+            return;
+        }
+        const { hidden, flagged, note } = req.body;
+        const updates = {};
+        if (typeof hidden === 'boolean') {
+            updates.hidden = hidden;
+        }
+        if (typeof flagged === 'boolean') {
+            updates.flagged = flagged;
+        }
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).send({ message: "Send hidden and/or flagged as true or false" });
+        }
+
+        const result = await reviewsCollection.updateOne(
+            { _id: review._id },
+            { $set: { ...updates, moderation: { by: req.decoded.email, at: new Date(), note: note || null } } }
+        );
+        if (updates.hidden !== undefined) {
+            await refreshRoomRating(review.roomId);
+        }
+        await recordChange(req, 'review.moderate', reviewsCollection, 'review', review);
+        res.send(result);
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to moderate review' });
+    }
+});
+
+// 3. রিপোর্ট করা রিভিউ এর তালিকা (মডারেশন কিউ)
+// ?status=open|resolved|dismissed
+app.get('/admin/reviews/reports', verifyToken, requirePermission('reviews:moderate'), validate({ query: reviewReportsQuery }), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+        const query = { status: req.query.status };
+
+        const reports = await reviewReportsCollection.aggregate([
+            { $match: query },
+            { $sort: { createdAt: 1 } },
+            { $skip: skip },
+            { $limit: limit },
+            {
+                $lookup: {
+                    from: 'reviews',
+                    localField: 'reviewId',
+                    foreignField: '_id',
+                    as: 'review'
+                }
+            },
+            { $unwind: { path: '$review', preserveNullAndEmptyArrays: true } }
+        ]).toArray();
+        const totalReports = await reviewReportsCollection.countDocuments(query);
+
+        res.send({
+            reports,
+            totalReports,
+            totalPages: Math.ceil(totalReports / limit),
+            currentPage: page
+        });
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to fetch review reports' });
+    }
+});
+
+// 4. রিপোর্ট নিষ্পত্তি করা
+app.patch('/admin/reviews/reports/:id', verifyToken, requirePermission('reviews:moderate'), validate({ params: idParams, body: { status: { type: "string", required: true, enum: ["resolved", "dismissed"] } } }), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const { status } = req.body;
+        const report = await reviewReportsCollection.findOne({ _id: new ObjectId(id) });
+        if (!report) {
+            return res.status(404).send({ message: "Report not found" });
+        }
+        const result = await reviewReportsCollection.updateOne(
+            { _id: report._id },
+            { $set: { status, resolvedBy: req.decoded.email, resolvedAt: new Date() } }
+        );
+        await recordChange(req, `reviewReport.${status}`, reviewReportsCollection, 'reviewReport', report);
+        res.send(result);
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to update report' });
+    }
+});
+
+
+// -------------------- Audit Log Part (Admin Only) --------------------
+// ?actor=&action=booking.&targetType=room&targetId=&requestId=&from=&to=
+// action matches as a prefix, so "booking." lists every booking change
+app.get('/admin/audit-logs', verifyToken, requirePermission('audit:read'), validate({ query: auditLogsQuery }), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+        const { actor, action, targetType, targetId, requestId, from, to } = req.query;
+
+        const query = {};
+        if (actor) {
+            query.actor = actor;
+        }
+        if (action) {
+            query.action = { $regex: `^${escapeRegex(action)}` };
+        }
+        if (targetType) {
+            query['target.type'] = targetType;
+        }
+        if (targetId) {
+            query['target.id'] = targetId;
+        }
+        if (requestId) {
+            query.requestId = requestId;
+        }
+        if (from || to) {
+            query.at = {};
+            if (from) {
+                query.at.$gte = new Date(`${from}T00:00:00Z`);
+            }
+            if (to) {
+                query.at.$lt = new Date(`${addDays(to, 1)}T00:00:00Z`);
+            }
+        }
+
+        const logs = await auditLogsCollection.find(query).sort({ at: -1 }).skip(skip).limit(limit).toArray();
+        const totalLogs = await auditLogsCollection.countDocuments(query);
+
+        res.send({
+            logs,
+            totalLogs,
+            totalPages: Math.ceil(totalLogs / limit),
+            currentPage: page
+        });
+    } catch (error) {
+        res.status(500).send({ message: 'Failed to fetch audit logs' });
+    }
+});
 
 
 // -------------------- Root --------------------
@@ -798,12 +5155,24 @@ app.get("/", (req, res) => {
   res.send("🏨 Hotel Booking Server is Running");
 });
 
-// Local server for development
-if (process.env.NODE_ENV !== "production") {
+// Local server for development; the tests start their own
+if (process.env.NODE_ENV !== "production" && process.env.NODE_ENV !== "test") {
   const port = process.env.PORT || 3000;
   app.listen(port, () => {
     console.log(`🚀 Server running at http://localhost:${port}`);
   });
+
+  // Vercel runs the crons; locally the outbox workers run on a timer
+  setInterval(() => {
+    if (dbReady) {
+      processNotifications().catch(err => console.error("Notification worker failed:", err));
+      processWebhooks().catch(err => console.error("Webhook worker failed:", err));
+      expireUnpaidBookings().catch(err => console.error("Payment sweeper failed:", err));
+      expireHolds()
+        .then(closeStaleWaitlistEntries)
+        .catch(err => console.error("Hold sweeper failed:", err));
+    }
+  }, 60 * 1000).unref();
 }
 
 // Export for Vercel
@@ -0,0 +1,85 @@
+// The arithmetic behind /admin/analytics: which nights a room could be sold
+// for, which sold nights count, and the KPIs made from them. The server
+// reads the rooms and bookings; everything here works on plain rows.
+
+const { addDays } = require("./stays");
+const { roundMoney } = require("./pricing");
+
+// The nights of `nights` a room could be sold for: from the day it was
+// created until the day it was deleted
+function openNights(room, nights) {
+  const firstNight = new Date(room.createdAt || room._id.getTimestamp()).toISOString().slice(0, 10);
+  const lastNight = room.deletedAt ? new Date(room.deletedAt).toISOString().slice(0, 10) : null;
+  return nights.filter(night => night >= firstNight && (!lastNight || night < lastNight));
+}
+
+// Same bucket start as $dateTrunc with startOfWeek: "monday"
+function bucketOf(night, interval) {
+  if (interval === "month") {
+    return `${night.slice(0, 7)}-01`;
+  }
+  if (interval === "week") {
+    const sinceMonday = (new Date(`${night}T00:00:00Z`).getUTCDay() + 6) % 7;
+    return addDays(night, -sinceMonday);
+  }
+  return night;
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round(part / whole * 1000) / 10 : 0;
+}
+
+function kpis({ soldNights = 0, roomRevenue = 0, availableNights = 0, bookings = 0, cancelled = 0, avgLeadTimeDays = null }) {
+  return {
+    availableNights,
+    soldNights,
+    roomRevenue: roundMoney(roomRevenue),
+    occupancyRate: percent(soldNights, availableNights),
+    adr: soldNights > 0 ? roundMoney(roomRevenue / soldNights) : 0,
+    revpar: availableNights > 0 ? roundMoney(roomRevenue / availableNights) : 0,
+    bookings,
+    cancellationRate: percent(cancelled, bookings),
+    avgLeadTimeDays: avgLeadTimeDays === null ? null : Math.round(avgLeadTimeDays * 10) / 10,
+  };
+}
+
+// Adds up sold nights, given as [{ roomId, night, soldNights, roomRevenue }],
+// per bucket and per room. Only nights of `rooms` (each with the `nights`
+// openNights gave it) count, so a booking on a room that is gone or on a
+// night before the room existed can't push occupancy past 100%.
+// → { byBucket: { [bucket]: totals }, byRoom: { [roomId]: totals } }
+function tallySoldNights(rows, rooms, interval) {
+  const openByRoom = new Map(rooms.map(room => [String(room._id), new Set(room.nights)]));
+  const byBucket = {};
+  const byRoom = {};
+  const add = (totals, key, row) => {
+    totals[key] = totals[key] || { soldNights: 0, roomRevenue: 0 };
+    totals[key].soldNights += row.soldNights;
+    totals[key].roomRevenue += row.roomRevenue;
+  };
+  for (const row of rows) {
+    const roomId = String(row.roomId);
+    if (!openByRoom.get(roomId)?.has(row.night)) {
+      continue;
+    }
+    add(byBucket, bucketOf(row.night, interval), row);
+    add(byRoom, roomId, row);
+  }
+  return { byBucket, byRoom };
+}
+
+// Average lead time over buckets of bookings, [{ avgLeadTimeDays,
+// leadTimeBookings }], weighted by the bookings that have a lead time
+function averageLeadTime(rows) {
+  let days = 0;
+  let bookings = 0;
+  for (const row of rows) {
+    if (row.avgLeadTimeDays !== null && row.leadTimeBookings > 0) {
+      days += row.avgLeadTimeDays * row.leadTimeBookings;
+      bookings += row.leadTimeBookings;
+    }
+  }
+  return bookings > 0 ? days / bookings : null;
+}
+
+module.exports = { openNights, bucketOf, percent, kpis, tallySoldNights, averageLeadTime };
@@ -0,0 +1,115 @@
+// Identity helpers: password hashing, opaque refresh tokens and verification
+// of signed ID tokens (e.g. Firebase/Google) against configured public keys.
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const SCRYPT_KEY_LENGTH = 64;
+
+// Stored as "scrypt$<salt>$<hash>" so the scheme can change later
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString("base64url");
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, derived) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(`scrypt$${salt}$${derived.toString("base64url")}`);
+    });
+  });
+}
+
+function verifyPassword(password, stored) {
+  return new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = String(stored || "").split("$");
+    if (scheme !== "scrypt" || !salt || !hash) {
+      return resolve(false);
+    }
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, derived) => {
+      if (err) {
+        return reject(err);
+      }
+      const expected = Buffer.from(hash, "base64url");
+      resolve(expected.length === derived.length && crypto.timingSafeEqual(expected, derived));
+    });
+  });
+}
+
+function randomToken() {
+  return crypto.randomBytes(48).toString("base64url");
+}
+
+// Refresh tokens are only ever stored hashed
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Builds verifyIdToken(token) → { email, name, picture } for ID tokens signed
+// by an identity provider. Keys come from either:
+//   publicKeys: { [kid]: PEM } (or a single PEM string) — handy for tests
+//               with a locally generated key pair
+//   jwksUrl:    a JWKS endpoint, fetched and cached for `cacheMs`; a `kid`
+//               missing from the cache (the provider rotated its keys)
+//               fetches it again, at most once every `refetchMs`
+// `issuer` and `audience` are checked when set.
+function createIdTokenVerifier({ publicKeys, jwksUrl, issuer, audience, cacheMs = 60 * 60 * 1000, refetchMs = 60 * 1000 }) {
+  let cachedKeys = null;
+  let cachedAt = 0;
+
+  async function fetchJwks({ force = false } = {}) {
+    if (cachedKeys && Date.now() - cachedAt < (force ? refetchMs : cacheMs)) {
+      return cachedKeys;
+    }
+    const response = await fetch(jwksUrl);
+    if (!response.ok) {
+      throw new Error(`JWKS request failed with ${response.status}`);
+    }
+    const { keys = [] } = await response.json();
+    cachedKeys = Object.fromEntries(
+      keys.map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" })])
+    );
+    cachedAt = Date.now();
+    return cachedKeys;
+  }
+
+  async function keyFor(kid) {
+    if (typeof publicKeys === "string") {
+      return publicKeys;
+    }
+    if (publicKeys && publicKeys[kid]) {
+      return publicKeys[kid];
+    }
+    if (jwksUrl) {
+      const keys = await fetchJwks();
+      return keys[kid] || (await fetchJwks({ force: true }))[kid];
+    }
+    return null;
+  }
+
+  return async function verifyIdToken(idToken) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new Error("Malformed ID token");
+    }
+    const key = await keyFor(decoded.header.kid);
+    if (!key) {
+      throw new Error("Unknown ID token signing key");
+    }
+
+    const options = { algorithms: ["RS256", "ES256"] };
+    if (issuer) {
+      options.issuer = issuer;
+    }
+    if (audience) {
+      options.audience = audience;
+    }
+    const payload = jwt.verify(idToken, key, options);
+
+    if (!payload.email || payload.email_verified === false) {
+      throw new Error("ID token has no verified email");
+    }
+    return { email: payload.email.toLowerCase(), name: payload.name, picture: payload.picture };
+  };
+}
+
+module.exports = { hashPassword, verifyPassword, randomToken, hashToken, createIdTokenVerifier };
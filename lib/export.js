@@ -0,0 +1,63 @@
+// Streams a MongoDB cursor to an HTTP response as CSV or NDJSON, one document
+// at a time, waiting for the socket to drain so memory stays flat however
+// large the collection is.
+
+const { once } = require("events");
+const { csvRow } = require("./csv");
+
+// Value at a dotted path, e.g. get(doc, "price.total")
+function get(doc, path) {
+  return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+// columns: [{ header, path }] or [{ header, value: doc => ... }] for CSV.
+// NDJSON writes `toJson(doc)` (the document itself by default).
+async function streamExport(res, cursor, { format, filename, columns, toJson = doc => doc }) {
+  const csv = format === "csv";
+  res.status(200);
+  res.set({
+    "Content-Type": csv ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${filename}.${csv ? "csv" : "ndjson"}"`,
+  });
+
+  // A client that disconnects never drains, so "close" ends the wait too;
+  // the loop below then sees res.destroyed and stops
+  const write = async chunk => {
+    if (res.write(chunk) || res.destroyed) {
+      return;
+    }
+    const waiting = new AbortController();
+    try {
+      await Promise.race([
+        once(res, "drain", { signal: waiting.signal }),
+        once(res, "close", { signal: waiting.signal }),
+      ]);
+    } finally {
+      waiting.abort();
+    }
+  };
+
+  try {
+    if (csv) {
+      await write(csvRow(columns.map(column => column.header)));
+    }
+    for await (const doc of cursor) {
+      if (res.destroyed) {
+        break;
+      }
+      await write(csv
+        ? csvRow(columns.map(column => (column.value ? column.value(doc) : get(doc, column.path))))
+        : JSON.stringify(toJson(doc)) + "\n");
+    }
+    res.end();
+  } catch (error) {
+    // Headers are gone already, so the only way to signal failure is to cut
+    // the response short
+    res.destroy(error);
+    throw error;
+  } finally {
+    await cursor.close();
+  }
+}
+
+module.exports = { streamExport };
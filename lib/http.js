@@ -0,0 +1,88 @@
+// Helpers for talking to servers we don't control (calendar feeds, webhook
+// endpoints): they may answer with far more than we asked for, and a URL
+// someone typed in may point back into our own network.
+
+const dns = require("dns");
+const net = require("net");
+
+// Loopback, private, link-local (cloud metadata lives at 169.254.169.254),
+// carrier-grade NAT, multicast and reserved ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8],
+  ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16],
+  ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, "ipv6"));
+
+const NOT_PUBLIC_URL = "ERR_NOT_PUBLIC_URL";
+
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    return PRIVATE_RANGES.check(address, "ipv4");
+  }
+  // ::ffff:127.0.0.1 reaches the IPv4 address it wraps
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  return mapped ? PRIVATE_RANGES.check(mapped[1], "ipv4") : PRIVATE_RANGES.check(address, "ipv6");
+}
+
+function notPublic(message) {
+  const error = new Error(message);
+  error.code = NOT_PUBLIC_URL;
+  return error;
+}
+
+// Throws unless `url` is http(s) and every address its host resolves to is
+// public. Checked when a URL is saved and again before each request, since
+// DNS can change in between. A refused URL throws with code NOT_PUBLIC_URL;
+// a failed lookup throws the DNS error as is.
+async function assertPublicUrl(url) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== "http:" && protocol !== "https:") {
+    throw notPublic(`${protocol} URLs are not allowed`);
+  }
+  const host = hostname.replace(/^\[|\]$/g, "");
+  const addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw notPublic(`${hostname} resolves to a private or reserved address`);
+  }
+}
+
+// Reads at most `maxBytes` of `response`'s body and cancels the rest, so an
+// endless or huge body is never buffered → { body: Buffer, truncated }
+async function readBody(response, maxBytes) {
+  if (!response.body) {
+    return { body: Buffer.alloc(0), truncated: false };
+  }
+
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+  const reader = response.body.getReader();
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      if (size + value.length > maxBytes) {
+        chunks.push(Buffer.from(value.subarray(0, maxBytes - size)));
+        size = maxBytes;
+        truncated = true;
+        break;
+      }
+      chunks.push(Buffer.from(value));
+      size += value.length;
+    }
+  } finally {
+    if (truncated) {
+      await reader.cancel().catch(() => {});
+    }
+    reader.releaseLock();
+  }
+  return { body: Buffer.concat(chunks, size), truncated };
+}
+
+module.exports = { readBody, assertPublicUrl, isPrivateAddress, NOT_PUBLIC_URL };
@@ -0,0 +1,141 @@
+// Just enough iCalendar (RFC 5545) for all-day availability feeds: writing
+// VEVENTs with DATE values and reading the events other channels publish.
+
+function compactDay(day) {
+  return day.replace(/-/g, "");
+}
+
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, char) => (char === "n" || char === "N" ? "\n" : char));
+}
+
+// Lines longer than 75 octets are folded onto continuation lines that start
+// with a space
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function stamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// events: [{ uid, start, end, summary, description }], start/end as
+// YYYY-MM-DD with `end` exclusive (the check-out day)
+function buildCalendar({ name, events, now = new Date() }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Hotel Booking Server//Availability//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp(now)}`,
+      `DTSTART;VALUE=DATE:${compactDay(event.start)}`,
+      `DTEND;VALUE=DATE:${compactDay(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    lines.push("TRANSP:OPAQUE", "END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// "20250710" or "20250710T140000Z" → "2025-07-10"; null for anything that
+// isn't a real calendar day, such as "20251345"
+function parseDay(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || "");
+  if (!match) {
+    return null;
+  }
+  const day = `${match[1]}-${match[2]}-${match[3]}`;
+  const date = new Date(`${day}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === day ? day : null;
+}
+
+function nextDay(day) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+// Returns { events: [{ uid, start, end, summary }], rejected } with an event
+// for every VEVENT that isn't cancelled. Timed events keep only their dates,
+// so a 15:00 → 11:00 stay reads as check-in day → check-out day. A missing
+// DTEND means one night. Events without a start or with a date that can't be
+// read are left out and counted in `rejected`.
+function parseCalendar(text) {
+  const lines = String(text).replace(/\r\n/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+  const events = [];
+  let rejected = 0;
+  let event = null;
+
+  for (const line of lines) {
+    const colon = line.indexOf(":");
+    if (colon === -1) {
+      continue;
+    }
+    const name = line.slice(0, colon).split(";")[0].toUpperCase();
+    const value = line.slice(colon + 1).trim();
+
+    if (name === "BEGIN" && value.toUpperCase() === "VEVENT") {
+      event = {};
+    } else if (name === "END" && value.toUpperCase() === "VEVENT") {
+      if (event && event.status !== "CANCELLED") {
+        if (!event.start || event.end === null) {
+          rejected++;
+        } else {
+          const end = event.end && event.end > event.start ? event.end : nextDay(event.start);
+          events.push({
+            uid: event.uid || `${event.start}-${end}-${events.length}`,
+            start: event.start,
+            end,
+            summary: event.summary || "",
+          });
+        }
+      }
+      event = null;
+    } else if (event) {
+      if (name === "UID") {
+        event.uid = value;
+      } else if (name === "DTSTART") {
+        event.start = parseDay(value);
+      } else if (name === "DTEND") {
+        event.end = parseDay(value);
+      } else if (name === "SUMMARY") {
+        event.summary = unescapeText(value);
+      } else if (name === "STATUS") {
+        event.status = value.toUpperCase();
+      }
+    }
+  }
+  return { events, rejected };
+}
+
+module.exports = { buildCalendar, parseCalendar };
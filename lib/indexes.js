@@ -0,0 +1,78 @@
+// Index bookkeeping. A spec is { collection, key, options } as passed to
+// createIndex; the server keeps one list of everything it relies on.
+
+const crypto = require("crypto");
+
+// Where the version of the last complete index build is kept, next to the
+// migrations' progress
+const VERSION_COLLECTION = "migrations";
+const VERSION_ID = "_indexes";
+
+function sameKey(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Creates every index in `specs`. One failing index (e.g. a unique index over
+// data that still has duplicates) doesn't stop the others; failures are
+// returned as [{ spec, error }].
+async function ensureIndexes(db, specs) {
+  const failures = [];
+  for (const spec of specs) {
+    try {
+      await db.collection(spec.collection).createIndex(spec.key, spec.options || {});
+    } catch (error) {
+      failures.push({ spec, error });
+    }
+  }
+  return failures;
+}
+
+// Short fingerprint of the spec list; it changes whenever a spec does
+function indexesVersion(specs) {
+  return crypto.createHash("sha256").update(JSON.stringify(specs)).digest("hex").slice(0, 16);
+}
+
+// ensureIndexes, but when these exact specs were all built before only the
+// indexes gone since (dropped by hand, lost in a restore) are created, so a
+// cold start lists each collection's indexes instead of calling createIndex
+// per spec. The version is only stored once every index exists, so failures
+// are retried next start.
+async function ensureIndexesOnce(db, specs) {
+  const versions = db.collection(VERSION_COLLECTION);
+  const version = indexesVersion(specs);
+  if (await versions.findOne({ _id: VERSION_ID, version })) {
+    return ensureIndexes(db, await missingSpecs(db, specs));
+  }
+  const failures = await ensureIndexes(db, specs);
+  if (failures.length === 0) {
+    await versions.updateOne({ _id: VERSION_ID }, { $set: { version, builtAt: new Date() } }, { upsert: true });
+  }
+  return failures;
+}
+
+// Specs with no matching index
+async function missingSpecs(db, specs) {
+  const existing = {};
+  const missing = [];
+  for (const spec of specs) {
+    if (!existing[spec.collection]) {
+      try {
+        existing[spec.collection] = await db.collection(spec.collection).listIndexes().toArray();
+      } catch (error) {
+        // listIndexes fails on a collection that doesn't exist yet
+        existing[spec.collection] = [];
+      }
+    }
+    if (!existing[spec.collection].some(index => sameKey(index.key, spec.key))) {
+      missing.push(spec);
+    }
+  }
+  return missing;
+}
+
+// Specs with no matching index, as "collection {key}" strings
+async function missingIndexes(db, specs) {
+  return (await missingSpecs(db, specs)).map(spec => `${spec.collection} ${JSON.stringify(spec.key)}`);
+}
+
+module.exports = { ensureIndexes, ensureIndexesOnce, indexesVersion, missingIndexes };
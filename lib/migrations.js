@@ -0,0 +1,73 @@
+// Versioned database migrations.
+//
+// A migration is { id, description, up(db, { log }) }. Ids sort in the order
+// they must run ("001-...", "002-..."). Each `up` has to be idempotent: a run
+// that dies halfway is simply started again and picks up what is left, so
+// migrations work in batches over documents that still need changing.
+//
+// Progress lives in the `migrations` collection: one document per migration
+// ({ _id: id, status: "running" | "done", startedAt, finishedAt }) plus a
+// lock document so two runs can't overlap. lib/indexes.js keeps the version
+// of the last index build there too.
+
+const LOCK_ID = "_lock";
+const LOCK_STALE_MS = 60 * 60 * 1000;
+
+async function acquireLock(collection) {
+  const now = new Date();
+  try {
+    await collection.insertOne({ _id: LOCK_ID, lockedAt: now });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    // A run that crashed leaves its lock behind; take it over once it's stale
+    const taken = await collection.findOneAndUpdate(
+      { _id: LOCK_ID, lockedAt: { $lt: new Date(now - LOCK_STALE_MS) } },
+      { $set: { lockedAt: now } }
+    );
+    return Boolean(taken);
+  }
+}
+
+// Ids of migrations that haven't finished yet
+async function pendingMigrations(db, migrations) {
+  const done = await db.collection("migrations").distinct("_id", { status: "done" });
+  return migrations.map(migration => migration.id).filter(id => !done.includes(id));
+}
+
+// Runs every pending migration in order. Returns the ids that ran.
+async function runMigrations(db, migrations, { log = console.log } = {}) {
+  const collection = db.collection("migrations");
+  if (!(await acquireLock(collection))) {
+    throw new Error("Another migration run is in progress");
+  }
+
+  const ran = [];
+  try {
+    const pending = await pendingMigrations(db, migrations);
+    for (const migration of migrations) {
+      if (!pending.includes(migration.id)) {
+        continue;
+      }
+      log(`→ ${migration.id}: ${migration.description}`);
+      await collection.updateOne(
+        { _id: migration.id },
+        { $set: { status: "running", startedAt: new Date() } },
+        { upsert: true }
+      );
+      await migration.up(db, { log: message => log(`  ${message}`) });
+      await collection.updateOne(
+        { _id: migration.id },
+        { $set: { status: "done", finishedAt: new Date() } }
+      );
+      ran.push(migration.id);
+    }
+  } finally {
+    await collection.deleteOne({ _id: LOCK_ID });
+  }
+  return ran;
+}
+
+module.exports = { runMigrations, pendingMigrations };
@@ -0,0 +1,88 @@
+// Outbox processing for anything the server sends out after the request that
+// caused it has finished (emails, webhook calls).
+//
+// An outbox item is a document with
+//   { status: "pending" | "sending" | "sent" | "failed",
+//     attempts, nextAttemptAt, lockedUntil, lastError, history }
+// plus whatever the deliver function needs. drainOutbox claims due items one
+// at a time, so two workers never deliver the same item, hands each to
+// `deliver` and records the outcome. Failures are retried with exponential
+// backoff until `maxAttempts`; an item whose worker died mid-delivery is
+// picked up again once its lock runs out.
+
+const DEFAULT_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const HISTORY_LENGTH = 20;
+
+// 1m, 2m, 4m, … capped at 6h
+function retryDelay(attempts, baseMs = DEFAULT_BACKOFF_MS) {
+  return Math.min(baseMs * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+}
+
+// Fields every new item starts with
+function outboxItem(fields, now = new Date()) {
+  return { ...fields, status: "pending", attempts: 0, nextAttemptAt: now, history: [], createdAt: now };
+}
+
+async function drainOutbox(collection, deliver, { limit = 25, maxAttempts = 5, backoffMs = DEFAULT_BACKOFF_MS, lockMs = 5 * 60 * 1000 } = {}) {
+  const summary = { sent: 0, retrying: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const started = new Date();
+    const item = await collection.findOneAndUpdate(
+      {
+        $or: [
+          { status: "pending", nextAttemptAt: { $lte: started } },
+          { status: "sending", lockedUntil: { $lte: started } },
+        ],
+      },
+      { $set: { status: "sending", lockedUntil: new Date(started.getTime() + lockMs) }, $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+    );
+    if (!item) {
+      break;
+    }
+
+    try {
+      const result = (await deliver(item)) ?? null;
+      await collection.updateOne(
+        { _id: item._id },
+        {
+          $set: { status: "sent", sentAt: new Date(), result, lastError: null },
+          $unset: { lockedUntil: "" },
+          $push: { history: { $each: [{ at: started, ok: true, result }], $slice: -HISTORY_LENGTH } },
+        }
+      );
+      summary.sent++;
+    } catch (error) {
+      // error.permanent: retrying can't help (e.g. unknown template)
+      const failed = item.attempts >= maxAttempts || error.permanent === true;
+      const lastError = String(error.message || error).slice(0, 500);
+      await collection.updateOne(
+        { _id: item._id },
+        {
+          $set: {
+            status: failed ? "failed" : "pending",
+            nextAttemptAt: failed ? null : new Date(Date.now() + retryDelay(item.attempts, backoffMs)),
+            lastError,
+            ...(error.result !== undefined && { result: error.result }),
+          },
+          $unset: { lockedUntil: "" },
+          $push: { history: { $each: [{ at: started, ok: false, error: lastError, result: error.result ?? null }], $slice: -HISTORY_LENGTH } },
+        }
+      );
+      summary[failed ? "failed" : "retrying"]++;
+    }
+  }
+  return summary;
+}
+
+// Puts an item back in the queue with a fresh set of attempts
+async function requeueOutboxItem(collection, _id) {
+  return collection.updateOne(
+    { _id, status: { $in: ["failed", "sent"] } },
+    { $set: { status: "pending", attempts: 0, nextAttemptAt: new Date(), lastError: null } }
+  );
+}
+
+module.exports = { outboxItem, drainOutbox, requeueOutboxItem, retryDelay };
@@ -0,0 +1,104 @@
+// Payment gateways.
+//
+// A gateway is
+//   { name,
+//     createIntent({ amount, currency, reference, idempotencyKey })
+//       → { id, status: "requires_payment", clientSecret },
+//     cancelIntent(intentId),
+//     refund({ intentId, amount, currency, idempotencyKey }) → { id, status },
+//     parseWebhook(rawBody, headers)
+//       → { id, type: "payment.succeeded" | "payment.failed" | …, intentId, amount } }
+// and parseWebhook throws when the call isn't signed by the provider.
+// Amounts are in the currency's major unit (12.50), like booking prices.
+//
+// The fake gateway keeps intents in memory and accepts webhooks signed with
+// its secret; fakeWebhookEvent builds one, so tests (and local development)
+// can play the provider's part.
+
+const crypto = require("crypto");
+const { signPayload, verifySignature } = require("./webhooks");
+
+const FAKE_SIGNATURE_HEADER = "x-fake-gateway-signature";
+
+function fakeId(prefix) {
+  return `${prefix}_fake_${crypto.randomBytes(12).toString("hex")}`;
+}
+
+function createFakeGateway({ secret }) {
+  const intents = new Map();
+  const intentsByKey = new Map();
+  const refundsByKey = new Map();
+
+  return {
+    name: "fake",
+
+    async createIntent({ amount, currency, reference, idempotencyKey }) {
+      if (idempotencyKey && intentsByKey.has(idempotencyKey)) {
+        return intentsByKey.get(idempotencyKey);
+      }
+      const id = fakeId("pi");
+      const intent = { id, status: "requires_payment", clientSecret: `${id}_secret_${crypto.randomBytes(8).toString("hex")}` };
+      intents.set(id, { ...intent, amount, currency, reference });
+      if (idempotencyKey) {
+        intentsByKey.set(idempotencyKey, intent);
+      }
+      return intent;
+    },
+
+    async cancelIntent(intentId) {
+      const intent = intents.get(intentId);
+      if (intent) {
+        intent.status = "canceled";
+      }
+    },
+
+    async refund({ intentId, amount, currency, idempotencyKey }) {
+      if (idempotencyKey && refundsByKey.has(idempotencyKey)) {
+        return refundsByKey.get(idempotencyKey);
+      }
+      const refund = { id: fakeId("re"), status: "succeeded", intentId, amount, currency };
+      if (idempotencyKey) {
+        refundsByKey.set(idempotencyKey, refund);
+      }
+      return refund;
+    },
+
+    parseWebhook(rawBody, headers) {
+      const body = Buffer.isBuffer(rawBody) ? rawBody.toString("utf8") : String(rawBody || "");
+      if (!verifySignature(secret, body, headers[FAKE_SIGNATURE_HEADER])) {
+        throw new Error("Invalid webhook signature");
+      }
+      const event = JSON.parse(body);
+      return { id: event.id, type: event.type, intentId: event.data?.intentId, amount: event.data?.amount };
+    },
+  };
+}
+
+// A signed webhook call as the fake provider would send it → { body, headers }
+function fakeWebhookEvent(secret, type, intentId, { amount, id = fakeId("evt") } = {}) {
+  const body = JSON.stringify({ id, type, data: { intentId, amount } });
+  return { body, headers: { "Content-Type": "application/json", [FAKE_SIGNATURE_HEADER]: signPayload(secret, body) } };
+}
+
+// PAYMENT_GATEWAY=fake|none, "none" by default: bookings then wait for staff
+// to confirm them, as before payments existed. The fake gateway takes
+// anyone holding PAYMENT_WEBHOOK_SECRET at their word and forgets its
+// intents on restart, so it is refused in production.
+function gatewayFromEnv(env) {
+  const kind = env.PAYMENT_GATEWAY || "none";
+  if (kind === "none") {
+    return null;
+  }
+  if (kind === "fake") {
+    if (env.NODE_ENV === "production") {
+      throw new Error("PAYMENT_GATEWAY=fake cannot be used in production");
+    }
+    if (!env.PAYMENT_WEBHOOK_SECRET) {
+      throw new Error("PAYMENT_GATEWAY=fake needs PAYMENT_WEBHOOK_SECRET");
+    }
+    return createFakeGateway({ secret: env.PAYMENT_WEBHOOK_SECRET });
+  }
+  throw new Error(`Unknown PAYMENT_GATEWAY: ${kind}`);
+}
+
+module.exports = { createFakeGateway, fakeWebhookEvent, gatewayFromEnv };
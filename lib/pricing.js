@@ -0,0 +1,179 @@
+// What a stay costs and what cancelling it gives back. Everything here is a
+// plain function of the room, the stay and the server's pricing settings;
+// the server passes those settings in (see PRICING in api/index.js).
+//
+// rooms.price is the standard nightly rate. A room may also carry:
+//   ratePlans: {
+//     weekendRate: 180, weekendDays: [5, 6],   // nights starting Fri/Sat (0 = Sunday)
+//     seasons: [{ name: "Summer", start: "2025-06-01", end: "2025-08-31", rate: 220, minStay: 3 }],
+//     minStay: 2,
+//     lastMinute: { withinDays: 3, adjustmentPercent: -15 },
+//     earlyBird: { daysBefore: 60, adjustmentPercent: -10 },
+//   }
+// A season's rate wins over the weekend rate. Last-minute and early-bird
+// adjustments depend on how far ahead of check-in the stay is booked.
+
+const { today, daysBetween, eachNight, stayOf } = require("./stays");
+
+const DEFAULT_WEEKEND_DAYS = [5, 6];
+const DEFAULT_PRICING = { currency: "USD", taxRate: 0, serviceFee: 0, promoCodes: {} };
+const DEFAULT_CHECK_IN_HOUR = 14; // UTC
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// { CODE: percent }. A code whose percent isn't a number in (0, 100] is
+// dropped: more than 100% off would make the total negative.
+function parsePromoCodes(value) {
+  let codes;
+  try {
+    codes = value ? JSON.parse(value) : {};
+  } catch (error) {
+    console.error("❌ Invalid PROMO_CODES, ignoring:", error.message);
+    return {};
+  }
+  if (!codes || typeof codes !== "object" || Array.isArray(codes)) {
+    console.error("❌ Invalid PROMO_CODES, ignoring: expected an object of code → percent");
+    return {};
+  }
+  const valid = {};
+  for (const [code, percent] of Object.entries(codes)) {
+    if (typeof percent !== "number" || !(percent > 0 && percent <= 100)) {
+      console.error(`❌ Invalid PROMO_CODES entry ${code}: ${JSON.stringify(percent)} is not a percent between 0 and 100, ignoring`);
+      continue;
+    }
+    valid[code.toUpperCase()] = percent;
+  }
+  return valid;
+}
+
+function seasonFor(plans, night) {
+  return (plans.seasons || []).find(season => season.start <= night && night <= season.end);
+}
+
+// Percent adjustment for booking `leadDays` ahead of check-in
+function leadTimeAdjustment(plans, leadDays) {
+  if (plans.lastMinute && leadDays <= plans.lastMinute.withinDays) {
+    return { type: "lastMinute", percent: plans.lastMinute.adjustmentPercent };
+  }
+  if (plans.earlyBird && leadDays >= plans.earlyBird.daysBefore) {
+    return { type: "earlyBird", percent: plans.earlyBird.adjustmentPercent };
+  }
+  return null;
+}
+
+// Rate for each night of a stay booked on `bookedOn`
+function nightlyRates(room, checkIn, checkOut, bookedOn = today()) {
+  const plans = room.ratePlans || {};
+  const weekendDays = plans.weekendDays || DEFAULT_WEEKEND_DAYS;
+  const adjustment = leadTimeAdjustment(plans, daysBetween(bookedOn, checkIn));
+
+  return eachNight(checkIn, checkOut).map(night => {
+    const season = seasonFor(plans, night);
+    const isWeekend = weekendDays.includes(new Date(`${night}T00:00:00Z`).getUTCDay());
+
+    let baseRate = Number(room.price) || 0;
+    let source = "standard";
+    if (season) {
+      baseRate = season.rate;
+      source = `season:${season.name || season.start}`;
+    } else if (isWeekend && plans.weekendRate !== undefined) {
+      baseRate = plans.weekendRate;
+      source = "weekend";
+    }
+
+    const rate = adjustment ? roundMoney(baseRate * (1 + adjustment.percent / 100)) : baseRate;
+    return { night, baseRate, source, adjustment, rate };
+  });
+}
+
+// Shortest stay allowed when checking in on `checkIn`
+function minStayFor(room, checkIn) {
+  const plans = room.ratePlans || {};
+  return seasonFor(plans, checkIn)?.minStay || plans.minStay || 1;
+}
+
+// Price breakdown for a stay in `room`. Returns { error } for a bad promo code
+// or a stay shorter than the room's minimum.
+// A rescheduled booking passes its existing `discount` so the guest keeps it
+// even if the promo code has been retired since.
+function computeBookingPrice(room, checkIn, checkOut, { promoCode, discount: keptDiscount, pricing = DEFAULT_PRICING, bookedOn } = {}) {
+  const nightly = nightlyRates(room, checkIn, checkOut, bookedOn);
+  const minStay = minStayFor(room, checkIn);
+  if (nightly.length < minStay) {
+    return { error: `This room requires a minimum stay of ${minStay} nights for these dates` };
+  }
+  const subtotal = roundMoney(nightly.reduce((sum, n) => sum + n.rate, 0));
+
+  let discount = null;
+  if (keptDiscount) {
+    discount = {
+      code: keptDiscount.code,
+      percent: keptDiscount.percent,
+      amount: roundMoney(subtotal * keptDiscount.percent / 100),
+    };
+  } else if (promoCode) {
+    const percent = pricing.promoCodes[String(promoCode).toUpperCase()];
+    if (!percent) {
+      return { error: "Invalid promo code" };
+    }
+    discount = {
+      code: String(promoCode).toUpperCase(),
+      percent,
+      amount: roundMoney(subtotal * percent / 100),
+    };
+  }
+
+  const taxable = subtotal - (discount ? discount.amount : 0);
+  const taxes = roundMoney(taxable * pricing.taxRate / 100);
+  const fees = roundMoney(pricing.serviceFee);
+
+  return {
+    currency: pricing.currency,
+    nights: nightly.length,
+    nightly,
+    subtotal,
+    discount,
+    taxRate: pricing.taxRate,
+    taxes,
+    fees,
+    total: roundMoney(taxable + taxes + fees),
+  };
+}
+
+// Refund owed for cancelling `booking` at `now` under `policy`: the tier
+// with the largest `hoursBeforeCheckIn` that is still ahead of check-in
+// (at `checkInHour` UTC on the first night) decides the percent. Nothing
+// once check-in time has passed. A legacy booking whose dates can't be read
+// gets everything back, as there is no check-in to measure against.
+function computeRefund(booking, policy, { now = new Date(), checkInHour = DEFAULT_CHECK_IN_HOUR, currency = DEFAULT_PRICING.currency } = {}) {
+  const total = booking.price?.total || 0;
+  const stay = stayOf(booking);
+  let percent = 100;
+  if (stay) {
+    const checkInTime = new Date(`${stay.checkIn}T${String(checkInHour).padStart(2, "0")}:00:00Z`);
+    const hoursBefore = (checkInTime - now) / (60 * 60 * 1000);
+    const tiers = [...policy.tiers].sort((a, b) => b.hoursBeforeCheckIn - a.hoursBeforeCheckIn);
+    const tier = hoursBefore < 0 ? null : tiers.find(t => hoursBefore >= t.hoursBeforeCheckIn);
+    percent = tier ? tier.refundPercent : 0;
+  }
+
+  return {
+    percent,
+    amount: roundMoney(total * percent / 100),
+    currency: booking.price?.currency || currency,
+  };
+}
+
+module.exports = {
+  DEFAULT_WEEKEND_DAYS,
+  roundMoney,
+  parsePromoCodes,
+  seasonFor,
+  leadTimeAdjustment,
+  nightlyRates,
+  minStayFor,
+  computeBookingPrice,
+  computeRefund,
+};
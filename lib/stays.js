@@ -0,0 +1,94 @@
+// Stays run from checkIn up to (not including) checkOut, both as YYYY-MM-DD
+// strings, so 10th → 14th blocks the nights of the 10th, 11th, 12th and 13th.
+// Days are UTC calendar days throughout.
+
+const MAX_STAY_NIGHTS = 30;
+
+// Normalizes a YYYY-MM-DD (or full ISO) string to its day, or null if invalid
+function toDay(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return null;
+  }
+  const day = value.slice(0, 10);
+  const parsed = new Date(`${day}T00:00:00Z`);
+  if (isNaN(parsed) || parsed.toISOString().slice(0, 10) !== day) {
+    return null;
+  }
+  return day;
+}
+
+function addDays(day, count) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + count);
+  return date.toISOString().slice(0, 10);
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Whole days from `from` to `to` (negative when `to` is earlier)
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+// Every night of a stay, e.g. ("2025-07-10", "2025-07-12") → ["2025-07-10", "2025-07-11"]
+function eachNight(checkIn, checkOut) {
+  const nights = [];
+  for (let night = checkIn; night < checkOut; night = addDays(night, 1)) {
+    nights.push(night);
+  }
+  return nights;
+}
+
+// Reads { checkIn, checkOut } from a request body. The old single-night
+// { date } payload is still accepted and treated as a one-night stay.
+function parseStay({ checkIn, checkOut, date } = {}) {
+  if (!checkIn && !checkOut && toDay(date)) {
+    checkIn = toDay(date);
+    checkOut = addDays(checkIn, 1);
+  }
+  const start = toDay(checkIn);
+  const end = toDay(checkOut);
+  if (!start || !end) {
+    return { error: "checkIn and checkOut must be valid dates (YYYY-MM-DD)" };
+  }
+  if (end <= start) {
+    return { error: "checkOut must be after checkIn" };
+  }
+  if (eachNight(start, end).length > MAX_STAY_NIGHTS) {
+    return { error: `A stay cannot be longer than ${MAX_STAY_NIGHTS} nights` };
+  }
+  return { checkIn: start, checkOut: end };
+}
+
+// The stay of a stored booking; legacy bookings only carry a single `date`
+function stayOf(booking) {
+  if (booking.checkIn && booking.checkOut) {
+    return { checkIn: booking.checkIn, checkOut: booking.checkOut };
+  }
+  const day = toDay(booking.date);
+  return day ? { checkIn: day, checkOut: addDays(day, 1) } : null;
+}
+
+// Matches bookings sharing at least one night with [checkIn, checkOut)
+function overlapQuery(checkIn, checkOut) {
+  return {
+    $or: [
+      { checkIn: { $lt: checkOut }, checkOut: { $gt: checkIn } },
+      { checkIn: { $exists: false }, date: { $gte: checkIn, $lt: checkOut } },
+    ],
+  };
+}
+
+module.exports = {
+  MAX_STAY_NIGHTS,
+  toDay,
+  addDays,
+  today,
+  daysBetween,
+  eachNight,
+  parseStay,
+  stayOf,
+  overlapQuery,
+};
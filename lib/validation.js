@@ -0,0 +1,255 @@
+// Declarative request validation.
+//
+// A schema is a map of field name → rule:
+//   { type: "string" | "number" | "integer" | "boolean" | "date" | "objectId"
+//           | "email" | "array" | "object" | "any",
+//     required, default, min, max, clamp, enum, pattern, items, fields,
+//     unknown, partial, check }
+//
+// Query strings and path params are text, so their values are converted to
+// the rule's type first. Bodies are taken as sent, except that numeric
+// strings ("5") are accepted for number rules, as forms send them. "email"
+// values are trimmed and lowercased, matching the lowercased addresses in
+// tokens and user records.
+//
+// `min`/`max` bound numbers, string lengths and array lengths. With `clamp`
+// an out-of-range number is pulled back into range instead of rejected.
+// `items` is the rule for array elements, `fields` the schema of a nested
+// object, and `unknown` decides what happens to keys the schema doesn't
+// list: "strip" (default), "reject" or "allow". `check(value)` may return
+// an extra error message.
+//
+// validate({ params, query, body }) turns schemas into Express middleware
+// that answers 400 with every problem found, or replaces the request part
+// with the cleaned value and calls next().
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+function isDay(value) {
+  if (typeof value !== "string" || !DAY.test(value)) {
+    return false;
+  }
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Query strings and path params only carry text; turn it into the rule's type
+function coerce(value, rule) {
+  if (typeof value !== "string") {
+    return value;
+  }
+  switch (rule.type) {
+    case "number":
+    case "integer":
+      return value.trim() === "" ? value : Number(value);
+    case "boolean":
+      return value === "true" ? true : value === "false" ? false : value;
+    case "array":
+      return value.split(",").map(item => item.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+}
+
+function checkRange(value, size, rule, path, errors, unit) {
+  if (rule.min !== undefined && size < rule.min) {
+    errors.push({ field: path, message: unit ? `must have at least ${rule.min} ${unit}` : `must be at least ${rule.min}` });
+  }
+  if (rule.max !== undefined && size > rule.max) {
+    errors.push({ field: path, message: unit ? `must have at most ${rule.max} ${unit}` : `must be at most ${rule.max}` });
+  }
+}
+
+function checkValue(value, rule, path, errors, options) {
+  if (options.coerce || rule.type === "number" || rule.type === "integer") {
+    value = coerce(value, rule);
+  }
+
+  switch (rule.type) {
+    case "string":
+    case "email":
+      if (typeof value !== "string") {
+        errors.push({ field: path, message: "must be a string" });
+        return value;
+      }
+      value = value.trim();
+      if (rule.type === "email") {
+        value = value.toLowerCase();
+        if (!EMAIL.test(value)) {
+          errors.push({ field: path, message: "must be a valid email address" });
+        }
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        errors.push({ field: path, message: "has an invalid format" });
+      }
+      checkRange(value, value.length, rule, path, errors, "characters");
+      break;
+
+    case "number":
+    case "integer":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        errors.push({ field: path, message: "must be a number" });
+        return value;
+      }
+      if (rule.type === "integer" && !Number.isInteger(value)) {
+        errors.push({ field: path, message: "must be a whole number" });
+        return value;
+      }
+      if (rule.clamp) {
+        if (rule.min !== undefined) {
+          value = Math.max(value, rule.min);
+        }
+        if (rule.max !== undefined) {
+          value = Math.min(value, rule.max);
+        }
+      } else {
+        checkRange(value, value, rule, path, errors);
+      }
+      break;
+
+    case "boolean":
+      if (typeof value !== "boolean") {
+        errors.push({ field: path, message: "must be true or false" });
+      }
+      break;
+
+    case "date":
+      if (!isDay(value)) {
+        errors.push({ field: path, message: "must be a date (YYYY-MM-DD)" });
+      }
+      break;
+
+    case "objectId":
+      if (typeof value !== "string" || !OBJECT_ID.test(value)) {
+        errors.push({ field: path, message: "must be a valid id" });
+      }
+      break;
+
+    case "array":
+      if (!Array.isArray(value)) {
+        errors.push({ field: path, message: "must be an array" });
+        return value;
+      }
+      checkRange(value, value.length, rule, path, errors, "items");
+      if (rule.items) {
+        value = value.map((item, index) => checkValue(item, rule.items, `${path}[${index}]`, errors, options));
+      }
+      break;
+
+    case "object":
+      if (!isPlainObject(value)) {
+        errors.push({ field: path, message: "must be an object" });
+        return value;
+      }
+      if (rule.fields) {
+        value = checkObject(value, rule, path, errors, options);
+      }
+      break;
+
+    case "any":
+    default:
+      break;
+  }
+
+  if (rule.enum && !rule.enum.includes(value) && !Array.isArray(value)) {
+    errors.push({ field: path, message: `must be one of: ${rule.enum.join(", ")}` });
+  }
+  if (rule.check) {
+    const message = rule.check(value);
+    if (message) {
+      errors.push({ field: path, message });
+    }
+  }
+  return value;
+}
+
+function checkObject(input, rule, path, errors, options) {
+  const output = {};
+  const unknown = rule.unknown || "strip";
+  const prefix = path ? `${path}.` : "";
+
+  for (const [key, fieldRule] of Object.entries(rule.fields)) {
+    const value = input[key];
+    if (value === undefined || value === null || value === "") {
+      if (fieldRule.default !== undefined && !rule.partial) {
+        output[key] = typeof fieldRule.default === "function" ? fieldRule.default() : fieldRule.default;
+      } else if (fieldRule.required && !rule.partial) {
+        errors.push({ field: `${prefix}${key}`, message: "is required" });
+      }
+      continue;
+    }
+    output[key] = checkValue(value, fieldRule, `${prefix}${key}`, errors, options);
+  }
+
+  for (const key of Object.keys(input)) {
+    if (key in rule.fields) {
+      continue;
+    }
+    if (unknown === "reject") {
+      errors.push({ field: `${prefix}${key}`, message: "is not allowed" });
+    } else if (unknown === "allow") {
+      output[key] = input[key];
+    }
+  }
+  return output;
+}
+
+// Validates `input` against an object schema. Returns { value, errors }.
+function check(schema, input, { coerce = false, partial = false, unknown } = {}) {
+  const errors = [];
+  const rule = { type: "object", fields: schema, partial, unknown };
+  const value = checkObject(isPlainObject(input) ? input : {}, rule, "", errors, { coerce });
+  if (!isPlainObject(input) && input !== undefined) {
+    errors.push({ field: "", message: "must be an object" });
+  }
+  return { value, errors };
+}
+
+// Express middleware. Each part is { schema, partial, unknown } or just a schema.
+function validate(parts) {
+  return (req, res, next) => {
+    const errors = [];
+    const cleaned = {};
+
+    for (const location of ["params", "query", "body"]) {
+      if (!parts[location]) {
+        continue;
+      }
+      const part = parts[location].schema ? parts[location] : { schema: parts[location] };
+      const result = check(part.schema, req[location], {
+        coerce: location !== "body",
+        partial: part.partial,
+        unknown: part.unknown,
+      });
+      result.errors.forEach(error => {
+        errors.push({ field: error.field ? `${location}.${error.field}` : location, message: error.message });
+      });
+      cleaned[location] = result.value;
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).send({ message: "Invalid request", errors });
+    }
+
+    // Express 5 exposes req.query through a getter, so it is redefined
+    // rather than assigned
+    if (cleaned.query) {
+      Object.defineProperty(req, "query", { value: cleaned.query, writable: true, configurable: true, enumerable: true });
+    }
+    if (cleaned.params) {
+      req.params = cleaned.params;
+    }
+    if (cleaned.body) {
+      req.body = cleaned.body;
+    }
+    next();
+  };
+}
+
+module.exports = { validate, check };
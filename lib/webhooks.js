@@ -0,0 +1,91 @@
+// Outgoing webhooks: signing, verification and a single delivery attempt.
+// Retries are the outbox's job (lib/outbox.js).
+//
+// Every call carries
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// signed with the endpoint's secret. The timestamp is part of the signed
+// text so a receiver can refuse old (replayed) calls.
+
+const crypto = require("crypto");
+const { readBody, assertPublicUrl, NOT_PUBLIC_URL } = require("./http");
+
+const RESPONSE_SNIPPET_LENGTH = 500;
+
+function newWebhookSecret() {
+  return `whsec_${crypto.randomBytes(32).toString("base64url")}`;
+}
+
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// For receivers (and tests): true if `header` signs `body` with `secret`
+// and is no older than `toleranceSeconds`
+function verifySignature(secret, body, header, { toleranceSeconds = 300, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(
+    String(header || "").split(",").map(part => part.split("=", 2).map(s => s.trim()))
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    return false;
+  }
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+  const expected = Buffer.from(signPayload(secret, body, timestamp).split("v1=")[1], "hex");
+  const given = Buffer.from(parts.v1, "hex");
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// POSTs `body` (already serialized JSON) to `url`. Resolves with
+// { status, durationMs, response } for a 2xx answer; otherwise throws an
+// error carrying the same `result`. 410 Gone is permanent: the receiver
+// says the endpoint no longer exists. So is a URL that resolves into a
+// private network: the call is never made.
+async function postWebhook({ url, secret, body, headers = {}, timeoutMs = 10000 }) {
+  const started = Date.now();
+  let response;
+  try {
+    await assertPublicUrl(url);
+  } catch (err) {
+    const error = new Error(err.message);
+    error.result = { status: null, durationMs: Date.now() - started };
+    error.permanent = err.code === NOT_PUBLIC_URL;
+    throw error;
+  }
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "HotelDB-Webhooks/1.0",
+        "X-Webhook-Signature": signPayload(secret, body),
+        ...headers,
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (err) {
+    const error = new Error(err.name === "TimeoutError" ? `Timed out after ${timeoutMs}ms` : err.message);
+    error.result = { status: null, durationMs: Date.now() - started };
+    throw error;
+  }
+
+  const { body: snippet } = await readBody(response, RESPONSE_SNIPPET_LENGTH).catch(() => ({ body: Buffer.alloc(0) }));
+  const result = {
+    status: response.status,
+    durationMs: Date.now() - started,
+    response: snippet.toString("utf8"),
+  };
+  if (response.status < 200 || response.status >= 300) {
+    const error = new Error(`Endpoint answered ${response.status}`);
+    error.result = result;
+    error.permanent = response.status === 410;
+    throw error;
+  }
+  return result;
+}
+
+module.exports = { newWebhookSecret, signPayload, verifySignature, postWebhook };
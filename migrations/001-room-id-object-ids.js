@@ -0,0 +1,62 @@
+// Bookings, reviews and the room-night ledger used to store roomId as the
+// room's _id in string form, which forced every room $lookup to convert ids
+// on the fly. This converts them to ObjectId and adds the indexes the
+// lookups and per-room queries rely on.
+
+const { ObjectId } = require("mongodb");
+
+const BATCH_SIZE = 500;
+const COLLECTIONS = ["bookings", "reviews", "roomNights"];
+
+async function convertRoomIds(collection, log) {
+  let converted = 0;
+  let skipped = 0;
+  const cursor = collection.find({ roomId: { $type: "string" } }, { projection: { roomId: 1 } });
+
+  let batch = [];
+  const flush = async () => {
+    if (batch.length > 0) {
+      await collection.bulkWrite(batch, { ordered: false });
+      converted += batch.length;
+      batch = [];
+    }
+  };
+
+  for await (const doc of cursor) {
+    if (!ObjectId.isValid(doc.roomId) || doc.roomId.length !== 24) {
+      // Left as is so it can be fixed by hand; the id is logged below
+      log(`${collection.collectionName} ${doc._id}: roomId "${doc.roomId}" is not a valid id, skipped`);
+      skipped++;
+      continue;
+    }
+    batch.push({
+      updateOne: {
+        filter: { _id: doc._id, roomId: doc.roomId },
+        update: { $set: { roomId: new ObjectId(doc.roomId) } },
+      },
+    });
+    if (batch.length === BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  log(`${collection.collectionName}: ${converted} converted, ${skipped} skipped`);
+}
+
+module.exports = {
+  id: "001-room-id-object-ids",
+  description: "Store roomId as ObjectId and index room references",
+
+  async up(db, { log }) {
+    for (const name of COLLECTIONS) {
+      await convertRoomIds(db.collection(name), log);
+    }
+
+    await db.collection("bookings").createIndex({ roomId: 1, checkIn: 1 });
+    await db.collection("bookings").createIndex({ email: 1, createdAt: -1 });
+    await db.collection("bookings").createIndex({ createdAt: -1 });
+    await db.collection("reviews").createIndex({ roomId: 1, createdAt: -1 });
+    await db.collection("reviews").createIndex({ userEmail: 1 });
+  },
+};
@@ -0,0 +1,38 @@
+// /jwt used to look a user up and insert it in two steps, so concurrent
+// first sign-ins could create the same email twice. This folds duplicates
+// into the oldest account so users.email can get its unique index. The kept
+// account takes the most privileged role and any password among them.
+
+const ROLE_RANK = ["guest", "user", "housekeeping", "front-desk", "manager", "admin"];
+
+module.exports = {
+  id: "002-unique-user-emails",
+  description: "Merge duplicate user accounts before indexing users.email",
+
+  async up(db, { log }) {
+    const users = db.collection("users");
+    const duplicates = users.aggregate([
+      { $group: { _id: "$email", ids: { $push: "$_id" }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } },
+    ]);
+
+    for await (const group of duplicates) {
+      const accounts = await users.find({ _id: { $in: group.ids } }).sort({ _id: 1 }).toArray();
+      const [keep, ...extra] = accounts;
+      const role = accounts
+        .map(account => account.role)
+        .sort((a, b) => ROLE_RANK.indexOf(b) - ROLE_RANK.indexOf(a))[0];
+      const passwordHash = accounts.find(account => account.passwordHash)?.passwordHash;
+
+      const update = { role };
+      if (passwordHash) {
+        update.passwordHash = passwordHash;
+      }
+      await users.updateOne({ _id: keep._id }, { $set: update });
+      await users.deleteMany({ _id: { $in: extra.map(account => account._id) } });
+      log(`${group._id}: kept ${keep._id}, removed ${extra.length}`);
+    }
+
+    await users.createIndex({ email: 1 }, { unique: true });
+  },
+};
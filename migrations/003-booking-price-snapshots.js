@@ -0,0 +1,74 @@
+// Revenue reports sum each booking's stored price snapshot (price.total).
+// Bookings made before snapshots existed have none and would count as 0, so
+// this gives them one from the room's current nightly price × nights, which
+// is what the reports used to show. Snapshots written here carry
+// `backfilled: true`; a booking whose room is gone is logged and left alone.
+
+const BATCH_SIZE = 500;
+
+function nightsOf(booking) {
+  if (booking.checkIn && booking.checkOut) {
+    const nights = (new Date(booking.checkOut) - new Date(booking.checkIn)) / (24 * 60 * 60 * 1000);
+    return Number.isInteger(nights) && nights > 0 ? nights : null;
+  }
+  return booking.date ? 1 : null;
+}
+
+module.exports = {
+  id: "003-booking-price-snapshots",
+  description: "Give bookings made before price snapshots a price from their room",
+
+  async up(db, { log }) {
+    const bookings = db.collection("bookings");
+    const rooms = db.collection("rooms");
+    const currency = process.env.CURRENCY || "USD";
+    const roomPrices = new Map();
+    let backfilled = 0;
+    let skipped = 0;
+
+    const cursor = bookings.find(
+      { "price.total": { $exists: false } },
+      { projection: { roomId: 1, checkIn: 1, checkOut: 1, date: 1, price: 1 } }
+    );
+
+    let batch = [];
+    const flush = async () => {
+      if (batch.length > 0) {
+        await bookings.bulkWrite(batch, { ordered: false });
+        backfilled += batch.length;
+        batch = [];
+      }
+    };
+
+    for await (const booking of cursor) {
+      const key = String(booking.roomId);
+      if (!roomPrices.has(key)) {
+        const room = await rooms.findOne({ _id: booking.roomId }, { projection: { price: 1 } });
+        roomPrices.set(key, room ? Number(room.price) || 0 : null);
+      }
+      const rate = roomPrices.get(key);
+      const nights = nightsOf(booking);
+      if (rate === null || nights === null) {
+        log(`bookings ${booking._id}: ${rate === null ? `room ${key} not found` : "no valid stay dates"}, skipped`);
+        skipped++;
+        continue;
+      }
+
+      const total = Math.round(rate * nights * 100) / 100;
+      const update = {
+        price: { currency, nights, subtotal: total, discount: null, taxRate: 0, taxes: 0, fees: 0, total, backfilled: true },
+      };
+      // Some old bookings stored the price the client sent; kept for reference
+      if (booking.price !== undefined) {
+        update.legacyPrice = booking.price;
+      }
+      batch.push({ updateOne: { filter: { _id: booking._id, "price.total": { $exists: false } }, update: { $set: update } } });
+      if (batch.length === BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    log(`bookings: ${backfilled} backfilled, ${skipped} skipped`);
+  },
+};
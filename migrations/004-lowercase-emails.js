@@ -0,0 +1,125 @@
+// Addresses used to be stored as typed, so "Ann@Example.com" and
+// "ann@example.com" could be two accounts, and bookings or reviews made
+// under one spelling didn't show up for the other. Requests now lowercase
+// every address; this brings the stored ones in line.
+//
+// Accounts whose addresses differ only in case are merged into the oldest,
+// as 002 does for exact duplicates: it takes the most privileged role and
+// stays live if any of them is. A password only comes along when no
+// account in the group was verified through an ID-token sign-in, so an
+// unverified sign-up can't add a password to the owner's account. Sessions
+// of merged accounts are ended. Then every stored address is lowercased;
+// the audit log is left as it was written. Account-wide revocations are
+// keyed by address too ("account:<email>"), so spellings of one address
+// become one entry that keeps the latest cut-off.
+
+const ROLE_RANK = ["guest", "user", "housekeeping", "front-desk", "manager", "admin"];
+const UPPERCASE = /[A-Z]/;
+
+// Collections whose address field can simply be lowercased in place
+const EMAIL_FIELDS = [
+  ["users", "email"],
+  ["bookings", "email"],
+  ["holds", "email"],
+  ["waitlist", "email"],
+  ["refreshTokens", "email"],
+  ["revokedTokens", "email"],
+  ["reviews", "userEmail"],
+  ["reviews", "anonymizedEmail"],
+];
+
+async function mergeAccounts(users, refreshTokens, log) {
+  const duplicates = users.aggregate([
+    { $group: { _id: { $toLower: "$email" }, ids: { $push: "$_id" }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+  ]);
+
+  for await (const group of duplicates) {
+    const accounts = await users.find({ _id: { $in: group.ids } }).sort({ _id: 1 }).toArray();
+    const [keep, ...extra] = accounts;
+    const role = accounts
+      .map(account => account.role)
+      .sort((a, b) => ROLE_RANK.indexOf(b) - ROLE_RANK.indexOf(a))[0];
+    const verified = accounts.some(account => account.emailVerified === true);
+    const passwordHash = accounts
+      .find(account => account.passwordHash && (!verified || account.emailVerified === true))
+      ?.passwordHash;
+
+    const update = { $set: { role }, $unset: {} };
+    if (verified) {
+      update.$set.emailVerified = true;
+    }
+    if (passwordHash) {
+      update.$set.passwordHash = passwordHash;
+    } else {
+      update.$unset.passwordHash = "";
+    }
+    if (accounts.some(account => !account.deletedAt)) {
+      update.$unset.deletedAt = "";
+      update.$unset.deletedBy = "";
+    }
+    if (Object.keys(update.$unset).length === 0) {
+      delete update.$unset;
+    }
+    await users.updateOne({ _id: keep._id }, update);
+    await users.deleteMany({ _id: { $in: extra.map(account => account._id) } });
+    await refreshTokens.deleteMany({ email: { $in: accounts.map(account => account.email) } });
+    log(`${group._id}: kept ${keep._id}, removed ${extra.length}`);
+  }
+}
+
+async function lowercaseAccountRevocations(revokedTokens, log) {
+  let merged = 0;
+  for await (const entry of revokedTokens.find({ jti: /^account:.*[A-Z]/ })) {
+    const jti = entry.jti.toLowerCase();
+    await revokedTokens.updateOne(
+      { jti },
+      { $max: { issuedBefore: entry.issuedBefore, expiresAt: entry.expiresAt }, $set: { email: jti.slice("account:".length) } },
+      { upsert: true }
+    );
+    await revokedTokens.deleteOne({ _id: entry._id });
+    merged++;
+  }
+  if (merged > 0) {
+    log(`revokedTokens: lowercased ${merged} account revocations`);
+  }
+}
+
+module.exports = {
+  id: "004-lowercase-emails",
+  description: "Merge accounts whose emails differ only in case and lowercase stored emails",
+
+  async up(db, { log }) {
+    await mergeAccounts(db.collection("users"), db.collection("refreshTokens"), log);
+    await lowercaseAccountRevocations(db.collection("revokedTokens"), log);
+
+    for (const [collection, field] of EMAIL_FIELDS) {
+      const result = await db.collection(collection).updateMany(
+        { [field]: UPPERCASE },
+        [{ $set: { [field]: { $toLower: `$${field}` } } }]
+      );
+      if (result.modifiedCount > 0) {
+        log(`${collection}.${field}: lowercased ${result.modifiedCount}`);
+      }
+    }
+
+    // One report per reviewer and review: a report filed under another
+    // spelling of the same address is a duplicate
+    const reports = db.collection("reviewReports");
+    let dropped = 0;
+    for await (const report of reports.find({ reporterEmail: UPPERCASE })) {
+      try {
+        await reports.updateOne({ _id: report._id }, { $set: { reporterEmail: report.reporterEmail.toLowerCase() } });
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        await reports.deleteOne({ _id: report._id });
+        dropped++;
+      }
+    }
+    if (dropped > 0) {
+      log(`reviewReports: dropped ${dropped} duplicate reports`);
+    }
+  },
+};
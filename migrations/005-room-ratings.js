@@ -0,0 +1,48 @@
+// rooms.rating and rooms.reviewCount are kept up to date whenever a review
+// is written, edited, hidden or removed, but rooms reviewed before that
+// have stale values or none at all. This recomputes both for every room
+// from its visible reviews, the same way the server does.
+
+const BATCH_SIZE = 500;
+
+module.exports = {
+  id: "005-room-ratings",
+  description: "Recompute every room's rating and review count from its visible reviews",
+
+  async up(db, { log }) {
+    const rooms = db.collection("rooms");
+    const stats = db.collection("reviews").aggregate([
+      { $match: { hidden: { $ne: true } } },
+      { $group: { _id: "$roomId", average: { $avg: "$rating" }, count: { $sum: 1 } } },
+    ]);
+
+    const reviewed = [];
+    let batch = [];
+    const flush = async () => {
+      if (batch.length > 0) {
+        await rooms.bulkWrite(batch, { ordered: false });
+        batch = [];
+      }
+    };
+
+    for await (const row of stats) {
+      reviewed.push(row._id);
+      batch.push({
+        updateOne: {
+          filter: { _id: row._id },
+          update: { $set: { rating: Math.round(row.average * 10) / 10, reviewCount: row.count } },
+        },
+      });
+      if (batch.length === BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    const unreviewed = await rooms.updateMany(
+      { _id: { $nin: reviewed } },
+      { $set: { rating: 0, reviewCount: 0 } }
+    );
+    log(`rooms: ${reviewed.length} rated from their reviews, ${unreviewed.modifiedCount} without reviews reset to 0`);
+  },
+};
@@ -0,0 +1,8 @@
+// Every migration, in the order it runs. Add new ones at the end.
+module.exports = [
+  require("./001-room-id-object-ids"),
+  require("./002-unique-user-emails"),
+  require("./003-booking-price-snapshots"),
+  require("./004-lowercase-emails"),
+  require("./005-room-ratings"),
+];
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+// Runs database migrations.
+//
+//   npm run migrate            run every pending migration
+//   npm run migrate -- status  list migrations and whether they have run
+
+require("dotenv").config();
+const { MongoClient } = require("mongodb");
+const { runMigrations, pendingMigrations } = require("../lib/migrations");
+const migrations = require("../migrations");
+
+async function main() {
+  const command = process.argv[2] || "up";
+  const client = new MongoClient(process.env.MONGODB_URI);
+  await client.connect();
+  try {
+    const db = client.db("HotelDB");
+
+    if (command === "status") {
+      const pending = await pendingMigrations(db, migrations);
+      migrations.forEach(migration => {
+        console.log(`${pending.includes(migration.id) ? "pending" : "done   "}  ${migration.id}`);
+      });
+      return;
+    }
+    if (command !== "up") {
+      throw new Error(`Unknown command "${command}" (use "up" or "status")`);
+    }
+
+    const ran = await runMigrations(db, migrations);
+    console.log(ran.length > 0 ? `✅ Ran ${ran.length} migration(s)` : "✅ Nothing to migrate");
+  } finally {
+    await client.close();
+  }
+}
+
+main().catch(error => {
+  console.error("❌ Migration failed:", error.message);
+  process.exitCode = 1;
+});
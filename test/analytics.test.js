@@ -0,0 +1,72 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { openNights, bucketOf, kpis, tallySoldNights, averageLeadTime } = require("../lib/analytics");
+
+const JULY_1_TO_4 = ["2025-07-01", "2025-07-02", "2025-07-03", "2025-07-04"];
+
+test("openNights keeps the nights from a room's creation until its deletion", () => {
+  const room = { _id: new ObjectId(), createdAt: new Date("2025-07-02T15:00:00Z"), deletedAt: new Date("2025-07-04T09:00:00Z") };
+  assert.deepEqual(openNights(room, JULY_1_TO_4), ["2025-07-02", "2025-07-03"]);
+
+  // Without createdAt the ObjectId's timestamp says when it was created
+  const legacy = { _id: ObjectId.createFromTime(Date.parse("2025-07-03T00:00:00Z") / 1000) };
+  assert.deepEqual(openNights(legacy, JULY_1_TO_4), ["2025-07-03", "2025-07-04"]);
+});
+
+test("bucketOf starts weeks on Monday and months on the first", () => {
+  assert.equal(bucketOf("2025-07-06", "day"), "2025-07-06");
+  assert.equal(bucketOf("2025-07-06", "week"), "2025-06-30");
+  assert.equal(bucketOf("2025-07-07", "week"), "2025-07-07");
+  assert.equal(bucketOf("2025-07-31", "month"), "2025-07-01");
+});
+
+test("kpis works out occupancy, ADR and RevPAR", () => {
+  assert.deepEqual(kpis({ soldNights: 3, roomRevenue: 350, availableNights: 8, bookings: 4, cancelled: 1, avgLeadTimeDays: 12.34 }), {
+    availableNights: 8,
+    soldNights: 3,
+    roomRevenue: 350,
+    occupancyRate: 37.5,
+    adr: 116.67,
+    revpar: 43.75,
+    bookings: 4,
+    cancellationRate: 25,
+    avgLeadTimeDays: 12.3,
+  });
+  // Nothing to divide by: zeros, not NaN
+  const empty = kpis({});
+  assert.equal(empty.occupancyRate, 0);
+  assert.equal(empty.adr, 0);
+  assert.equal(empty.revpar, 0);
+  assert.equal(empty.avgLeadTimeDays, null);
+});
+
+test("tallySoldNights counts only nights a listed room was open for", () => {
+  const open = { _id: new ObjectId(), nights: ["2025-07-02", "2025-07-03"] };
+  const gone = new ObjectId();
+  const rows = [
+    { roomId: open._id, night: "2025-07-01", soldNights: 1, roomRevenue: 100 }, // before the room existed
+    { roomId: open._id, night: "2025-07-02", soldNights: 1, roomRevenue: 100 },
+    { roomId: open._id, night: "2025-07-03", soldNights: 1, roomRevenue: 120 },
+    { roomId: gone, night: "2025-07-02", soldNights: 1, roomRevenue: 90 }, // room not listed
+  ];
+
+  const { byBucket, byRoom } = tallySoldNights(rows, [open], "week");
+  assert.deepEqual(byRoom, { [String(open._id)]: { soldNights: 2, roomRevenue: 220 } });
+  assert.deepEqual(byBucket, { "2025-06-30": { soldNights: 2, roomRevenue: 220 } });
+
+  const summary = kpis({ ...byRoom[String(open._id)], availableNights: open.nights.length });
+  assert.equal(summary.occupancyRate, 100);
+});
+
+test("averageLeadTime weighs buckets by the bookings that have a lead time", () => {
+  assert.equal(
+    averageLeadTime([
+      { bookings: 5, avgLeadTimeDays: 10, leadTimeBookings: 1 }, // four bookings with unreadable dates
+      { bookings: 3, avgLeadTimeDays: 2, leadTimeBookings: 3 },
+    ]),
+    4
+  );
+  assert.equal(averageLeadTime([{ bookings: 2, avgLeadTimeDays: null, leadTimeBookings: 0 }]), null);
+  assert.equal(averageLeadTime([]), null);
+});
@@ -0,0 +1,90 @@
+// Refresh-token rotation and reuse detection, logout and account-wide
+// revocation against the real app. See helpers/app.js for the database
+// these run against.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { startApp } = require("./helpers/app");
+
+let app = null;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app?.stop?.();
+});
+
+async function post(path, body, token) {
+  const response = await fetch(`${app.baseUrl}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...(token && { Authorization: `Bearer ${token}` }) },
+    body: JSON.stringify(body),
+  });
+  return { response, body: await response.json() };
+}
+
+async function register() {
+  const email = `guest-${crypto.randomUUID()}@example.com`;
+  const { response, body } = await post("/auth/register", { email, password: "correct horse battery" });
+  assert.equal(response.status, 201);
+  return { email, ...body };
+}
+
+// Any route behind verifyToken will do
+async function canUse(token, email) {
+  const response = await fetch(`${app.baseUrl}/bookings/user/${email}`, { headers: { Authorization: `Bearer ${token}` } });
+  return response.status === 200;
+}
+
+test("a refresh token works once; reusing it ends the whole family", async t => {
+  if (app.skipReason) {
+    return t.skip(app.skipReason);
+  }
+  const { refreshToken } = await register();
+
+  const rotated = await post("/auth/refresh", { refreshToken });
+  assert.equal(rotated.response.status, 200);
+  assert.notEqual(rotated.body.refreshToken, refreshToken);
+
+  const replayed = await post("/auth/refresh", { refreshToken });
+  assert.equal(replayed.response.status, 401);
+
+  // The replay may have come from a thief: the legitimate successor is gone too
+  const successor = await post("/auth/refresh", { refreshToken: rotated.body.refreshToken });
+  assert.equal(successor.response.status, 401);
+});
+
+test("logout revokes the access token and its refresh token family", async t => {
+  if (app.skipReason) {
+    return t.skip(app.skipReason);
+  }
+  const { email, token, refreshToken } = await register();
+  assert.ok(await canUse(token, email));
+
+  const { response } = await post("/auth/logout", { refreshToken }, token);
+  assert.equal(response.status, 200);
+  assert.equal(await canUse(token, email), false);
+  assert.equal((await post("/auth/refresh", { refreshToken })).response.status, 401);
+});
+
+test("an account-wide revocation rejects only access tokens issued before it", async t => {
+  if (app.skipReason) {
+    return t.skip(app.skipReason);
+  }
+  const { email, token } = await register();
+  const { iat } = jwt.decode(token);
+  await app.db.collection("revokedTokens").insertOne({
+    jti: `account:${email}`,
+    email,
+    issuedBefore: iat + 1,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  });
+  assert.equal(await canUse(token, email), false);
+
+  const later = jwt.sign({ email, role: "guest", iat: iat + 1 }, process.env.JWT_SECRET, { expiresIn: "5m", jwtid: crypto.randomUUID() });
+  assert.ok(await canUse(later, email));
+});
@@ -0,0 +1,50 @@
+// Fires simultaneous bookings for the same room and dates at the real app
+// and checks that exactly one of them wins. See helpers/app.js for the
+// database it runs against.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { startApp, tokenFor, addDays, createRoom } = require("./helpers/app");
+
+const PARALLEL_REQUESTS = 10;
+
+let app = null;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app?.stop?.();
+});
+
+test("only one of many simultaneous bookings for the same nights succeeds", async t => {
+  if (app.skipReason) {
+    return t.skip(app.skipReason);
+  }
+
+  const roomId = await createRoom(app.db);
+  const checkIn = addDays(30);
+  const checkOut = addDays(32);
+
+  // A different guest per request, so none is refused as a duplicate of
+  // its own booking
+  const responses = await Promise.all(
+    Array.from({ length: PARALLEL_REQUESTS }, (_, i) => fetch(`${app.baseUrl}/bookings`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${tokenFor(`guest${i}-${crypto.randomUUID()}@example.com`)}`,
+      },
+      body: JSON.stringify({ roomId: String(roomId), checkIn, checkOut }),
+    }))
+  );
+  const statuses = responses.map(response => response.status);
+
+  assert.equal(statuses.filter(status => status === 200).length, 1, `statuses: ${statuses.join(", ")}`);
+  assert.equal(statuses.filter(status => status === 409).length, PARALLEL_REQUESTS - 1, `statuses: ${statuses.join(", ")}`);
+
+  assert.equal(await app.db.collection("bookings").countDocuments({ roomId }), 1);
+  assert.equal(await app.db.collection("roomNights").countDocuments({ roomId }), 2);
+});
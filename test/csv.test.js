@@ -0,0 +1,41 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { csvRow, parseCsv } = require("../lib/csv");
+
+test("csvRow quotes fields with commas, quotes or line breaks", () => {
+  assert.equal(csvRow(["plain", "a,b", 'say "hi"', "two\nlines"]), 'plain,"a,b","say ""hi""","two\nlines"\r\n');
+});
+
+test("csvRow writes empty cells for null and undefined, and ISO dates", () => {
+  assert.equal(csvRow([null, undefined, 0, false, new Date("2025-07-10T12:00:00Z")]), ",,0,false,2025-07-10T12:00:00.000Z\r\n");
+});
+
+test("csvRow defuses text that spreadsheets would run as a formula", () => {
+  assert.equal(csvRow(["=HYPERLINK(\"http://evil\")", "+1", "-1", "@SUM(A1)"]), `"'=HYPERLINK(""http://evil"")",'+1,'-1,'@SUM(A1)\r\n`);
+  assert.equal(csvRow(["\tcmd"]), "'\tcmd\r\n");
+  // Numbers are data, not text someone typed
+  assert.equal(csvRow([-5, 12.5]), "-5,12.5\r\n");
+});
+
+test("parseCsv reads back what csvRow writes", () => {
+  const rows = [["name", "note"], ["Smith, J", 'said "hello"\r\nthen left'], ["Doe", ""]];
+  const text = rows.map(csvRow).join("");
+  assert.deepEqual(parseCsv(text), [
+    { name: "Smith, J", note: 'said "hello"\r\nthen left' },
+    { name: "Doe", note: "" },
+  ]);
+});
+
+test("parseCsv handles a BOM, LF line ends, blank lines and short rows", () => {
+  const text = "\uFEFF id , email\n1,a@example.com\n\n2\n";
+  assert.deepEqual(parseCsv(text), [
+    { id: "1", email: "a@example.com" },
+    { id: "2", email: "" },
+  ]);
+});
+
+test("parseCsv returns no rows for empty input and throws on an open quote", () => {
+  assert.deepEqual(parseCsv(""), []);
+  assert.deepEqual(parseCsv("id,email\r\n"), []);
+  assert.throws(() => parseCsv('id,note\n1,"unterminated'), /Unterminated quoted field/);
+});
@@ -0,0 +1,105 @@
+// Starts the real app against a throwaway MongoDB for route tests.
+//
+// Needs a MongoDB replica set (bookings are written in a transaction). By
+// default one is started in memory with mongodb-memory-server; set
+// MONGODB_TEST_URI to use your own instead. Either way the tests write to
+// its HotelDB database, so only point it at a throwaway server. When no
+// server can be started (e.g. the mongod binary can't be downloaded)
+// startApp() resolves with a skipReason and the tests skip themselves,
+// except under CI (CI set), where that is an error: CI has to provide one.
+//
+// The app reads its settings when it is loaded, so each test file (node
+// --test runs every file in its own process) passes the environment it needs.
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { MongoClient } = require("mongodb");
+const { runMigrations } = require("../../lib/migrations");
+const migrations = require("../../migrations");
+
+function addDays(days) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function tokenFor(email, role = "guest") {
+  return jwt.sign({ email, role }, process.env.JWT_SECRET, { expiresIn: "5m", jwtid: crypto.randomUUID() });
+}
+
+async function waitUntilReady(baseUrl, timeoutMs = 30000) {
+  const deadline = Date.now() + timeoutMs;
+  let last = null;
+  while (Date.now() < deadline) {
+    const response = await fetch(`${baseUrl}/ready`);
+    last = await response.json();
+    if (response.status === 200) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  throw new Error(`App not ready: ${JSON.stringify(last)}`);
+}
+
+// Resolves with { baseUrl, db, stop } or { skipReason }. `env` is added to
+// process.env before the app is loaded.
+async function startApp(env = {}) {
+  let replSet = null;
+  let uri = process.env.MONGODB_TEST_URI;
+  if (!uri) {
+    try {
+      const { MongoMemoryReplSet } = require("mongodb-memory-server");
+      replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+      uri = replSet.getUri();
+    } catch (error) {
+      const reason = `no MongoDB to test against (set MONGODB_TEST_URI): ${error.message.split("\n")[0]}`;
+      if (process.env.CI) {
+        throw new Error(reason);
+      }
+      return { skipReason: reason };
+    }
+  }
+
+  // "test" keeps the app from listening on its own port and starting the
+  // local worker timers, like "production", without refusing the fake
+  // payment gateway
+  process.env.MONGODB_URI = uri;
+  process.env.JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString("hex");
+  process.env.NODE_ENV = "test";
+  process.env.NOTIFICATIONS_TRANSPORT = "capture";
+  delete process.env.PAYMENT_GATEWAY;
+  Object.assign(process.env, env);
+
+  const client = new MongoClient(uri);
+  await client.connect();
+  const db = client.db("HotelDB");
+  await runMigrations(db, migrations, { log: () => {} });
+
+  const app = require("../../api");
+  let server;
+  await new Promise(resolve => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  await waitUntilReady(baseUrl);
+
+  async function stop() {
+    await new Promise(resolve => server.close(resolve));
+    await client.close();
+    await replSet?.stop();
+  }
+  return { baseUrl, db, stop };
+}
+
+// A room at 100 a night (unless `fields` says otherwise), straight into the database
+async function createRoom(db, fields = {}) {
+  const { insertedId } = await db.collection("rooms").insertOne({
+    name: `Test room ${crypto.randomUUID()}`,
+    price: 100,
+    createdAt: new Date(),
+    ...fields,
+  });
+  return insertedId;
+}
+
+module.exports = { startApp, tokenFor, addDays, createRoom };
@@ -0,0 +1,123 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildCalendar, parseCalendar } = require("../lib/ical");
+
+const NOW = new Date("2025-07-01T09:30:00.000Z");
+
+test("buildCalendar writes all-day events with CRLF line ends", () => {
+  const text = buildCalendar({
+    name: "Room 101",
+    now: NOW,
+    events: [{ uid: "b1@hotel", start: "2025-07-10", end: "2025-07-12", summary: "Booked" }],
+  });
+  const lines = text.split("\r\n");
+
+  assert.ok(text.endsWith("END:VCALENDAR\r\n"));
+  assert.equal(lines[0], "BEGIN:VCALENDAR");
+  assert.ok(lines.includes("X-WR-CALNAME:Room 101"));
+  assert.ok(lines.includes("UID:b1@hotel"));
+  assert.ok(lines.includes("DTSTAMP:20250701T093000Z"));
+  assert.ok(lines.includes("DTSTART;VALUE=DATE:20250710"));
+  assert.ok(lines.includes("DTEND;VALUE=DATE:20250712"));
+  assert.ok(lines.includes("SUMMARY:Booked"));
+  assert.ok(!text.includes("DESCRIPTION"), "no description unless one is given");
+});
+
+test("buildCalendar escapes text and folds long lines", () => {
+  const summary = `Smith, J; "VIP"\nlate arrival ${"x".repeat(100)}`;
+  const text = buildCalendar({ name: "Room", now: NOW, events: [{ uid: "b2", start: "2025-07-10", end: "2025-07-11", summary }] });
+
+  assert.ok(text.includes("SUMMARY:Smith\\, J\\; \"VIP\"\\nlate arrival"));
+  for (const line of text.split("\r\n")) {
+    assert.ok(Buffer.byteLength(line) <= 75, `line too long: ${line}`);
+  }
+  assert.ok(text.includes("\r\n x"), "continuation lines start with a space");
+});
+
+test("parseCalendar reads back what buildCalendar writes", () => {
+  const events = [
+    { uid: "b1", start: "2025-07-10", end: "2025-07-12", summary: "Smith, J; room 4\nlate" },
+    { uid: "b2", start: "2025-08-01", end: "2025-08-02", summary: "ünïcode ".repeat(20).trim() },
+  ];
+  assert.deepEqual(parseCalendar(buildCalendar({ name: "Room", now: NOW, events })), { events, rejected: 0 });
+});
+
+test("parseCalendar keeps the dates of timed events and defaults to one night", () => {
+  const text = [
+    "BEGIN:VCALENDAR",
+    "BEGIN:VEVENT",
+    "UID:timed",
+    "DTSTART:20250710T150000Z",
+    "DTEND:20250712T110000Z",
+    "SUMMARY:Reserved",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "UID:no-end",
+    "DTSTART;VALUE=DATE:20250731",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].join("\n");
+
+  assert.deepEqual(parseCalendar(text).events, [
+    { uid: "timed", start: "2025-07-10", end: "2025-07-12", summary: "Reserved" },
+    { uid: "no-end", start: "2025-07-31", end: "2025-08-01", summary: "" },
+  ]);
+});
+
+test("parseCalendar skips cancelled events, rejects undated ones and unfolds long lines", () => {
+  const text = [
+    "BEGIN:VCALENDAR",
+    "BEGIN:VEVENT",
+    "UID:cancelled",
+    "DTSTART;VALUE=DATE:20250710",
+    "STATUS:CANCELLED",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "UID:undated",
+    "SUMMARY:No dates",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "DTSTART;VALUE=DATE:20250715",
+    "DTEND;VALUE=DATE:20250717",
+    "SUMMARY:Folded",
+    "  summary",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].join("\r\n");
+
+  assert.deepEqual(parseCalendar(text), {
+    events: [{ uid: "2025-07-15-2025-07-17-0", start: "2025-07-15", end: "2025-07-17", summary: "Folded summary" }],
+    rejected: 1,
+  });
+});
+
+test("parseCalendar rejects events with impossible dates", () => {
+  const text = [
+    "BEGIN:VCALENDAR",
+    "BEGIN:VEVENT",
+    "UID:bad-start",
+    "DTSTART;VALUE=DATE:20251345",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "UID:bad-end",
+    "DTSTART;VALUE=DATE:20250227",
+    "DTEND;VALUE=DATE:20250230",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "UID:leap",
+    "DTSTART;VALUE=DATE:20240228",
+    "DTEND;VALUE=DATE:20240301",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].join("\r\n");
+
+  assert.deepEqual(parseCalendar(text), {
+    events: [{ uid: "leap", start: "2024-02-28", end: "2024-03-01", summary: "" }],
+    rejected: 2,
+  });
+});
+
+test("parseCalendar returns nothing for text that isn't a calendar", () => {
+  assert.deepEqual(parseCalendar(""), { events: [], rejected: 0 });
+  assert.deepEqual(parseCalendar("<html>Not found</html>"), { events: [], rejected: 0 });
+});
@@ -0,0 +1,86 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ensureIndexesOnce, indexesVersion } = require("../lib/indexes");
+
+const SPECS = [
+  { collection: "rooms", key: { price: 1 } },
+  { collection: "bookings", key: { email: 1, createdAt: -1 } },
+];
+
+// A database whose collections keep their index keys and record createIndex
+// calls; `failing` names collections whose indexes can't be built.
+// `migrations` keeps documents.
+function memoryDb({ failing = [] } = {}) {
+  const created = [];
+  const docs = new Map();
+  const indexes = new Map();
+  const collections = {
+    migrations: {
+      async findOne(filter) {
+        const doc = docs.get(filter._id);
+        return doc && Object.entries(filter).every(([key, value]) => doc[key] === value) ? doc : null;
+      },
+      async updateOne(filter, update) {
+        docs.set(filter._id, { ...docs.get(filter._id), _id: filter._id, ...update.$set });
+      },
+    },
+  };
+  return {
+    created,
+    docs,
+    dropIndex(name, key) {
+      indexes.set(name, indexes.get(name).filter(existing => JSON.stringify(existing) !== JSON.stringify(key)));
+    },
+    collection(name) {
+      return collections[name] || {
+        async createIndex(key) {
+          if (failing.includes(name)) {
+            throw new Error("E11000 duplicate key");
+          }
+          created.push(`${name} ${JSON.stringify(key)}`);
+          indexes.set(name, [...(indexes.get(name) || []), key]);
+        },
+        listIndexes() {
+          return { toArray: async () => (indexes.get(name) || []).map(key => ({ key })) };
+        },
+      };
+    },
+  };
+}
+
+test("ensureIndexesOnce builds a list of specs once, then only indexes that went missing", async () => {
+  const db = memoryDb();
+  assert.deepEqual(await ensureIndexesOnce(db, SPECS), []);
+  assert.equal(db.created.length, 2);
+  assert.equal(db.docs.get("_indexes").version, indexesVersion(SPECS));
+
+  // Next cold start: nothing to do
+  await ensureIndexesOnce(db, SPECS);
+  assert.equal(db.created.length, 2);
+
+  // An index dropped by hand comes back, without touching the others
+  db.dropIndex("rooms", { price: 1 });
+  await ensureIndexesOnce(db, SPECS);
+  assert.deepEqual(db.created.slice(2), ['rooms {"price":1}']);
+
+  // A changed list is built again
+  await ensureIndexesOnce(db, [...SPECS, { collection: "reviews", key: { roomId: 1 } }]);
+  assert.equal(db.created.length, 6);
+});
+
+test("ensureIndexesOnce keeps retrying until every index could be built", async () => {
+  const db = memoryDb({ failing: ["bookings"] });
+  const failures = await ensureIndexesOnce(db, SPECS);
+  assert.deepEqual(failures.map(({ spec }) => spec.collection), ["bookings"]);
+  assert.equal(db.docs.get("_indexes"), undefined);
+
+  await ensureIndexesOnce(db, SPECS);
+  assert.equal(db.created.length, 2);
+});
+
+test("indexesVersion changes with any part of a spec", () => {
+  const unique = [{ ...SPECS[0], options: { unique: true } }, SPECS[1]];
+  assert.equal(indexesVersion(SPECS), indexesVersion(SPECS.map(spec => ({ ...spec }))));
+  assert.notEqual(indexesVersion(SPECS), indexesVersion(unique));
+  assert.match(indexesVersion(SPECS), /^[0-9a-f]{16}$/);
+});
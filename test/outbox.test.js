@@ -0,0 +1,175 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { outboxItem, drainOutbox, requeueOutboxItem, retryDelay } = require("../lib/outbox");
+
+const MINUTE = 60 * 1000;
+
+// Just the part of a MongoDB collection drainOutbox uses: equality, $lte,
+// $in and $or filters; $set, $unset, $inc and $push with $each/$slice
+function memoryCollection(docs = []) {
+  const items = docs.map((doc, index) => ({ _id: index + 1, ...doc }));
+
+  const matchesValue = (value, condition) => {
+    if (condition && typeof condition === "object" && !(condition instanceof Date)) {
+      if ("$lte" in condition) {
+        return value != null && value <= condition.$lte;
+      }
+      if ("$in" in condition) {
+        return condition.$in.includes(value);
+      }
+    }
+    return value === condition;
+  };
+  const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) =>
+    key === "$or" ? condition.some(branch => matches(doc, branch)) : matchesValue(doc[key], condition)
+  );
+  const apply = (doc, update) => {
+    Object.assign(doc, update.$set);
+    Object.keys(update.$unset || {}).forEach(key => delete doc[key]);
+    Object.entries(update.$inc || {}).forEach(([key, by]) => { doc[key] = (doc[key] || 0) + by; });
+    Object.entries(update.$push || {}).forEach(([key, { $each, $slice }]) => {
+      doc[key] = [...(doc[key] || []), ...$each].slice($slice);
+    });
+  };
+
+  return {
+    items,
+    async findOneAndUpdate(filter, update, { sort }) {
+      const [field] = Object.keys(sort);
+      const doc = items.filter(item => matches(item, filter)).sort((a, b) => a[field] - b[field])[0];
+      if (!doc) {
+        return null;
+      }
+      apply(doc, update);
+      return { ...doc };
+    },
+    async updateOne(filter, update) {
+      const doc = items.find(item => matches(item, filter));
+      if (doc) {
+        apply(doc, update);
+      }
+      return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    },
+  };
+}
+
+function dueItem(fields = {}) {
+  return outboxItem({ to: "guest@example.com", ...fields }, new Date(Date.now() - 1000));
+}
+
+test("retryDelay doubles from the base delay and stops at six hours", () => {
+  assert.equal(retryDelay(1), MINUTE);
+  assert.equal(retryDelay(2), 2 * MINUTE);
+  assert.equal(retryDelay(4), 8 * MINUTE);
+  assert.equal(retryDelay(0), MINUTE);
+  assert.equal(retryDelay(3, 1000), 4000);
+  assert.equal(retryDelay(20), 6 * 60 * MINUTE);
+});
+
+test("outboxItem starts pending and due now", () => {
+  const now = new Date("2025-07-01T10:00:00Z");
+  assert.deepEqual(outboxItem({ to: "a@example.com" }, now), {
+    to: "a@example.com", status: "pending", attempts: 0, nextAttemptAt: now, history: [], createdAt: now,
+  });
+});
+
+test("drainOutbox delivers due items and records the result", async () => {
+  const collection = memoryCollection([dueItem(), dueItem()]);
+  const delivered = [];
+  const summary = await drainOutbox(collection, async item => {
+    delivered.push(item._id);
+    return { messageId: `m${item._id}` };
+  });
+
+  assert.deepEqual(summary, { sent: 2, retrying: 0, failed: 0 });
+  assert.deepEqual(delivered, [1, 2]);
+  for (const item of collection.items) {
+    assert.equal(item.status, "sent");
+    assert.equal(item.attempts, 1);
+    assert.deepEqual(item.result, { messageId: `m${item._id}` });
+    assert.equal(item.lockedUntil, undefined);
+    assert.equal(item.history.length, 1);
+    assert.equal(item.history[0].ok, true);
+  }
+});
+
+test("drainOutbox leaves items that aren't due yet or are being sent by someone else", async () => {
+  const collection = memoryCollection([
+    outboxItem({}, new Date(Date.now() + MINUTE)),
+    { ...dueItem(), status: "sending", lockedUntil: new Date(Date.now() + MINUTE) },
+    { ...dueItem(), status: "sent" },
+  ]);
+  const summary = await drainOutbox(collection, async () => assert.fail("nothing is due"));
+  assert.deepEqual(summary, { sent: 0, retrying: 0, failed: 0 });
+});
+
+test("drainOutbox picks up an item whose worker died mid-delivery", async () => {
+  const collection = memoryCollection([{ ...dueItem(), status: "sending", attempts: 1, lockedUntil: new Date(Date.now() - 1000) }]);
+  const summary = await drainOutbox(collection, async () => "ok");
+  assert.deepEqual(summary, { sent: 1, retrying: 0, failed: 0 });
+  assert.equal(collection.items[0].attempts, 2);
+});
+
+test("a failed delivery is retried later with backoff, then given up after maxAttempts", async () => {
+  const collection = memoryCollection([dueItem()]);
+  const item = collection.items[0];
+  const failing = async () => {
+    const error = new Error("Connection refused");
+    error.result = { status: null };
+    throw error;
+  };
+
+  const before = Date.now();
+  assert.deepEqual(await drainOutbox(collection, failing, { maxAttempts: 3, backoffMs: 1000 }), { sent: 0, retrying: 1, failed: 0 });
+  assert.equal(item.status, "pending");
+  assert.equal(item.lastError, "Connection refused");
+  assert.deepEqual(item.result, { status: null });
+  assert.ok(item.nextAttemptAt - before >= 1000, "first retry waits the base delay");
+
+  // Not due yet, so a second drain right away does nothing
+  assert.deepEqual(await drainOutbox(collection, failing, { maxAttempts: 3, backoffMs: 1000 }), { sent: 0, retrying: 0, failed: 0 });
+
+  item.nextAttemptAt = new Date(Date.now() - 1);
+  const second = Date.now();
+  await drainOutbox(collection, failing, { maxAttempts: 3, backoffMs: 1000 });
+  assert.equal(item.status, "pending");
+  assert.ok(item.nextAttemptAt - second >= 2000, "second retry waits twice as long");
+
+  item.nextAttemptAt = new Date(Date.now() - 1);
+  assert.deepEqual(await drainOutbox(collection, failing, { maxAttempts: 3, backoffMs: 1000 }), { sent: 0, retrying: 0, failed: 1 });
+  assert.equal(item.status, "failed");
+  assert.equal(item.nextAttemptAt, null);
+  assert.equal(item.attempts, 3);
+  assert.equal(item.history.length, 3);
+  assert.ok(item.history.every(entry => entry.ok === false && entry.error === "Connection refused"));
+});
+
+test("a permanent error fails the item at once", async () => {
+  const collection = memoryCollection([dueItem()]);
+  const summary = await drainOutbox(collection, async () => {
+    const error = new Error("Unknown template");
+    error.permanent = true;
+    throw error;
+  });
+  assert.deepEqual(summary, { sent: 0, retrying: 0, failed: 1 });
+  assert.equal(collection.items[0].status, "failed");
+  assert.equal(collection.items[0].attempts, 1);
+});
+
+test("drainOutbox delivers at most `limit` items per run", async () => {
+  const collection = memoryCollection([dueItem(), dueItem(), dueItem()]);
+  assert.deepEqual(await drainOutbox(collection, async () => null, { limit: 2 }), { sent: 2, retrying: 0, failed: 0 });
+  assert.equal(collection.items.filter(item => item.status === "pending").length, 1);
+});
+
+test("requeueOutboxItem gives a failed item a fresh set of attempts", async () => {
+  const collection = memoryCollection([{ ...dueItem(), status: "failed", attempts: 5, nextAttemptAt: null, lastError: "Gone" }]);
+  const result = await requeueOutboxItem(collection, 1);
+  assert.equal(result.modifiedCount, 1);
+  assert.equal(collection.items[0].status, "pending");
+  assert.equal(collection.items[0].attempts, 0);
+  assert.equal(collection.items[0].lastError, null);
+
+  // Only failed or sent items can be requeued
+  assert.equal((await requeueOutboxItem(collection, 1)).modifiedCount, 0);
+});
@@ -0,0 +1,245 @@
+// Booking retries with an Idempotency-Key, and paying for a booking through
+// the fake gateway's webhooks. See helpers/app.js for the database these
+// run against.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { ObjectId } = require("mongodb");
+const { fakeWebhookEvent } = require("../lib/payments");
+const { startApp, tokenFor, addDays, createRoom } = require("./helpers/app");
+
+const WEBHOOK_SECRET = crypto.randomBytes(16).toString("hex");
+
+let app = null;
+
+before(async () => {
+  app = await startApp({ PAYMENT_GATEWAY: "fake", PAYMENT_WEBHOOK_SECRET: WEBHOOK_SECRET });
+});
+
+after(async () => {
+  await app?.stop?.();
+});
+
+function guest() {
+  const email = `guest-${crypto.randomUUID()}@example.com`;
+  return { email, token: tokenFor(email) };
+}
+
+async function book(token, body, headers = {}) {
+  const response = await fetch(`${app.baseUrl}/bookings`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}`, ...headers },
+    body: JSON.stringify(body),
+  });
+  return { response, body: await response.json() };
+}
+
+async function sendPaymentEvent({ body, headers }) {
+  const response = await fetch(`${app.baseUrl}/payments/webhook`, { method: "POST", headers, body });
+  return { response, body: await response.json() };
+}
+
+// A fresh room and a stay in it, so tests don't compete for nights
+async function newStay() {
+  const roomId = await createRoom(app.db);
+  return { roomId: String(roomId), checkIn: addDays(40), checkOut: addDays(42) };
+}
+
+test("a retried booking with the same Idempotency-Key gets the first answer", async t => {
+  if (app.skipReason) {
+    return t.skip(app.skipReason);
+  }
+  const { token } = guest();
+  const stay = await newStay();
+  const key = crypto.randomUUID();
+
+  const first = await book(token, stay, { "Idempotency-Key": key });
+  assert.equal(first.response.status, 200);
+  assert.equal(first.response.headers.get("idempotent-replayed"), null);
+
+  const retry = await book(token, stay, { "Idempotency-Key": key });
+  assert.equal(retry.response.status, 200);
+  assert.equal(retry.response.headers.get("idempotent-replayed"), "true");
+  assert.deepEqual(retry.body, first.body);
+
+  assert.equal(await app.db.collection("bookings").countDocuments({ roomId: new ObjectId(stay.roomId) }), 1);
+});
+
+test("an Idempotency-Key can't be reused for a different request", async t => {
+  if (app.skipReason) {
+    return t.skip(app.skipReason);
+  }
+  const { token } = guest();
+  const stay = await newStay();
+  const key = crypto.randomUUID();
+
+  assert.equal((await book(token, stay, { "Idempotency-Key": key })).response.status, 200);
+  const other = await book(token, { ...stay, checkOut: addDays(43) }, { "Idempotency-Key": key });
+  assert.equal(other.response.status, 422);
+
+  // Keys belong to their owner: another guest's request with the same key runs
+  const otherGuest = await book(guest().token, await newStay(), { "Idempotency-Key": key });
+  assert.equal(otherGuest.response.status, 200);
+  assert.equal(otherGuest.response.headers.get("idempotent-replayed"), null);
+});
+
+test("a retry takes over an Idempotency-Key left processing by a request that died", async t => {
+  if (app.skipReason) {
+    return t.skip(app.skipReason);
+  }
+  const { email, token } = guest();
+  const stay = await newStay();
+  const requestHash = crypto.createHash("sha256").update(JSON.stringify(stay)).digest("hex");
+  const keyFor = (key, startedAt) => ({
+    owner: email, scope: "bookings.create", key, requestHash, state: "processing",
+    createdAt: startedAt, startedAt, expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  });
+  const keys = app.db.collection("idempotencyKeys");
+
+  // Still within the stale window: the first request may yet answer
+  const recent = crypto.randomUUID();
+  await keys.insertOne(keyFor(recent, new Date()));
+  assert.equal((await book(token, stay, { "Idempotency-Key": recent })).response.status, 409);
+
+  const stale = crypto.randomUUID();
+  await keys.insertOne(keyFor(stale, new Date(Date.now() - 10 * 60 * 1000)));
+  const retry = await book(token, stay, { "Idempotency-Key": stale });
+  assert.equal(retry.response.status, 200);
+  assert.equal(retry.response.headers.get("idempotent-replayed"), null);
+  assert.equal((await keys.findOne({ owner: email, key: stale })).state, "done");
+});
+
+test("a successful payment confirms the booking once", async t => {
+  if (app.skipReason) {
+    return t.skip(app.skipReason);
+  }
+  const { token } = guest();
+  const { body } = await book(token, await newStay());
+  const bookingId = new ObjectId(body.insertedId);
+  assert.equal(body.payment.status, "requires_payment");
+  assert.ok(body.payment.clientSecret);
+
+  const event = fakeWebhookEvent(WEBHOOK_SECRET, "payment.succeeded", body.payment.intentId, { amount: body.payment.amount });
+  const applied = await sendPaymentEvent(event);
+  assert.equal(applied.response.status, 200);
+  assert.equal(applied.body.status, "confirmed");
+
+  const booking = await app.db.collection("bookings").findOne({ _id: bookingId });
+  assert.equal(booking.status, "confirmed");
+  assert.equal(booking.payment.status, "succeeded");
+
+  // The gateway retrying the same event changes nothing
+  const retried = await sendPaymentEvent(event);
+  assert.deepEqual(retried.body, { received: true, duplicate: true });
+  const unchanged = await app.db.collection("bookings").findOne({ _id: bookingId });
+  assert.equal(unchanged.statusHistory.length, booking.statusHistory.length);
+});
+
+test("a payment webhook with a bad signature is refused", async t => {
+  if (app.skipReason) {
+    return t.skip(app.skipReason);
+  }
+  const { token } = guest();
+  const { body } = await book(token, await newStay());
+
+  const forged = fakeWebhookEvent("not-the-secret", "payment.succeeded", body.payment.intentId);
+  const { response } = await sendPaymentEvent(forged);
+  assert.equal(response.status, 400);
+
+  const booking = await app.db.collection("bookings").findOne({ _id: new ObjectId(body.insertedId) });
+  assert.equal(booking.status, "pending");
+  assert.equal(booking.payment.status, "requires_payment");
+});
+
+test("a failed payment cancels the booking and frees its nights", async t => {
+  if (app.skipReason) {
+    return t.skip(app.skipReason);
+  }
+  const { token } = guest();
+  const stay = await newStay();
+  const { body } = await book(token, stay);
+  const bookingId = new ObjectId(body.insertedId);
+  assert.equal(await app.db.collection("roomNights").countDocuments({ refId: bookingId }), 2);
+
+  const { response } = await sendPaymentEvent(fakeWebhookEvent(WEBHOOK_SECRET, "payment.failed", body.payment.intentId));
+  assert.equal(response.status, 200);
+
+  const booking = await app.db.collection("bookings").findOne({ _id: bookingId });
+  assert.equal(booking.status, "cancelled");
+  assert.equal(booking.payment.status, "failed");
+  assert.equal(booking.refund, undefined);
+  assert.equal(await app.db.collection("roomNights").countDocuments({ refId: bookingId }), 0);
+
+  // The nights can be booked again
+  assert.equal((await book(guest().token, stay)).response.status, 200);
+});
+
+test("a paid booking can't be moved to a pricier stay, and refunds never exceed the payment", async t => {
+  if (app.skipReason) {
+    return t.skip(app.skipReason);
+  }
+  const { token } = guest();
+  const stay = await newStay();
+  const { body } = await book(token, stay);
+  const bookingId = new ObjectId(body.insertedId);
+  await sendPaymentEvent(fakeWebhookEvent(WEBHOOK_SECRET, "payment.succeeded", body.payment.intentId, { amount: body.payment.amount }));
+
+  const moved = await fetch(`${app.baseUrl}/bookings/${bookingId}`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ checkIn: stay.checkIn, checkOut: addDays(44) }),
+  });
+  assert.equal(moved.status, 409);
+
+  // A price that drifted above the payment (e.g. an older reschedule) is
+  // still refunded at most what was paid
+  await app.db.collection("bookings").updateOne({ _id: bookingId }, { $set: { "price.total": body.payment.amount * 3 } });
+  const cancelled = await fetch(`${app.baseUrl}/bookings/${bookingId}`, {
+    method: "DELETE",
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  assert.equal(cancelled.status, 200);
+  const booking = await app.db.collection("bookings").findOne({ _id: bookingId });
+  assert.equal(booking.refund.amount, body.payment.amount);
+  assert.equal(booking.payment.refunded, body.payment.amount);
+  assert.equal(booking.payment.status, "refunded");
+});
+
+test("spending and revenue reports count a booking only once it is paid", async t => {
+  if (app.skipReason) {
+    return t.skip(app.skipReason);
+  }
+  const { email, token } = guest();
+  const admin = guest();
+  await app.db.collection("users").insertOne({ email: admin.email, role: "admin" });
+
+  async function reports() {
+    const get = async (path, bearer) => {
+      const response = await fetch(`${app.baseUrl}${path}`, { headers: { Authorization: `Bearer ${bearer}` } });
+      assert.equal(response.status, 200, `GET ${path}`);
+      return response.json();
+    };
+    const stats = await get(`/user/stats/${email}`, token);
+    const summary = await get(`/user/booking-summary/${email}`, token);
+    const adminStats = await get("/admin/stats", admin.token);
+    return {
+      totalSpent: stats.totalSpent,
+      summed: summary.reduce((sum, room) => sum + room.value, 0),
+      revenue: adminStats.revenue,
+    };
+  }
+
+  const before = await reports();
+  const { body } = await book(token, await newStay());
+  const unpaid = await reports();
+  assert.equal(unpaid.totalSpent, 0);
+  assert.equal(unpaid.summed, 0);
+  assert.equal(unpaid.revenue, before.revenue);
+
+  await sendPaymentEvent(fakeWebhookEvent(WEBHOOK_SECRET, "payment.succeeded", body.payment.intentId, { amount: body.payment.amount }));
+  const paid = await reports();
+  assert.equal(paid.totalSpent, body.payment.amount);
+  assert.equal(paid.summed, body.payment.amount);
+  assert.equal(paid.revenue, before.revenue + body.payment.amount);
+});
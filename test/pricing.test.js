@@ -0,0 +1,119 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { computeBookingPrice, computeRefund, nightlyRates, parsePromoCodes, roundMoney } = require("../lib/pricing");
+
+// 2025-07-10 is a Thursday, so a stay to the 13th has one weekday night and
+// two weekend (Friday, Saturday) nights
+const BOOKED_ON = "2025-06-20";
+const PRICING = { currency: "EUR", taxRate: 10, serviceFee: 5, promoCodes: { SUMMER10: 10 } };
+
+test("computeBookingPrice adds up the nightly rates, taxes and fees", () => {
+  const room = { price: 100, ratePlans: { weekendRate: 150 } };
+  const price = computeBookingPrice(room, "2025-07-10", "2025-07-13", { pricing: PRICING, bookedOn: BOOKED_ON });
+
+  assert.deepEqual(price.nightly.map(n => [n.night, n.source, n.rate]), [
+    ["2025-07-10", "standard", 100],
+    ["2025-07-11", "weekend", 150],
+    ["2025-07-12", "weekend", 150],
+  ]);
+  assert.equal(price.currency, "EUR");
+  assert.equal(price.nights, 3);
+  assert.equal(price.subtotal, 400);
+  assert.equal(price.discount, null);
+  assert.equal(price.taxes, 40);
+  assert.equal(price.fees, 5);
+  assert.equal(price.total, 445);
+});
+
+test("a promo code is taken off before tax; unknown codes are refused", () => {
+  const room = { price: 100 };
+  const price = computeBookingPrice(room, "2025-07-07", "2025-07-09", { promoCode: "summer10", pricing: PRICING, bookedOn: BOOKED_ON });
+  assert.deepEqual(price.discount, { code: "SUMMER10", percent: 10, amount: 20 });
+  assert.equal(price.taxes, 18);
+  assert.equal(price.total, 203);
+
+  assert.deepEqual(
+    computeBookingPrice(room, "2025-07-07", "2025-07-09", { promoCode: "NOPE", pricing: PRICING, bookedOn: BOOKED_ON }),
+    { error: "Invalid promo code" }
+  );
+});
+
+test("a kept discount applies even when its code has been retired", () => {
+  const price = computeBookingPrice({ price: 100 }, "2025-07-07", "2025-07-08", {
+    discount: { code: "OLD20", percent: 20, amount: 999 },
+    pricing: PRICING,
+    bookedOn: BOOKED_ON,
+  });
+  assert.deepEqual(price.discount, { code: "OLD20", percent: 20, amount: 20 });
+});
+
+test("seasons win over weekend rates and set their own minimum stay", () => {
+  const room = {
+    price: 100,
+    ratePlans: {
+      weekendRate: 150,
+      minStay: 1,
+      seasons: [{ name: "Summer", start: "2025-07-11", end: "2025-07-31", rate: 200, minStay: 2 }],
+    },
+  };
+  const rates = nightlyRates(room, "2025-07-10", "2025-07-13", BOOKED_ON);
+  assert.deepEqual(rates.map(n => n.source), ["standard", "season:Summer", "season:Summer"]);
+  assert.equal(computeBookingPrice(room, "2025-07-10", "2025-07-11", { bookedOn: BOOKED_ON }).subtotal, 100);
+  assert.deepEqual(
+    computeBookingPrice(room, "2025-07-11", "2025-07-12", { bookedOn: BOOKED_ON }),
+    { error: "This room requires a minimum stay of 2 nights for these dates" }
+  );
+});
+
+test("last-minute and early-bird adjustments depend on how far ahead the stay is booked", () => {
+  const room = {
+    price: 100,
+    ratePlans: { lastMinute: { withinDays: 3, adjustmentPercent: -15 }, earlyBird: { daysBefore: 60, adjustmentPercent: -10 } },
+  };
+  assert.equal(nightlyRates(room, "2025-07-07", "2025-07-08", "2025-07-05")[0].rate, 85);
+  assert.equal(nightlyRates(room, "2025-07-07", "2025-07-08", "2025-05-01")[0].rate, 90);
+  assert.equal(nightlyRates(room, "2025-07-07", "2025-07-08", "2025-06-20")[0].rate, 100);
+  assert.deepEqual(nightlyRates(room, "2025-07-07", "2025-07-08", "2025-07-05")[0].adjustment, { type: "lastMinute", percent: -15 });
+});
+
+test("computeRefund picks the tier by hours left before check-in", () => {
+  const booking = { checkIn: "2025-07-10", checkOut: "2025-07-12", price: { total: 301, currency: "EUR" } };
+  const policy = { tiers: [{ hoursBeforeCheckIn: 0, refundPercent: 50 }, { hoursBeforeCheckIn: 48, refundPercent: 100 }] };
+  const at = iso => computeRefund(booking, policy, { now: new Date(iso), checkInHour: 14 });
+
+  assert.deepEqual(at("2025-07-08T14:00:00Z"), { percent: 100, amount: 301, currency: "EUR" });
+  assert.deepEqual(at("2025-07-08T14:00:01Z"), { percent: 50, amount: 150.5, currency: "EUR" });
+  assert.deepEqual(at("2025-07-10T14:00:00Z"), { percent: 50, amount: 150.5, currency: "EUR" });
+  assert.deepEqual(at("2025-07-10T14:00:01Z"), { percent: 0, amount: 0, currency: "EUR" });
+});
+
+test("computeRefund reads legacy single-date bookings and falls back to the given currency", () => {
+  const booking = { date: "2025-07-10", price: { total: 80 } };
+  const policy = { tiers: [{ hoursBeforeCheckIn: 24, refundPercent: 25 }] };
+  assert.deepEqual(
+    computeRefund(booking, policy, { now: new Date("2025-07-09T10:00:00Z"), checkInHour: 12, currency: "GBP" }),
+    { percent: 25, amount: 20, currency: "GBP" }
+  );
+  // Less than the smallest tier ahead: nothing back
+  assert.equal(computeRefund(booking, policy, { now: new Date("2025-07-09T13:00:00Z"), checkInHour: 12 }).percent, 0);
+});
+
+test("computeRefund refunds in full when a legacy booking's date can't be read", () => {
+  const policy = { tiers: [{ hoursBeforeCheckIn: 24, refundPercent: 25 }] };
+  for (const date of ["10/07/2025", "2025-13-40", undefined]) {
+    assert.deepEqual(computeRefund({ date, price: { total: 80, currency: "EUR" } }, policy), { percent: 100, amount: 80, currency: "EUR" });
+  }
+});
+
+test("parsePromoCodes keeps valid percents under upper-case codes", t => {
+  t.mock.method(console, "error", () => {});
+  assert.deepEqual(parsePromoCodes('{"summer10": 10, "free": 100, "bad": 150, "zero": 0, "text": "5"}'), { SUMMER10: 10, FREE: 100 });
+  assert.deepEqual(parsePromoCodes("not json"), {});
+  assert.deepEqual(parsePromoCodes("[1, 2]"), {});
+  assert.deepEqual(parsePromoCodes(undefined), {});
+});
+
+test("roundMoney rounds to cents", () => {
+  assert.equal(roundMoney(10.005 * 3), 30.02);
+  assert.equal(roundMoney(0.1 + 0.2), 0.3);
+});
@@ -0,0 +1,135 @@
+// Deleting and restoring users and rooms through the real app: what a
+// removal cancels, releases and anonymizes, and what a restore gives back.
+// See helpers/app.js for the database these run against.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { ObjectId } = require("mongodb");
+const { eachNight } = require("../lib/stays");
+const { startApp, tokenFor, addDays, createRoom } = require("./helpers/app");
+
+let app = null;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app?.stop?.();
+});
+
+async function createUser(role, fields = {}) {
+  const email = `${role}-${crypto.randomUUID()}@example.com`;
+  const { insertedId } = await app.db.collection("users").insertOne({ email, role, createdAt: new Date(), ...fields });
+  return { _id: String(insertedId), email, token: tokenFor(email, role) };
+}
+
+async function request(method, path, token, body) {
+  const response = await fetch(`${app.baseUrl}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  return { response, body: await response.json() };
+}
+
+// Straight into the database: joining through the API needs the room to be taken
+async function joinWaitlist(email, roomId, checkIn, checkOut) {
+  const { insertedId } = await app.db.collection("waitlist").insertOne({
+    roomId,
+    email,
+    checkIn,
+    checkOut,
+    nights: eachNight(checkIn, checkOut),
+    status: "waiting",
+    offersMade: 0,
+    createdAt: new Date(),
+  });
+  return insertedId;
+}
+
+test("deleting a user cancels, releases and anonymizes; restoring gives the reviews back", async t => {
+  if (app.skipReason) {
+    return t.skip(app.skipReason);
+  }
+  const admin = await createUser("admin");
+  const guest = await createUser("guest", { name: "Rina", photoURL: "https://example.com/rina.png" });
+  const [bookedRoom, heldRoom, wantedRoom] = await Promise.all([createRoom(app.db), createRoom(app.db), createRoom(app.db)]);
+
+  const booking = await request("POST", "/bookings", guest.token, { roomId: String(bookedRoom), checkIn: addDays(30), checkOut: addDays(32) });
+  assert.equal(booking.response.status, 200);
+  const hold = await request("POST", "/bookings/holds", guest.token, { roomId: String(heldRoom), checkIn: addDays(30), checkOut: addDays(31) });
+  assert.equal(hold.response.status, 201);
+  const entryId = await joinWaitlist(guest.email, wantedRoom, addDays(50), addDays(51));
+  const { insertedId: reviewId } = await app.db.collection("reviews").insertOne({
+    roomId: bookedRoom,
+    userEmail: guest.email,
+    username: "Rina",
+    userPhoto: "https://example.com/rina.png",
+    rating: 5,
+    comment: "Lovely",
+    createdAt: new Date(),
+  });
+
+  const removed = await request("DELETE", `/admin/users/${guest._id}`, admin.token);
+  assert.equal(removed.response.status, 200);
+  assert.equal(removed.body.cancelledBookings, 1);
+  assert.equal(removed.body.releasedHolds, 1);
+  assert.equal(removed.body.closedWaitlistEntries, 1);
+  assert.equal(removed.body.anonymizedReviews, 1);
+
+  const bookingId = new ObjectId(booking.body.insertedId);
+  assert.equal((await app.db.collection("bookings").findOne({ _id: bookingId })).status, "cancelled");
+  assert.equal((await app.db.collection("holds").findOne({ _id: new ObjectId(hold.body._id) })).status, "released");
+  assert.equal((await app.db.collection("waitlist").findOne({ _id: entryId })).status, "removed");
+  assert.equal(await app.db.collection("roomNights").countDocuments({ roomId: { $in: [bookedRoom, heldRoom] } }), 0);
+  const anonymized = await app.db.collection("reviews").findOne({ _id: reviewId });
+  assert.equal(anonymized.username, "Former guest");
+  assert.equal(anonymized.userEmail, undefined);
+  assert.equal(anonymized.userPhoto, undefined);
+  assert.equal(anonymized.anonymizedEmail, guest.email);
+  // Tokens issued before the removal stop working
+  assert.equal((await request("GET", "/bookings/holds", guest.token)).response.status, 401);
+
+  const restored = await request("POST", `/admin/users/${guest._id}/restore`, admin.token);
+  assert.equal(restored.response.status, 200);
+  assert.equal(restored.body.restoredReviews, 1);
+  const review = await app.db.collection("reviews").findOne({ _id: reviewId });
+  assert.equal(review.userEmail, guest.email);
+  assert.equal(review.username, "Rina");
+  assert.equal(review.anonymizedEmail, undefined);
+  // Cancelled bookings stay cancelled
+  assert.equal((await app.db.collection("bookings").findOne({ _id: bookingId })).status, "cancelled");
+  assert.equal((await request("POST", `/admin/users/${guest._id}/restore`, admin.token)).response.status, 404);
+});
+
+test("a room can't be deleted while a guest holds it; deleting it ends its waitlist offers", async t => {
+  if (app.skipReason) {
+    return t.skip(app.skipReason);
+  }
+  const admin = await createUser("admin");
+  const holder = await createUser("guest");
+  const waiting = await createUser("guest");
+  const roomId = await createRoom(app.db);
+  const stay = { checkIn: addDays(60), checkOut: addDays(62) };
+
+  const hold = await request("POST", "/bookings/holds", holder.token, { roomId: String(roomId), ...stay });
+  assert.equal(hold.response.status, 201);
+  const entryId = await joinWaitlist(waiting.email, roomId, stay.checkIn, stay.checkOut);
+  assert.equal((await request("DELETE", `/rooms/${roomId}`, admin.token)).response.status, 409);
+
+  // Giving the hold up offers the stay to the waiting guest
+  assert.equal((await request("DELETE", `/bookings/holds/${hold.body._id}`, holder.token)).response.status, 200);
+  const offered = await app.db.collection("waitlist").findOne({ _id: entryId });
+  assert.equal(offered.status, "offered");
+
+  // An offer doesn't keep the room
+  const deleted = await request("DELETE", `/rooms/${roomId}`, admin.token);
+  assert.equal(deleted.response.status, 200);
+  assert.equal(deleted.body.closedWaitlistEntries, 1);
+  assert.equal(deleted.body.releasedHolds, 1);
+  assert.equal((await app.db.collection("waitlist").findOne({ _id: entryId })).status, "removed");
+  assert.equal((await app.db.collection("holds").findOne({ _id: offered.offer.holdId })).status, "released");
+  assert.equal(await app.db.collection("roomNights").countDocuments({ roomId }), 0);
+});
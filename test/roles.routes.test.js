@@ -0,0 +1,89 @@
+// Role changes through the real app: nobody changes their own role and
+// the last admin can't be demoted or deleted, even by two admins acting at
+// once. See helpers/app.js for the database these run against.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { startApp, tokenFor } = require("./helpers/app");
+
+let app = null;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app?.stop?.();
+});
+
+async function createUser(role) {
+  const email = `${role}-${crypto.randomUUID()}@example.com`;
+  const { insertedId } = await app.db.collection("users").insertOne({ email, role, createdAt: new Date() });
+  return { _id: String(insertedId), email, token: tokenFor(email, role) };
+}
+
+async function setRole(actor, target, role) {
+  const response = await fetch(`${app.baseUrl}/admin/users/role/${target._id}`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${actor.token}` },
+    body: JSON.stringify({ role }),
+  });
+  return response.status;
+}
+
+async function deleteUser(actor, target) {
+  const response = await fetch(`${app.baseUrl}/admin/users/${target._id}`, {
+    method: "DELETE",
+    headers: { Authorization: `Bearer ${actor.token}` },
+  });
+  return response.status;
+}
+
+// Leaves `keep` as the only live admins
+async function onlyAdmins(...keep) {
+  await app.db.collection("users").updateMany({ role: "admin", email: { $nin: keep.map(user => user.email) } }, { $set: { role: "guest" } });
+}
+
+async function liveAdmins() {
+  return app.db.collection("users").countDocuments({ role: "admin", deletedAt: null });
+}
+
+test("an admin can't change their own role, and guests can't change anyone's", async t => {
+  if (app.skipReason) {
+    return t.skip(app.skipReason);
+  }
+  const admin = await createUser("admin");
+  const guest = await createUser("guest");
+
+  assert.equal(await setRole(admin, admin, "guest"), 403);
+  assert.equal(await setRole(guest, guest, "admin"), 403);
+  assert.equal(await setRole(admin, guest, "front-desk"), 200);
+  assert.equal((await app.db.collection("users").findOne({ email: guest.email })).role, "front-desk");
+});
+
+test("two admins demoting each other at once leave one admin", async t => {
+  if (app.skipReason) {
+    return t.skip(app.skipReason);
+  }
+  const first = await createUser("admin");
+  const second = await createUser("admin");
+  await onlyAdmins(first, second);
+
+  const statuses = await Promise.all([setRole(first, second, "guest"), setRole(second, first, "guest")]);
+  assert.equal(statuses.filter(status => status === 200).length, 1, `got ${statuses}`);
+  assert.equal(await liveAdmins(), 1);
+});
+
+test("the last admin can't be deleted", async t => {
+  if (app.skipReason) {
+    return t.skip(app.skipReason);
+  }
+  const first = await createUser("admin");
+  const second = await createUser("admin");
+  await onlyAdmins(first, second);
+
+  const statuses = await Promise.all([deleteUser(first, second), deleteUser(second, first)]);
+  assert.equal(statuses.filter(status => status === 200).length, 1, `got ${statuses}`);
+  assert.equal(await liveAdmins(), 1);
+});
@@ -0,0 +1,52 @@
+// Searches rooms through the real app and checks that the rates search
+// filters on are the ones a quote (and so a booking) charges. See
+// helpers/app.js for the database it runs against.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { roundMoney } = require("../lib/pricing");
+const { startApp, addDays, createRoom } = require("./helpers/app");
+
+let app = null;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app?.stop?.();
+});
+
+async function getJson(path) {
+  const response = await fetch(`${app.baseUrl}${path}`);
+  assert.equal(response.status, 200, `GET ${path}`);
+  return response.json();
+}
+
+test("search rates match the quote when an adjusted rate ends in half a cent", async t => {
+  if (app.skipReason) {
+    return t.skip(app.skipReason);
+  }
+  // 100.05 less 10% is 90.045: Math.round makes that 90.05, rounding
+  // halves to even would make it 90.04. The price is stored as a string,
+  // as some older rooms have it.
+  const roomId = String(await createRoom(app.db, {
+    price: "100.05",
+    ratePlans: { lastMinute: { withinDays: 7, adjustmentPercent: -10 } },
+  }));
+  const checkIn = addDays(2);
+  const checkOut = addDays(4);
+
+  const quote = await getJson(`/rooms/${roomId}/quote?checkIn=${checkIn}&checkOut=${checkOut}`);
+  assert.deepEqual(quote.nightly.map(night => night.rate), [90.05, 90.05]);
+
+  const averageRate = roundMoney(quote.subtotal / quote.nights);
+  const search = await getJson(
+    `/rooms/search?checkIn=${checkIn}&checkOut=${checkOut}&minPrice=${averageRate}&maxPrice=${averageRate}&limit=50`
+  );
+  const room = search.rooms.find(found => found._id === roomId);
+  assert.ok(room, "the room is found at exactly its quoted average rate");
+  assert.equal(room.effectiveRate, quote.nightly[0].rate);
+  assert.equal(room.averageRate, averageRate);
+  assert.equal(room.stayTotal, quote.total);
+});
@@ -0,0 +1,121 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { check, validate } = require("../lib/validation");
+
+test("check cleans valid input: trims strings, lowercases emails, applies defaults", () => {
+  const schema = {
+    name: { type: "string", required: true },
+    email: { type: "email", required: true },
+    guests: { type: "integer", default: 1 },
+  };
+  assert.deepEqual(check(schema, { name: "  Ann ", email: " Ann@Example.COM " }), {
+    value: { name: "Ann", email: "ann@example.com", guests: 1 },
+    errors: [],
+  });
+});
+
+test("check reports every problem with its field", () => {
+  const schema = {
+    name: { type: "string", required: true, min: 2 },
+    email: { type: "email" },
+    rating: { type: "integer", min: 1, max: 5 },
+    status: { type: "string", enum: ["open", "closed"] },
+    day: { type: "date" },
+    roomId: { type: "objectId" },
+  };
+  const { errors } = check(schema, { email: "nope", rating: 4.5, status: "done", day: "2025-02-30", roomId: "123" });
+  assert.deepEqual(errors, [
+    { field: "name", message: "is required" },
+    { field: "email", message: "must be a valid email address" },
+    { field: "rating", message: "must be a whole number" },
+    { field: "status", message: "must be one of: open, closed" },
+    { field: "day", message: "must be a date (YYYY-MM-DD)" },
+    { field: "roomId", message: "must be a valid id" },
+  ]);
+});
+
+test("numbers: numeric strings are accepted, ranges are checked or clamped", () => {
+  const schema = {
+    price: { type: "number", min: 0 },
+    limit: { type: "integer", min: 1, max: 100, clamp: true },
+  };
+  assert.deepEqual(check(schema, { price: "12.5", limit: 500 }).value, { price: 12.5, limit: 100 });
+  assert.deepEqual(check(schema, { price: -1 }).errors, [{ field: "price", message: "must be at least 0" }]);
+  assert.deepEqual(check(schema, { price: "abc" }).errors, [{ field: "price", message: "must be a number" }]);
+});
+
+test("coerce turns query-string text into the rule's type", () => {
+  const schema = { page: { type: "integer" }, active: { type: "boolean" }, tags: { type: "array", items: { type: "string" } } };
+  assert.deepEqual(check(schema, { page: "2", active: "false", tags: "a, b,,c" }, { coerce: true }).value, {
+    page: 2,
+    active: false,
+    tags: ["a", "b", "c"],
+  });
+  // Bodies are taken as sent
+  assert.deepEqual(check(schema, { active: "false" }).errors, [{ field: "active", message: "must be true or false" }]);
+});
+
+test("unknown keys are stripped by default, or rejected or allowed", () => {
+  const schema = { name: { type: "string" } };
+  assert.deepEqual(check(schema, { name: "a", extra: 1 }).value, { name: "a" });
+  assert.deepEqual(check(schema, { name: "a", extra: 1 }, { unknown: "allow" }).value, { name: "a", extra: 1 });
+  assert.deepEqual(check(schema, { name: "a", extra: 1 }, { unknown: "reject" }).errors, [{ field: "extra", message: "is not allowed" }]);
+});
+
+test("nested objects and arrays are checked with dotted paths", () => {
+  const schema = {
+    seasons: {
+      type: "array",
+      max: 2,
+      items: { type: "object", unknown: "reject", fields: { start: { type: "date", required: true }, rate: { type: "number", min: 0 } } },
+    },
+  };
+  const { errors } = check(schema, { seasons: [{ start: "2025-06-01", rate: 10 }, { rate: -1, color: "red" }, {}] });
+  assert.deepEqual(errors, [
+    { field: "seasons", message: "must have at most 2 items" },
+    { field: "seasons[1].start", message: "is required" },
+    { field: "seasons[1].rate", message: "must be at least 0" },
+    { field: "seasons[1].color", message: "is not allowed" },
+    { field: "seasons[2].start", message: "is required" },
+  ]);
+});
+
+test("partial skips required fields and defaults, for updates", () => {
+  const schema = { name: { type: "string", required: true }, guests: { type: "integer", default: 1 } };
+  assert.deepEqual(check(schema, {}, { partial: true }), { value: {}, errors: [] });
+});
+
+test("check runs a rule's own check and refuses input that isn't an object", () => {
+  const schema = { checkOut: { type: "date", check: value => (value < "2025-01-01" ? "must be in 2025 or later" : null) } };
+  assert.deepEqual(check(schema, { checkOut: "2024-12-31" }).errors, [{ field: "checkOut", message: "must be in 2025 or later" }]);
+  assert.deepEqual(check(schema, ["not", "an", "object"]).errors, [{ field: "", message: "must be an object" }]);
+});
+
+test("validate answers 400 with every problem, or replaces the request parts", () => {
+  const middleware = validate({
+    params: { id: { type: "objectId", required: true } },
+    query: { page: { type: "integer", default: 1 } },
+    body: { schema: { email: { type: "email", required: true } }, unknown: "reject" },
+  });
+  const response = () => {
+    const res = { statusCode: 200 };
+    res.status = code => { res.statusCode = code; return res; };
+    res.send = body => { res.body = body; return res; };
+    return res;
+  };
+
+  const bad = response();
+  middleware({ params: { id: "x" }, query: {}, body: { email: "a@example.com", role: "admin" } }, bad, () => assert.fail("next() on bad input"));
+  assert.equal(bad.statusCode, 400);
+  assert.deepEqual(bad.body.errors, [
+    { field: "params.id", message: "must be a valid id" },
+    { field: "body.role", message: "is not allowed" },
+  ]);
+
+  const req = { params: { id: "64b7f0c2a1b2c3d4e5f60718" }, query: { page: "3" }, body: { email: "A@Example.com" } };
+  let called = false;
+  middleware(req, response(), () => { called = true; });
+  assert.equal(called, true);
+  assert.deepEqual(req.query, { page: 3 });
+  assert.deepEqual(req.body, { email: "a@example.com" });
+});
@@ -0,0 +1,98 @@
+// Waitlists through the real app: freed nights go to the first waiting
+// guest as an offer, and an offer that lapses goes to the next one. See
+// helpers/app.js for the database these run against.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { ObjectId } = require("mongodb");
+const { startApp, tokenFor, addDays, createRoom } = require("./helpers/app");
+
+const CRON_SECRET = crypto.randomBytes(16).toString("hex");
+
+let app = null;
+
+before(async () => {
+  app = await startApp({ CRON_SECRET });
+});
+
+after(async () => {
+  await app?.stop?.();
+});
+
+function guest() {
+  const email = `guest-${crypto.randomUUID()}@example.com`;
+  return { email, token: tokenFor(email) };
+}
+
+async function request(method, path, token, body) {
+  const response = await fetch(`${app.baseUrl}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  return { response, body: await response.json() };
+}
+
+async function entryOf(id) {
+  return app.db.collection("waitlist").findOne({ _id: new ObjectId(id) });
+}
+
+// A booked stay in a fresh room with two guests waiting for it, in order
+async function bookedStayWithQueue() {
+  const stay = { roomId: String(await createRoom(app.db)), checkIn: addDays(70), checkOut: addDays(72) };
+  const owner = guest();
+  const booking = await request("POST", "/bookings", owner.token, stay);
+  assert.equal(booking.response.status, 200);
+
+  const first = guest();
+  const second = guest();
+  const firstEntry = await request("POST", "/waitlist", first.token, stay);
+  assert.equal(firstEntry.response.status, 201);
+  assert.equal(firstEntry.body.position, 1);
+  const secondEntry = await request("POST", "/waitlist", second.token, stay);
+  assert.equal(secondEntry.body.position, 2);
+
+  return { stay, owner, bookingId: booking.body.insertedId, first: { ...first, entryId: firstEntry.body._id }, second: { ...second, entryId: secondEntry.body._id } };
+}
+
+test("a cancellation offers the stay to the first waiting guest, who can book it", async t => {
+  if (app.skipReason) {
+    return t.skip(app.skipReason);
+  }
+  const { stay, owner, bookingId, first, second } = await bookedStayWithQueue();
+
+  assert.equal((await request("DELETE", `/bookings/${bookingId}`, owner.token)).response.status, 200);
+  const offered = await entryOf(first.entryId);
+  assert.equal(offered.status, "offered");
+  assert.equal((await entryOf(second.entryId)).status, "waiting");
+
+  // The offer holds the nights for the first guest only
+  assert.equal((await request("POST", "/bookings", second.token, stay)).response.status, 409);
+  const booked = await request("POST", "/bookings", first.token, stay);
+  assert.equal(booked.response.status, 200);
+  const entry = await entryOf(first.entryId);
+  assert.equal(entry.status, "booked");
+  assert.equal(String(entry.bookingId), booked.body.insertedId);
+  assert.equal((await app.db.collection("holds").findOne({ _id: offered.offer.holdId })).status, "converted");
+});
+
+test("an offer that lapses closes its entry and goes to the next guest", async t => {
+  if (app.skipReason) {
+    return t.skip(app.skipReason);
+  }
+  const { owner, bookingId, first, second } = await bookedStayWithQueue();
+  assert.equal((await request("DELETE", `/bookings/${bookingId}`, owner.token)).response.status, 200);
+  const { offer } = await entryOf(first.entryId);
+
+  await app.db.collection("holds").updateOne({ _id: offer.holdId }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+  const swept = await request("GET", "/cron/holds", CRON_SECRET);
+  assert.equal(swept.response.status, 200);
+  assert.ok(swept.body.expired >= 1);
+
+  assert.equal((await entryOf(first.entryId)).status, "lapsed");
+  assert.equal((await app.db.collection("holds").findOne({ _id: offer.holdId })).status, "expired");
+  const next = await entryOf(second.entryId);
+  assert.equal(next.status, "offered");
+  assert.equal((await app.db.collection("holds").findOne({ _id: next.offer.holdId })).email, second.email);
+});
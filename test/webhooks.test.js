@@ -0,0 +1,42 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { signPayload, verifySignature, newWebhookSecret } = require("../lib/webhooks");
+
+const SECRET = "whsec_test";
+const BODY = JSON.stringify({ event: "booking.created", data: { id: "b1" } });
+
+test("signPayload signs the timestamp and body with HMAC-SHA256", () => {
+  const expected = crypto.createHmac("sha256", SECRET).update(`1700000000.${BODY}`).digest("hex");
+  assert.equal(signPayload(SECRET, BODY, 1700000000), `t=1700000000,v1=${expected}`);
+});
+
+test("verifySignature accepts a fresh signature of the same body", () => {
+  assert.equal(verifySignature(SECRET, BODY, signPayload(SECRET, BODY)), true);
+});
+
+test("verifySignature refuses another secret, another body or a mangled header", () => {
+  const header = signPayload(SECRET, BODY);
+  assert.equal(verifySignature("whsec_other", BODY, header), false);
+  assert.equal(verifySignature(SECRET, `${BODY} `, header), false);
+  assert.equal(verifySignature(SECRET, BODY, header.slice(0, -1) + (header.endsWith("0") ? "1" : "0")), false);
+  assert.equal(verifySignature(SECRET, BODY, header.slice(0, -2)), false);
+  assert.equal(verifySignature(SECRET, BODY, "t=abc,v1=00"), false);
+  assert.equal(verifySignature(SECRET, BODY, ""), false);
+  assert.equal(verifySignature(SECRET, BODY, undefined), false);
+});
+
+test("verifySignature refuses signatures outside the tolerance", () => {
+  const signedAt = 1700000000;
+  const header = signPayload(SECRET, BODY, signedAt);
+  assert.equal(verifySignature(SECRET, BODY, header, { now: (signedAt + 299) * 1000 }), true);
+  assert.equal(verifySignature(SECRET, BODY, header, { now: (signedAt + 301) * 1000 }), false);
+  assert.equal(verifySignature(SECRET, BODY, header, { now: (signedAt - 301) * 1000 }), false);
+  assert.equal(verifySignature(SECRET, BODY, header, { now: (signedAt + 3600) * 1000, toleranceSeconds: 7200 }), true);
+});
+
+test("newWebhookSecret returns a fresh whsec_ secret each time", () => {
+  const first = newWebhookSecret();
+  assert.match(first, /^whsec_[\w-]{43}$/);
+  assert.notEqual(newWebhookSecret(), first);
+});